@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import {
+  DEFAULT_SETTINGS,
+  analyzeOverzicht,
+  buildDashboardWorkbook,
+  buildEmailDraft,
+  buildSettingsKey,
+  buildStatsSummary,
+  buildTimestamp,
+  deriveStationFromFilename,
+  getStationSettings,
+  readOverzichtRows,
+  readWorkbookBuffer,
+  sanitizeMapping,
+  writeDashboardWorkbook,
+} from '../src/core/index.js'
+
+const EXIT_USAGE = 1
+const EXIT_FAILED = 2
+
+const usage = `Gebruik: afwijkingen <map met overzichten> [opties]
+
+Opties:
+  --uit <map>        Uitvoermap (standaard: <map>/export)
+  --profiel <json>   Kolomprofiel (export uit de webapp)
+  --instellingen <json>
+                     Horizon, drempels en dagen (voor alle stations of per station)
+  --help             Toon deze hulp
+
+Per station worden een dashboard export (.xlsx), statistieken (.txt en .json)
+en een email concept (.txt) geschreven. Het station wordt afgeleid van de
+submap of van de bestandsnaam ("<station> - Afwijkingen overzicht.xlsx").`
+
+const parseArgs = (argv) => {
+  const options = { input: '', output: '', profile: '', settings: '', help: false }
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i]
+    if (arg === '--help' || arg === '-h') {
+      options.help = true
+    } else if (arg === '--uit') {
+      options.output = argv[(i += 1)] || ''
+    } else if (arg === '--profiel') {
+      options.profile = argv[(i += 1)] || ''
+    } else if (arg === '--instellingen') {
+      options.settings = argv[(i += 1)] || ''
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Onbekende optie: ${arg}`)
+    } else if (!options.input) {
+      options.input = arg
+    } else {
+      throw new Error(`Onverwacht argument: ${arg}`)
+    }
+  }
+  return options
+}
+
+const findOverzichtFiles = async (dir, skipDir) => {
+  const entries = await readdir(dir, { withFileTypes: true })
+  const files = []
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (path.resolve(fullPath) === path.resolve(skipDir)) continue
+      files.push(...(await findOverzichtFiles(fullPath, skipDir)))
+    } else if (/overzicht.*\.xls[xm]$/i.test(entry.name) && !entry.name.startsWith('~$')) {
+      files.push(fullPath)
+    }
+  }
+  return files.sort()
+}
+
+// Een los object met instellingen geldt voor alle stations; anders is elke sleutel een station en
+// geldt de sleutel "" als standaard, net als de instellingen die de webapp per station bewaart.
+const toStationSettings = (parsed) => {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Instellingen moeten een JSON object zijn.')
+  }
+  if (Object.keys(DEFAULT_SETTINGS).some((key) => key in parsed)) return { '': parsed }
+  return Object.fromEntries(
+    Object.entries(parsed).map(([station, settings]) => [buildSettingsKey(station), settings])
+  )
+}
+
+const deriveStation = (file, rootDir) => {
+  const relativeDir = path.relative(rootDir, path.dirname(file))
+  if (relativeDir) return relativeDir.split(path.sep).join(' - ')
+  return deriveStationFromFilename(path.basename(file)) || 'Station'
+}
+
+const toJsonStats = (result) => ({
+  achterstallig: result.achterstallig.length,
+  concept: result.concept.length,
+  actiehouders: result.actiehouders,
+  planningGereed: {
+    totalFiltered: result.stats.totalFiltered,
+    validDates: result.stats.validDates,
+    onTimeCount: result.stats.onTimeCount,
+    overdueCount: result.stats.overdueCount,
+    missingDates: result.stats.missingDates,
+    onTimePercent: result.stats.onTimePercent,
+    traffic: result.stats.traffic,
+    disciplines: result.stats.disciplines,
+  },
+  datumProblemen: result.dateIssues,
+})
+
+const processFile = async (file, { rootDir, outputDir, mapping, settingsByStation, now }) => {
+  const station = deriveStation(file, rootDir)
+  const rows = readOverzichtRows(readWorkbookBuffer(await readFile(file)))
+  const settings = getStationSettings(settingsByStation, station)
+  const result = analyzeOverzicht(rows, { mapping, settings, now })
+
+  const stationDir = path.join(outputDir, station.replace(/[\\/:*?"<>|]/g, '_'))
+  await mkdir(stationDir, { recursive: true })
+
+  const workbook = await buildDashboardWorkbook(result, { station, now })
+  const exportName = `Afwijkingen_dashboard_export_${buildTimestamp(now)}.xlsx`
+  await writeFile(
+    path.join(stationDir, exportName),
+    await writeDashboardWorkbook(workbook, { stats: result.stats })
+  )
+
+  const summary = buildStatsSummary(result, { station, now })
+  await writeFile(path.join(stationDir, 'Statistieken.txt'), `${summary}\n`)
+  await writeFile(
+    path.join(stationDir, 'Statistieken.json'),
+    `${JSON.stringify({ station, datum: now.toISOString(), ...toJsonStats(result) }, null, 2)}\n`
+  )
+
+  const draft = buildEmailDraft(station, { rows: result.achterstallig, now })
+  await writeFile(
+    path.join(stationDir, 'Email concept.txt'),
+    `Onderwerp: ${draft.subject}\n\n${draft.body}\n`
+  )
+
+  return { station, result, stationDir }
+}
+
+const main = async () => {
+  let options
+  try {
+    options = parseArgs(process.argv.slice(2))
+  } catch (error) {
+    console.error(error.message)
+    console.error(usage)
+    return EXIT_USAGE
+  }
+  if (options.help) {
+    console.log(usage)
+    return 0
+  }
+  if (!options.input) {
+    console.error(usage)
+    return EXIT_USAGE
+  }
+
+  const rootDir = path.resolve(options.input)
+  const outputDir = path.resolve(options.output || path.join(rootDir, 'export'))
+  let mapping
+  if (options.profile) {
+    try {
+      const parsed = JSON.parse(await readFile(options.profile, 'utf8'))
+      mapping = sanitizeMapping(parsed?.mapping || parsed)
+    } catch (error) {
+      console.error(`Kolomprofiel kon niet worden gelezen: ${options.profile}`)
+      return EXIT_USAGE
+    }
+  }
+
+  let settingsByStation = {}
+  if (options.settings) {
+    try {
+      settingsByStation = toStationSettings(JSON.parse(await readFile(options.settings, 'utf8')))
+    } catch (error) {
+      console.error(`Instellingen konden niet worden gelezen: ${options.settings}`)
+      return EXIT_USAGE
+    }
+  }
+
+  let files
+  try {
+    files = await findOverzichtFiles(rootDir, outputDir)
+  } catch (error) {
+    console.error(`Map kon niet worden gelezen: ${rootDir}`)
+    return EXIT_USAGE
+  }
+  if (!files.length) {
+    console.error(`Geen overzicht bestanden gevonden in ${rootDir}`)
+    return EXIT_USAGE
+  }
+
+  const now = new Date()
+  let failed = 0
+  for (const file of files) {
+    try {
+      const { station, result, stationDir } = await processFile(file, {
+        rootDir,
+        outputDir,
+        mapping,
+        settingsByStation,
+        now,
+      })
+      console.log(
+        `${station}: ${result.achterstallig.length} achterstallig, ${Math.round(
+          result.stats.onTimePercent
+        )}% op tijd -> ${stationDir}`
+      )
+      if (result.dateIssues.length) {
+        console.error(
+          `${station}: ${result.dateIssues.length} datums niet eenduidig gelezen, zie Statistieken.json`
+        )
+      }
+    } catch (error) {
+      failed += 1
+      console.error(`${path.relative(rootDir, file)}: ${error instanceof Error ? error.message : error}`)
+    }
+  }
+
+  if (failed) {
+    console.error(`${failed} van ${files.length} bestanden mislukt.`)
+    return EXIT_FAILED
+  }
+  return 0
+}
+
+process.exitCode = await main()
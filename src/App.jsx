@@ -1,159 +1,260 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
-import ExcelJS from 'exceljs'
 import html2canvas from 'html2canvas'
-import * as XLSX from 'xlsx'
+import {
+  CHANGE_TYPES,
+  COLUMN_FIELDS,
+  DAY_MODES,
+  DEFAULT_EMAIL_TEMPLATE_NAME,
+  DEFAULT_EMAIL_TEMPLATES,
+  DEFAULT_SETTINGS,
+  EMAIL_PLACEHOLDERS,
+  MAILTO_MAX_LENGTH,
+  PDF_MIME,
+  QUALITY_CHECKS,
+  XLSM_MIME,
+  XLSX_MIME,
+  analyzeAchterstallig,
+  analyzeOverzicht,
+  analyzePlanningGereed,
+  applyRemarks,
+  buildActiehouderDrafts,
+  buildActiehouderScorecards,
+  buildComparisonWorkbook,
+  buildDashboardWorkbook,
+  buildDefaultMapping,
+  buildDisciplineDrilldown,
+  buildDisciplineTrend,
+  buildEmailDraft,
+  buildEml,
+  buildMailtoLink,
+  buildPdfReport,
+  buildQualityReport,
+  buildQualityWorkbook,
+  buildSettingsKey,
+  buildSnapshot,
+  buildTimestamp,
+  buildTrafficSegments,
+  collectActiehouderNames,
+  deriveStationFromFilename,
+  diffRuns,
+  fillDashboardWorkbook,
+  findAliasCandidates,
+  formatDate,
+  getColumnIndex,
+  getDayUnit,
+  getHorizonLabel,
+  getMissingColumns,
+  getStationSettings,
+  getTrafficLabel,
+  isValidEmail,
+  loadOverzichtRun,
+  loadRun,
+  mergeAddressBooks,
+  mergeAliases,
+  mergeRemarks,
+  parseAddressBookCsv,
+  parseAddressList,
+  parseHolidayList,
+  parseSnapshotsJson,
+  pruneRemarkStore,
+  readAddressBookSheet,
+  readAliasSheet,
+  readDashboardState,
+  readDashboardStation,
+  readHeaders,
+  readWorkbookBuffer,
+  resolveColumns,
+  resolveRecipients,
+  sanitizeAliases,
+  sanitizeMapping,
+  sanitizeStationRemarks,
+  serializeSnapshots,
+  sortSnapshots,
+  summarizeStation,
+  updateDatabaseWorkbook,
+  updateRemarkStore,
+  updateStationRemarks,
+  writeDashboardWorkbook,
+} from './core'
+import { parseOverzichtFile } from './parseOverzicht'
+import { deleteSnapshot, listSnapshots, saveSnapshots } from './snapshotStore'
+import TrendChart from './TrendChart'
+import DataTable from './DataTable'
+import RemarkInput from './RemarkInput'
+import { formatCell, useTableView } from './useTableView'
+import { usePersistentState } from './usePersistentState'
 import './App.css'
 
-const normalize = (value) => String(value ?? '').trim().toLowerCase()
+const DEFAULT_PROFILE_NAME = 'Standaard'
+const MAPPING_STORAGE_KEY = 'afwijkingen-lab:kolomprofielen'
 
-const getColumnIndex = (headers, name) =>
-  headers.findIndex((header) => normalize(header) === normalize(name))
-
-const parseExcelDate = (value) => {
-  if (!value && value !== 0) return null
-  if (value instanceof Date) return value
-  if (typeof value === 'number') {
-    const parsed = XLSX.SSF.parse_date_code(value)
-    if (!parsed) return null
-    return new Date(parsed.y, parsed.m - 1, parsed.d)
-  }
-  if (typeof value === 'string') {
-    const trimmed = value.trim()
-    if (!trimmed) return null
-    const parsed = new Date(trimmed)
-    if (Number.isNaN(parsed.getTime())) return null
-    return parsed
+const loadMappingProfiles = (stored) => {
+  const fallback = {
+    activeProfile: DEFAULT_PROFILE_NAME,
+    profiles: { [DEFAULT_PROFILE_NAME]: buildDefaultMapping() },
   }
-  return null
+  if (!stored?.profiles) return fallback
+  const profiles = { ...fallback.profiles }
+  Object.entries(stored.profiles).forEach(([name, mapping]) => {
+    profiles[name] = sanitizeMapping(mapping)
+  })
+  const activeProfile = profiles[stored.activeProfile] ? stored.activeProfile : DEFAULT_PROFILE_NAME
+  return { activeProfile, profiles }
 }
 
-const formatDate = (value) => {
-  const date = value instanceof Date ? value : parseExcelDate(value)
-  if (!date) return ''
-  return date.toLocaleDateString('nl-NL')
-}
+const TEMPLATE_STORAGE_KEY = 'afwijkingen-lab:emailtemplates'
 
-const getWeekNumber = (date) => {
-  const temp = new Date(date.getTime())
-  temp.setHours(0, 0, 0, 0)
-  temp.setDate(temp.getDate() + 3 - ((temp.getDay() + 6) % 7))
-  const week1 = new Date(temp.getFullYear(), 0, 4)
-  return (
-    1 +
-    Math.round(
-      ((temp.getTime() - week1.getTime()) / 86400000 - 3 + ((week1.getDay() + 6) % 7)) / 7
-    )
-  )
+const loadEmailTemplates = (stored) => {
+  const fallback = {
+    activeTemplate: DEFAULT_EMAIL_TEMPLATE_NAME,
+    templates: { ...DEFAULT_EMAIL_TEMPLATES },
+  }
+  if (!stored?.templates) return fallback
+  const templates = { ...fallback.templates }
+  Object.entries(stored.templates).forEach(([name, template]) => {
+    if (typeof template?.subject === 'string' && typeof template?.body === 'string') {
+      templates[name] = { subject: template.subject, body: template.body }
+    }
+  })
+  const activeTemplate = templates[stored.activeTemplate]
+    ? stored.activeTemplate
+    : DEFAULT_EMAIL_TEMPLATE_NAME
+  return { activeTemplate, templates }
 }
 
-const buildEmailDraft = (stationLabel) => {
-  const now = new Date()
-  const weekNumber = String(getWeekNumber(now)).padStart(2, '0')
-  const year = String(now.getFullYear())
-  const station = stationLabel?.trim() || 'Station'
-  const subject = `${station} - Afwijkingen maatregelen - deadlines week ${weekNumber}-${year}`
-  const body = [
-    "Beste collega's,",
-    '',
-    "Bij deze het overzicht van de maatregelen horende bij afwijkingen waarvoor de implementatiedatum verstreken is (zie de 'Geplande datum klaar' kolom).",
-    "Ik ontvang graag een status update omtrent deze maatregelen. De updates die mij bekend zijn staan onder de 'Opmerkingen' kolom.",
-    '',
-    'Ik hoop jullie hiermee voldoende te hebben geinformeerd. Bij vragen hoor ik het graag.',
-  ].join('\n')
-  return { subject, body }
-}
+const ADDRESS_BOOK_STORAGE_KEY = 'afwijkingen-lab:adresboek'
 
-const buildTimestamp = () => {
-  const now = new Date()
-  const pad = (value) => String(value).padStart(2, '0')
-  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(
-    now.getHours()
-  )}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
-}
+const loadAddressBook = (stored) => ({
+  entries: Array.isArray(stored?.entries)
+    ? stored.entries.filter((entry) => entry?.name && isValidEmail(entry.email))
+    : [],
+  cc: typeof stored?.cc === 'string' ? stored.cc : '',
+})
 
-const computeColumnWidths = (headers, rows, metaRows) => {
-  const widths = headers.map(() => 10)
-  const applyRow = (row) => {
-    row.forEach((value, index) => {
-      if (index >= widths.length) return
-      const length = String(value ?? '').length
-      const next = Math.min(Math.max(length + 2, 10), 60)
-      widths[index] = Math.max(widths[index], next)
-    })
-  }
-  headers.forEach((value, index) => {
-    const length = String(value ?? '').length
-    widths[index] = Math.max(widths[index], Math.min(Math.max(length + 2, 10), 60))
-  })
-  rows.forEach(applyRow)
-  metaRows.forEach(applyRow)
-  return widths
-}
+const ALIAS_STORAGE_KEY = 'afwijkingen-lab:aliassen'
 
-const styleMetaBlock = (sheet) => {
-  for (let rowIndex = 1; rowIndex <= 3; rowIndex += 1) {
-    const row = sheet.getRow(rowIndex)
-    row.height = 18
-    const labelCell = row.getCell(1)
-    labelCell.font = { bold: true }
-    labelCell.alignment = { vertical: 'middle' }
-    const valueCell = row.getCell(2)
-    valueCell.alignment = { vertical: 'middle' }
-  }
+const REMARKS_STORAGE_KEY = 'afwijkingen-lab:opmerkingen'
+const NO_REMARKS = {}
+
+const SETTINGS_STORAGE_KEY = 'afwijkingen-lab:instellingen'
+
+const loadStationSettings = (stored) => {
+  if (!stored || typeof stored !== 'object') return {}
+  return Object.fromEntries(Object.entries(stored).map(([key, settings]) => [key, { ...settings }]))
 }
 
-const styleTableHeader = (sheet, columnCount) => {
-  const headerRow = sheet.getRow(4)
-  headerRow.height = 20
-  for (let colIndex = 1; colIndex <= columnCount; colIndex += 1) {
-    const cell = headerRow.getCell(colIndex)
-    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } }
-    cell.alignment = { vertical: 'middle', wrapText: true }
-    cell.fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FF630D80' },
-    }
-  }
+const TREND_COLORS = ['#2d8294', '#630d80', '#cd8052', '#1f7a4d', '#b42318', '#2a3241']
+
+const ACHTERSTALLIG_COLUMNS = [
+  { key: 'code', label: 'Code' },
+  { key: 'titel', label: 'Afwijking titel' },
+  { key: 'maatregelCode', label: 'Maatregel code' },
+  { key: 'maatregel', label: 'Maatregel' },
+  { key: 'status', label: 'Status' },
+  { key: 'actiehouder', label: 'Actiehouder' },
+  { key: 'geplandeDatum', label: 'Geplande datum' },
+  { key: 'opmerking', label: 'Opmerking' },
+  { key: 'dagenTeLaat', label: 'Dagen te laat' },
+  { key: 'opmerkingen', label: 'Opmerkingen' },
+  { key: 'laatsteUpdate', label: 'Laatste update' },
+]
+
+const CONCEPT_COLUMNS = [
+  { key: 'code', label: 'Code' },
+  { key: 'titel', label: 'Afwijking titel' },
+  { key: 'status', label: 'Status' },
+  { key: 'opsteller', label: 'Opsteller' },
+  { key: 'geplandeDatum', label: 'Geplande datum' },
+  { key: 'opmerkingen', label: 'Opmerkingen' },
+]
+
+const PLANNING_COLUMNS = [
+  { key: 'code', label: 'Code' },
+  { key: 'titel', label: 'Titel' },
+  { key: 'maatregel', label: 'Maatregel' },
+  { key: 'actiehouder', label: 'Actiehouder' },
+  { key: 'geplandeDatum', label: 'Geplande datum' },
+  { key: 'datumKlaar', label: 'Datum klaar' },
+  { key: 'dagenTeLaat', label: 'Dagen te laat' },
+]
+
+const MISSING_COLUMNS = [
+  ...PLANNING_COLUMNS.filter((column) => column.key !== 'dagenTeLaat'),
+  { key: 'melding', label: 'Melding' },
+]
+
+const QUALITY_COLUMNS = [
+  { key: 'controle', label: 'Controle' },
+  { key: 'rijenLabel', label: 'Rijen' },
+  { key: 'code', label: 'Code' },
+  { key: 'maatregelCode', label: 'Maatregel code' },
+  { key: 'waarde', label: 'Waarde' },
+  { key: 'melding', label: 'Melding' },
+]
+
+const SCORECARD_COLUMNS = [
+  { key: 'rang', label: '#' },
+  { key: 'actiehouder', label: 'Actiehouder' },
+  { key: 'verlopen', label: 'Deadline verlopen' },
+  { key: 'aankomend', label: 'Binnen horizon' },
+  { key: 'open', label: 'Open totaal' },
+  { key: 'opTijd', label: 'Op tijd afgerond' },
+  { key: 'teLaat', label: 'Te laat afgerond' },
+  { key: 'opTijdPercent', label: 'Op tijd %' },
+  { key: 'gemDagenTeLaat', label: 'Gem. dagen te laat' },
+]
+
+const SCORECARD_ROW_COLUMNS = [
+  'code',
+  'titel',
+  'maatregelCode',
+  'maatregel',
+  'geplandeDatum',
+  'opmerking',
+  'dagenTeLaat',
+]
+
+const ACHTERSTALLIG_FILTERS = ['opmerking', 'actiehouder', 'discipline']
+const CONCEPT_FILTERS = ['opsteller', 'discipline']
+const PLANNING_FILTERS = ['actiehouder', 'discipline']
+const MISSING_FILTERS = ['melding', 'actiehouder', 'discipline']
+const QUALITY_FILTERS = ['controle']
+
+const FILTER_LABELS = {
+  opmerking: 'Opmerking',
+  actiehouder: 'Actiehouder',
+  opsteller: 'Opsteller',
+  discipline: 'Discipline',
+  melding: 'Melding',
+  controle: 'Controle',
 }
 
-const styleTableRows = (sheet, rowCount, columnCount) => {
-  const lightFill = { argb: 'FFC1E62E' }
-  const darkFill = { argb: 'FFBAFF33' }
-  for (let rowIndex = 5; rowIndex < 5 + rowCount; rowIndex += 1) {
-    const row = sheet.getRow(rowIndex)
-    const fillColor = rowIndex % 2 === 0 ? darkFill : lightFill
-    for (let colIndex = 1; colIndex <= columnCount; colIndex += 1) {
-      const cell = row.getCell(colIndex)
-      cell.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: fillColor,
-      }
+const EMPTY_ROWS = []
+
+const withDayUnit = (columns, unit) =>
+  columns.map((column) => {
+    if (column.key === 'dagenTeLaat') {
+      return { ...column, label: `${unit.charAt(0).toUpperCase()}${unit.slice(1)} te laat` }
     }
-  }
-}
+    if (column.key === 'gemDagenTeLaat') return { ...column, label: `Gem. ${unit} te laat` }
+    return column
+  })
 
-const setCellValue = (sheet, rowIndex, colIndex, value) => {
-  const address = XLSX.utils.encode_cell({ r: rowIndex, c: colIndex })
-  if (value === null || value === undefined || value === '') {
-    sheet[address] = { t: 's', v: '' }
-    return
-  }
-  if (value instanceof Date) {
-    sheet[address] = { t: 'd', v: value }
-    return
-  }
-  if (typeof value === 'number') {
-    sheet[address] = { t: 'n', v: value }
-    return
-  }
-  sheet[address] = { t: 's', v: String(value) }
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.rel = 'noopener'
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
 }
 
 const readWorkbook = async (file) => {
   const buffer = await file.arrayBuffer()
-  return XLSX.read(buffer, { type: 'array', cellDates: true })
+  return readWorkbookBuffer(buffer)
 }
 
 const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
@@ -181,22 +282,151 @@ function App() {
   const [achterstalligRows, setAchterstalligRows] = useState([])
   const [conceptRows, setConceptRows] = useState([])
   const [actiehouders, setActiehouders] = useState([])
-  const [emailDraft, setEmailDraft] = useState(null)
   const [powerBiReady, setPowerBiReady] = useState(false)
   const [dragTarget, setDragTarget] = useState('')
   const [activePanel, setActivePanel] = useState('results')
-  const [lastEmailStation, setLastEmailStation] = useState('')
   const [showHelp, setShowHelp] = useState(false)
   const [helpItems, setHelpItems] = useState([])
   const [isHelpCompact, setIsHelpCompact] = useState(false)
   const [powerBiStats, setPowerBiStats] = useState(null)
   const [statsDownloading, setStatsDownloading] = useState(false)
+  const [mappingState, setMappingState] = usePersistentState(MAPPING_STORAGE_KEY, loadMappingProfiles)
+  const [overzichtHeaders, setOverzichtHeaders] = useState([])
+  const [newProfileName, setNewProfileName] = useState('')
+  const [stationEntries, setStationEntries] = useState([])
+  const [templateState, setTemplateState] = usePersistentState(TEMPLATE_STORAGE_KEY, loadEmailTemplates)
+  const [newTemplateName, setNewTemplateName] = useState('')
+  const [addressBook, setAddressBook] = usePersistentState(ADDRESS_BOOK_STORAGE_KEY, loadAddressBook)
+  const [newAddress, setNewAddress] = useState({ name: '', email: '' })
+  const [aliases, setAliases] = usePersistentState(ALIAS_STORAGE_KEY, sanitizeAliases)
+  const [aliasChoices, setAliasChoices] = useState({})
+  const [ignoredAliasGroups, setIgnoredAliasGroups] = useState([])
+  const [newAlias, setNewAlias] = useState({ alias: '', naam: '' })
+  const [snapshots, setSnapshots] = useState([])
+  const [trendStation, setTrendStation] = useState('')
+  const [previousFile, setPreviousFile] = useState(null)
+  const [changeReport, setChangeReport] = useState(null)
+  const [includeChanges, setIncludeChanges] = useState(true)
+  const [exportFilteredView, setExportFilteredView] = useState(false)
+  const [writeToDashboard, setWriteToDashboard] = useState(false)
+  const [parseProgress, setParseProgress] = useState(null)
+  const [settingsByStation, setSettingsByStation] = usePersistentState(SETTINGS_STORAGE_KEY, loadStationSettings)
+  const [overzichtRows, setOverzichtRows] = useState([])
+  const [selectedFinding, setSelectedFinding] = useState(null)
+  const [selectedActiehouder, setSelectedActiehouder] = useState('')
+  const [selectedDiscipline, setSelectedDiscipline] = useState('')
+  const [dashboardState, setDashboardState] = useState(null)
+  const [remarksByStation, setRemarksByStation] = usePersistentState(
+    REMARKS_STORAGE_KEY,
+    sanitizeStationRemarks
+  )
   const helpRafRef = useRef(null)
   const uploadsRef = useRef(null)
   const actionsRef = useRef(null)
   const outputRef = useRef(null)
   const toggleRowRef = useRef(null)
   const statsRef = useRef(null)
+  const stationIdRef = useRef(0)
+  const datasetCacheRef = useRef(new WeakMap())
+  const templateBodyRef = useRef(null)
+
+  const columnMapping =
+    mappingState.profiles[mappingState.activeProfile] || buildDefaultMapping()
+  const settingsKey = buildSettingsKey(station)
+  const remarkStore = remarksByStation[settingsKey] || NO_REMARKS
+  const updateRemarks = (update) =>
+    setRemarksByStation((prev) => updateStationRemarks(prev, station, update))
+  const analysisSettings = useMemo(
+    () => getStationSettings(settingsByStation, station),
+    [settingsByStation, station]
+  )
+  const settingsInput = settingsByStation[settingsKey] || analysisSettings
+  const trafficSegments = buildTrafficSegments(analysisSettings)
+  // De meter toont de grenzen waarmee de statistieken zijn berekend, niet de huidige invoer.
+  const statsSegments = buildTrafficSegments(powerBiStats?.thresholds || analysisSettings)
+
+  const dayUnit = getDayUnit(analysisSettings.dayMode)
+  const achterstalligColumns = useMemo(
+    () => withDayUnit(ACHTERSTALLIG_COLUMNS, dayUnit),
+    [dayUnit]
+  )
+  const planningColumns = useMemo(() => withDayUnit(PLANNING_COLUMNS, dayUnit), [dayUnit])
+  const achterstalligRemarks = useMemo(
+    () => mergeRemarks(dashboardState?.remarks.achterstallig, remarkStore),
+    [dashboardState, remarkStore]
+  )
+  const achterstalligWithRemarks = useMemo(
+    () => applyRemarks(achterstalligRows, achterstalligRemarks),
+    [achterstalligRows, achterstalligRemarks]
+  )
+  const conceptWithRemarks = useMemo(
+    () => applyRemarks(conceptRows, dashboardState?.remarks.concept),
+    [conceptRows, dashboardState]
+  )
+  const achterstalligView = useTableView(
+    achterstalligWithRemarks,
+    achterstalligColumns,
+    ACHTERSTALLIG_FILTERS
+  )
+  const conceptView = useTableView(conceptWithRemarks, CONCEPT_COLUMNS, CONCEPT_FILTERS)
+  const activeDiscipline = powerBiStats?.disciplines.some(
+    (item) => item.discipline === selectedDiscipline
+  )
+    ? selectedDiscipline
+    : ''
+  const disciplineRows = useMemo(() => {
+    const filterRows = (rows = EMPTY_ROWS) =>
+      activeDiscipline ? rows.filter((row) => row.discipline === activeDiscipline) : rows
+    return {
+      onTime: filterRows(powerBiStats?.onTimeRows),
+      late: filterRows(powerBiStats?.lateRows),
+      missing: filterRows(powerBiStats?.missingRows),
+    }
+  }, [powerBiStats, activeDiscipline])
+  const disciplineDrilldown = useMemo(
+    () => (activeDiscipline ? buildDisciplineDrilldown(powerBiStats, activeDiscipline) : null),
+    [powerBiStats, activeDiscipline]
+  )
+  const onTimeView = useTableView(disciplineRows.onTime, planningColumns, PLANNING_FILTERS)
+  const lateView = useTableView(disciplineRows.late, planningColumns, PLANNING_FILTERS)
+  const missingView = useTableView(disciplineRows.missing, MISSING_COLUMNS, MISSING_FILTERS)
+  const qualityReport = useMemo(
+    () =>
+      overzichtRows.length
+        ? buildQualityReport(overzichtRows, { mapping: columnMapping })
+        : null,
+    [overzichtRows, columnMapping]
+  )
+  const qualityFindings = useMemo(
+    () =>
+      (qualityReport?.findings || EMPTY_ROWS).map((finding) => ({
+        ...finding,
+        rijenLabel: finding.rijen.join(', '),
+      })),
+    [qualityReport]
+  )
+  const qualityView = useTableView(qualityFindings, QUALITY_COLUMNS, QUALITY_FILTERS)
+  const scorecards = useMemo(
+    () => buildActiehouderScorecards({ achterstallig: achterstalligRows, stats: powerBiStats }),
+    [achterstalligRows, powerBiStats]
+  )
+  const scorecardColumns = useMemo(() => withDayUnit(SCORECARD_COLUMNS, dayUnit), [dayUnit])
+  const scorecardView = useTableView(scorecards, scorecardColumns)
+  const selectedScorecard =
+    scorecards.find((card) => card.actiehouder === selectedActiehouder) || null
+  const scorecardRowColumns = useMemo(
+    () =>
+      achterstalligColumns.filter((column) => SCORECARD_ROW_COLUMNS.includes(column.key)),
+    [achterstalligColumns]
+  )
+  const scorecardOpenView = useTableView(
+    selectedScorecard?.openRows || EMPTY_ROWS,
+    scorecardRowColumns
+  )
+  const scorecardUpcomingView = useTableView(
+    selectedScorecard?.aankomendRows || EMPTY_ROWS,
+    scorecardRowColumns
+  )
 
   const summaryStats = useMemo(
     () => ({
@@ -207,8 +437,60 @@ function App() {
     [achterstalligRows.length, conceptRows.length, actiehouders.length]
   )
 
+  const emailTemplate =
+    templateState.templates[templateState.activeTemplate] ||
+    DEFAULT_EMAIL_TEMPLATES[DEFAULT_EMAIL_TEMPLATE_NAME]
+
+  const emailDraft = useMemo(
+    () => buildEmailDraft(station, { template: emailTemplate, rows: achterstalligWithRemarks }),
+    [station, emailTemplate, achterstalligWithRemarks]
+  )
+
+  const actiehouderDrafts = useMemo(
+    () => buildActiehouderDrafts(station, achterstalligWithRemarks, { template: emailTemplate }),
+    [station, achterstalligWithRemarks, emailTemplate]
+  )
+
+  const ccAddresses = useMemo(() => parseAddressList(addressBook.cc), [addressBook.cc])
+
+  const emailRecipients = useMemo(
+    () => resolveRecipients(actiehouders, addressBook.entries, { aliases }),
+    [actiehouders, addressBook.entries, aliases]
+  )
+
+  const actiehouderNames = useMemo(
+    () => collectActiehouderNames(overzichtRows, { mapping: columnMapping }),
+    [overzichtRows, columnMapping]
+  )
+
+  const aliasCandidates = useMemo(
+    () =>
+      findAliasCandidates(actiehouderNames, aliases).filter(
+        (group) => !ignoredAliasGroups.includes(group.names.join('|'))
+      ),
+    [actiehouderNames, aliases, ignoredAliasGroups]
+  )
+
+  const snapshotStations = useMemo(
+    () => Array.from(new Set(snapshots.map((snapshot) => snapshot.station))).sort((a, b) => a.localeCompare(b)),
+    [snapshots]
+  )
+  const activeTrendStation = snapshotStations.includes(trendStation)
+    ? trendStation
+    : snapshotStations.find((name) => name.toLowerCase() === station.trim().toLowerCase()) ||
+      snapshotStations[0] ||
+      ''
+  const trendSnapshots = useMemo(
+    () => sortSnapshots(snapshots.filter((snapshot) => snapshot.station === activeTrendStation)),
+    [snapshots, activeTrendStation]
+  )
+  const trendLabels = trendSnapshots.map(
+    (snapshot) => `wk ${String(snapshot.week).padStart(2, '0')}-${String(snapshot.jaar).slice(2)}`
+  )
+  const disciplineTrend = useMemo(() => buildDisciplineTrend(trendSnapshots), [trendSnapshots])
+
   const powerBiPercent = powerBiStats ? Math.round(powerBiStats.onTimePercent) : 0
-  const powerBiOnTime = powerBiStats ? powerBiStats.validDates - powerBiStats.overdueCount : 0
+  const powerBiOnTime = powerBiStats ? powerBiStats.onTimeCount : 0
   const powerBiOnTimePercent = powerBiStats
     ? powerBiStats.validDates
       ? Math.round((powerBiOnTime / powerBiStats.validDates) * 100)
@@ -224,21 +506,10 @@ function App() {
       ? (powerBiStats.overdueCount / powerBiStats.validDates) * 360
       : 0
     : 0
-  const powerBiDisciplineData = powerBiStats
-    ? Array.from(powerBiStats.disciplineTotals?.entries?.() || [])
-        .map(([discipline, totalDays]) => ({
-          discipline,
-          totalDays,
-          count: powerBiStats.disciplineCounts?.get?.(discipline) || 0,
-        }))
-        .map((row) => ({
-          ...row,
-          avgDays: row.count ? row.totalDays / row.count : 0,
-        }))
-        .sort((a, b) => b.avgDays - a.avgDays)
-    : []
+  const powerBiDisciplineData = powerBiStats?.disciplines || []
+  const powerBiDayUnit = powerBiStats?.dayUnit || 'dagen'
   const powerBiDisciplineMaxCount = powerBiDisciplineData.length
-    ? Math.max(...powerBiDisciplineData.map((row) => row.count), 1)
+    ? Math.max(...powerBiDisciplineData.map((row) => Math.max(row.count, row.onTimeCount)), 1)
     : 1
   const powerBiDisciplineMaxAvg = powerBiDisciplineData.length
     ? Math.max(...powerBiDisciplineData.map((row) => row.avgDays), 1)
@@ -259,250 +530,485 @@ function App() {
 
   const handleDashboardUpload = async (file) => {
     setDashboardFile(file)
+    setDashboardState(null)
     if (!file) return
     try {
-      const wb = await readWorkbook(file)
-      const sheet =
-        wb.Sheets['Afwijking achterstallig'] || wb.Sheets[wb.SheetNames[0]] || null
-      const stationCell = sheet?.B1?.v
-      if (stationCell) {
-        setStation(String(stationCell))
+      const workbook = await readWorkbook(file)
+      const stationName = readDashboardStation(workbook)
+      if (stationName) {
+        setStation(stationName)
         addLog('Station gevuld vanuit dashboard.')
       }
+      const nextDashboardState = readDashboardState(workbook)
+      setDashboardState(nextDashboardState)
+      if (nextDashboardState.achterstallig.length || nextDashboardState.concept.length) {
+        const remarkCount =
+          nextDashboardState.remarks.achterstallig.size + nextDashboardState.remarks.concept.size
+        addLog(
+          `Vorig dashboard: ${nextDashboardState.achterstallig.length} achterstallig, ${nextDashboardState.concept.length} concept, ${remarkCount} opmerkingen overgenomen.`
+        )
+      }
+      const dashboardAliases = readAliasSheet(workbook)
+      if (dashboardAliases.length) {
+        setAliases((prev) => sanitizeAliases([...prev, ...dashboardAliases]))
+        addLog(`${dashboardAliases.length} aliassen geladen uit dashboard.`)
+      }
     } catch (error) {
       addLog('Dashboard kon niet worden uitgelezen.', 'error')
     }
   }
 
-  const runDataOphalen = async () => {
-    if (!overzichtFile) return
-    setBusyAction('data')
-    addLog('Data ophalen gestart.')
+  const readOverzichtFile = (file) => {
+    const cached = datasetCacheRef.current.get(file)
+    if (cached) return cached
+    const dataset = parseOverzichtFile(file, { onProgress: setParseProgress })
+      .catch((error) => {
+        datasetCacheRef.current.delete(file)
+        throw error
+      })
+      .finally(() => setParseProgress(null))
+    datasetCacheRef.current.set(file, dataset)
+    return dataset
+  }
+
+  const handleOverzichtUpload = async (file) => {
+    if (overzichtFile && overzichtFile !== file) datasetCacheRef.current.delete(overzichtFile)
+    setOverzichtFile(file)
+    setPowerBiReady(false)
+    setPowerBiStats(null)
+    setOverzichtHeaders([])
+    setOverzichtRows([])
+    setSelectedFinding(null)
+    setChangeReport(null)
+    if (!file) return
     try {
-      const wb = await readWorkbook(overzichtFile)
-      const sheet = wb.Sheets[wb.SheetNames[0]]
-      const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
-      if (!rows.length) throw new Error('Geen data gevonden in overzicht.')
-      const headers = rows[0].map((value) => String(value ?? '').trim())
-
-      const colCode = getColumnIndex(headers, 'Code')
-      const colTitel = getColumnIndex(headers, 'Titel')
-      const colMaatregelCode = getColumnIndex(headers, 'Code (2)')
-      const colMaatregel = getColumnIndex(headers, 'Maatregel')
-      const colStatus = getColumnIndex(headers, 'Status (2)')
-      const colStatusSingle = getColumnIndex(headers, 'Status')
-      const colActiehouder = getColumnIndex(headers, 'Actiehouder')
-      const colOpsteller = getColumnIndex(headers, 'Opsteller')
-      const colDatum = getColumnIndex(headers, 'Geplande datum klaar')
-
-      if (
-        [colCode, colTitel, colMaatregelCode, colMaatregel, colStatus, colActiehouder, colDatum].some(
-          (index) => index === -1
+      const rows = await readOverzichtFile(file)
+      setOverzichtRows(rows)
+      const headers = readHeaders(rows).filter(Boolean)
+      setOverzichtHeaders(headers)
+      const missing = getMissingColumns(
+        resolveColumns(headers, columnMapping),
+        columnMapping,
+        COLUMN_FIELDS.filter((field) => !field.optional).map((field) => field.key)
+      )
+      if (missing.length) {
+        addLog(
+          `Kolomprofiel "${mappingState.activeProfile}" mist kolommen in overzicht: ${missing.join(', ')}.`,
+          'error'
         )
-      ) {
-        throw new Error('Kolomkoppen ontbreken in overzicht.')
       }
+    } catch (error) {
+      addLog('Kolomkoppen van overzicht konden niet worden uitgelezen.', 'error')
+    }
+  }
 
-      const now = new Date()
-      const thirtyOneDays = new Date(now.getTime() + 31 * 24 * 60 * 60 * 1000)
-      const achterstallig = []
-      const concept = []
-      const actiehouderSet = new Set()
-
-      for (let i = 1; i < rows.length; i += 1) {
-        const row = rows[i]
-        if (!row || row.length === 0) continue
-
-        const status = String(row[colStatus] ?? '').trim()
-        const statusSingle = String(row[colStatusSingle] ?? '').trim()
-        const geplandeDatum = parseExcelDate(row[colDatum])
-        const opmerking = geplandeDatum
-          ? geplandeDatum < now
-            ? 'Deadline verlopen'
-            : geplandeDatum <= thirtyOneDays
-              ? 'Deadline verloopt binnen 31 dagen'
-              : 'Geen actie vereist'
-          : 'Geen datum'
-
-        const actiehouderValue = String(row[colActiehouder] ?? '').trim()
-        if (status === 'Vigerend' && opmerking !== 'Geen actie vereist' && actiehouderValue) {
-          achterstallig.push({
-            code: row[colCode],
-            titel: row[colTitel],
-            maatregelCode: row[colMaatregelCode],
-            maatregel: row[colMaatregel],
-            status,
-            actiehouder: actiehouderValue,
-            geplandeDatum,
-            opmerking,
-          })
-          if (actiehouderValue) {
-            actiehouderSet.add(actiehouderValue)
-          }
-        }
+  const updateColumnMapping = (fieldKey, header) => {
+    setMappingState((prev) => ({
+      ...prev,
+      profiles: {
+        ...prev.profiles,
+        [prev.activeProfile]: { ...prev.profiles[prev.activeProfile], [fieldKey]: header },
+      },
+    }))
+  }
 
-        if (statusSingle === 'Concept' && colOpsteller !== -1) {
-          concept.push({
-            code: row[colCode],
-            titel: row[colTitel],
-            status: 'Concept',
-            opsteller: row[colOpsteller],
-            geplandeDatum,
-          })
-        }
+  const createMappingProfile = () => {
+    const name = newProfileName.trim()
+    if (!name) return
+    setMappingState((prev) => ({
+      activeProfile: name,
+      profiles: { ...prev.profiles, [name]: { ...columnMapping } },
+    }))
+    setNewProfileName('')
+    addLog(`Kolomprofiel "${name}" opgeslagen.`)
+  }
+
+  const deleteMappingProfile = () => {
+    const name = mappingState.activeProfile
+    if (name === DEFAULT_PROFILE_NAME) return
+    setMappingState((prev) => {
+      const profiles = { ...prev.profiles }
+      delete profiles[name]
+      return { activeProfile: DEFAULT_PROFILE_NAME, profiles }
+    })
+    addLog(`Kolomprofiel "${name}" verwijderd.`)
+  }
+
+  const exportMappingProfile = () => {
+    const name = mappingState.activeProfile
+    const payload = JSON.stringify({ name, mapping: columnMapping }, null, 2)
+    downloadBlob(new Blob([payload], { type: 'application/json' }), `Kolomprofiel_${name}.json`)
+    addLog(`Kolomprofiel "${name}" geexporteerd.`)
+  }
+
+  const importMappingProfile = async (file) => {
+    if (!file) return
+    let parsed = null
+    try {
+      parsed = JSON.parse(await file.text())
+    } catch (error) {
+      addLog('Kolomprofiel importeren mislukt.', 'error')
+      return
+    }
+    const imported = parsed?.profiles
+      ? parsed.profiles
+      : parsed?.mapping
+        ? { [String(parsed.name || file.name.replace(/\.json$/i, ''))]: parsed.mapping }
+        : null
+    if (!imported || !Object.keys(imported).length) {
+      addLog('Geen kolomprofiel gevonden in bestand.', 'error')
+      return
+    }
+    const names = Object.keys(imported)
+    setMappingState((prev) => {
+      const profiles = { ...prev.profiles }
+      names.forEach((name) => {
+        profiles[name] = sanitizeMapping(imported[name])
+      })
+      return { activeProfile: names[0], profiles }
+    })
+    addLog(`Kolomprofiel geimporteerd: ${names.join(', ')}.`)
+  }
+
+  const addStationFiles = (files) => {
+    const nextEntries = Array.from(files || []).map((file) => {
+      stationIdRef.current += 1
+      return {
+        id: stationIdRef.current,
+        file,
+        station: deriveStationFromFilename(file.name),
+        result: null,
+        error: '',
       }
+    })
+    if (!nextEntries.length) return
+    setStationEntries((prev) => [...prev, ...nextEntries])
+    addLog(`${nextEntries.length} overzicht(en) toegevoegd aan stations.`)
+  }
 
-      achterstallig.sort((a, b) => String(a.code).localeCompare(String(b.code)))
-      concept.sort((a, b) => String(a.code).localeCompare(String(b.code)))
+  const addCurrentStation = () => {
+    if (!overzichtFile) return
+    stationIdRef.current += 1
+    const entry = {
+      id: stationIdRef.current,
+      file: overzichtFile,
+      station: station || deriveStationFromFilename(overzichtFile.name),
+      result: null,
+      error: '',
+    }
+    setStationEntries((prev) => [...prev, entry])
+  }
 
-      setAchterstalligRows(achterstallig)
-      setConceptRows(concept)
-      setActiehouders(Array.from(actiehouderSet).sort((a, b) => a.localeCompare(b)))
-      addLog('Data ophalen afgerond.')
-      await runPowerBiExport()
+  const updateStationEntry = (id, patch) => {
+    setStationEntries((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry)))
+  }
+
+  const handleStationDashboard = async (id, file) => {
+    if (!file) return
+    try {
+      const stationName = readDashboardStation(await readWorkbook(file))
+      if (stationName) {
+        updateStationEntry(id, { station: stationName })
+        addLog(`Station "${stationName}" gevuld vanuit dashboard.`)
+      } else {
+        addLog('Geen station gevonden in dashboard (cel B1).', 'error')
+      }
     } catch (error) {
-      addLog(error instanceof Error ? error.message : 'Data ophalen mislukt.', 'error')
-    } finally {
-      setBusyAction('')
+      addLog('Dashboard kon niet worden uitgelezen.', 'error')
+    }
+  }
+
+  const runStationComparison = async () => {
+    if (!stationEntries.length) return
+    setBusyAction('stations')
+    addLog('Stations vergelijken gestart.')
+    const nextEntries = []
+    for (const entry of stationEntries) {
+      try {
+        const rows = await readOverzichtFile(entry.file)
+        const result = analyzeOverzicht(rows, {
+          mapping: columnMapping,
+          settings: getStationSettings(settingsByStation, entry.station),
+          aliases,
+        })
+        nextEntries.push({ ...entry, result, error: '' })
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Verwerken mislukt.'
+        nextEntries.push({ ...entry, result: null, error: message })
+        addLog(`${entry.station || entry.file.name}: ${message}`, 'error')
+      }
+    }
+    setStationEntries(nextEntries)
+    setBusyAction('')
+    addLog('Stations vergelijken afgerond.')
+  }
+
+  // Het getoonde station vervangt de hele werkset: overzicht, datakwaliteit en wijzigingen horen bij
+  // dit bestand, en het dashboard van het vorige station mag er niet mee overschreven worden.
+  const showStationResults = async (entry) => {
+    if (!entry.result) return
+    let rows
+    try {
+      rows = await readOverzichtFile(entry.file)
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'Overzicht inlezen mislukt.', 'error')
+      return
     }
+    if (overzichtFile && !stationEntries.some((item) => item.file === overzichtFile)) {
+      datasetCacheRef.current.delete(overzichtFile)
+    }
+    setOverzichtFile(entry.file)
+    setOverzichtRows(rows)
+    setOverzichtHeaders(readHeaders(rows).filter(Boolean))
+    setSelectedFinding(null)
+    setChangeReport(null)
+    setDashboardFile(null)
+    setDashboardState(null)
+    setStation(entry.station)
+    setAchterstalligRows(entry.result.achterstallig)
+    setConceptRows(entry.result.concept)
+    setActiehouders(entry.result.actiehouders)
+    setPowerBiStats(entry.result.stats)
+    setPowerBiReady(true)
+    setActivePanel('results')
+    addLog(`Resultaten van ${entry.station || entry.file.name} geladen.`)
+  }
+
+  const downloadComparisonExport = async () => {
+    const processed = stationEntries.filter((entry) => entry.result)
+    if (!processed.length) {
+      addLog('Geen verwerkte stations om te exporteren.', 'error')
+      return
+    }
+    try {
+      const workbook = await buildComparisonWorkbook(
+        processed.map((entry) => ({
+          station: entry.station || deriveStationFromFilename(entry.file.name) || 'Station',
+          result: entry.result,
+        }))
+      )
+      const filename = `Afwijkingen_stations_export_${buildTimestamp()}.xlsx`
+      const buffer = await workbook.xlsx.writeBuffer()
+      downloadBlob(new Blob([buffer], { type: XLSX_MIME }), filename)
+      addLog(`Stations export gedownload: ${filename}`)
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'Stations export mislukt.', 'error')
+    }
+  }
+
+  const refreshSnapshots = async () => {
+    try {
+      setSnapshots(await listSnapshots())
+    } catch (error) {
+      addLog('Snapshots konden niet worden geladen.', 'error')
+    }
+  }
+
+  const storeSnapshot = async (snapshot) => {
+    try {
+      await saveSnapshots([snapshot])
+      addLog(`Snapshot opgeslagen voor ${snapshot.station} (${snapshot.date}).`)
+      await refreshSnapshots()
+    } catch (error) {
+      addLog('Snapshot opslaan mislukt.', 'error')
+    }
+  }
+
+  const exportSnapshots = () => {
+    if (!snapshots.length) return
+    const filename = `Afwijkingen_snapshots_${buildTimestamp()}.json`
+    downloadBlob(
+      new Blob([serializeSnapshots(sortSnapshots(snapshots))], { type: 'application/json' }),
+      filename
+    )
+    addLog(`Snapshots geexporteerd: ${filename}`)
+  }
+
+  const importSnapshots = async (file) => {
+    if (!file) return
+    try {
+      const imported = parseSnapshotsJson(await file.text())
+      if (!imported.length) {
+        addLog('Geen geldige snapshots gevonden in bestand.', 'error')
+        return
+      }
+      await saveSnapshots(imported)
+      addLog(`${imported.length} snapshots geimporteerd.`)
+      await refreshSnapshots()
+    } catch (error) {
+      addLog('Snapshots importeren mislukt.', 'error')
+    }
+  }
+
+  const removeSnapshot = async (id) => {
+    try {
+      await deleteSnapshot(id)
+      await refreshSnapshots()
+    } catch (error) {
+      addLog('Snapshot verwijderen mislukt.', 'error')
+    }
+  }
+
+  const downloadQualityReport = async () => {
+    if (!qualityReport) return
+    try {
+      const workbook = await buildQualityWorkbook(qualityReport, overzichtRows, { station })
+      const filename = `Datakwaliteit_${buildTimestamp()}.xlsx`
+      const buffer = await workbook.xlsx.writeBuffer()
+      downloadBlob(new Blob([buffer], { type: XLSX_MIME }), filename)
+      addLog(`Datakwaliteit rapport gedownload: ${filename}`)
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'Datakwaliteit rapport mislukt.', 'error')
+    }
+  }
+
+  const updateStationSettings = (key, value) => {
+    setSettingsByStation((prev) => ({
+      ...prev,
+      [settingsKey]: { ...(prev[settingsKey] || analysisSettings), [key]: value },
+    }))
+  }
+
+  const resetStationSettings = () => {
+    setSettingsByStation((prev) => {
+      const next = { ...prev }
+      delete next[settingsKey]
+      return next
+    })
+    addLog(
+      settingsKey
+        ? `Instellingen voor ${station.trim()} teruggezet.`
+        : 'Standaardinstellingen teruggezet.'
+    )
   }
 
-  const runEmailDraft = () => {
-    const draft = buildEmailDraft(station)
-    setEmailDraft(draft)
-    setLastEmailStation(station)
-    addLog('Email concept gegenereerd.')
+  const runChangeReport = async () => {
+    if (!overzichtFile || !previousFile) return
+    setBusyAction('diff')
+    addLog('Wijzigingen bepalen gestart.')
+    try {
+      const options = { mapping: columnMapping, settings: analysisSettings, aliases }
+      const previous = loadRun(await readWorkbook(previousFile), options)
+      const current = loadOverzichtRun(await readOverzichtFile(overzichtFile), options)
+      const changes = diffRuns(previous, current)
+      setChangeReport({ ...changes, previousSource: previous.source })
+      addLog(
+        `Wijzigingen: ${changes.nieuw.length} nieuw, ${changes.opgelost.length} van lijst af, ${changes.deadlineGewijzigd.length} deadlines verschoven, ${changes.herverdeeld.length} herverdeeld.`
+      )
+    } catch (error) {
+      setChangeReport(null)
+      addLog(error instanceof Error ? error.message : 'Wijzigingen bepalen mislukt.', 'error')
+    } finally {
+      setBusyAction('')
+    }
   }
 
-  const runPowerBiExport = async () => {
+  const runDataOphalen = async () => {
     if (!overzichtFile) return
-    setBusyAction((prev) => (prev ? prev : 'powerbi'))
-    addLog('PowerBI concept gestart.')
+    setBusyAction('data')
+    addLog('Data ophalen gestart.')
     try {
-      const wb = await readWorkbook(overzichtFile)
-      const sheet = wb.Sheets[wb.SheetNames[0]]
-      const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
-      if (!rows.length) throw new Error('Geen data gevonden in overzicht.')
-      const headers = rows[0].map((value) => String(value ?? '').trim())
-
-      const colBeoordeling = getColumnIndex(headers, 'Maatregelen beoordeling')
-      const colStatus = getColumnIndex(headers, 'Status (2)')
-      const colPlanned = getColumnIndex(headers, 'Geplande datum klaar')
-      const colDone = getColumnIndex(headers, 'Datum klaar')
-      const colActiehouder = getColumnIndex(headers, 'Actiehouder')
-      const colMaatregel = getColumnIndex(headers, 'Maatregel')
-      const colCode = getColumnIndex(headers, 'Code')
-      const colTitel = getColumnIndex(headers, 'Titel')
-      const colDiscipline = getColumnIndex(headers, 'Veroorzakende Discipline')
-
-      if (
-        [colBeoordeling, colStatus, colPlanned, colDone].some((index) => index === -1)
-      ) {
-        throw new Error('Kolomkoppen ontbreken in overzicht voor PowerBI.')
+      const rows = await readOverzichtFile(overzichtFile)
+      const result = analyzeAchterstallig(rows, {
+        mapping: columnMapping,
+        settings: analysisSettings,
+        aliases,
+      })
+      setAchterstalligRows(result.achterstallig)
+      setConceptRows(result.concept)
+      setActiehouders(result.actiehouders)
+      updateRemarks((prev) => pruneRemarkStore(prev, result.achterstallig))
+      if (qualityReport?.findings.length) {
+        addLog(
+          `Datakwaliteit: ${qualityReport.findings.length} bevindingen, zie Show datakwaliteit.`,
+          'error'
+        )
       }
+      addLog('Data ophalen afgerond.')
+      const stats = runPowerBiExport(rows)
+      await storeSnapshot(buildSnapshot({ ...result, stats }, { station }))
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'Data ophalen mislukt.', 'error')
+    } finally {
+      setBusyAction('')
+    }
+  }
 
-      let totalFiltered = 0
-      let validDates = 0
-      let overdueCount = 0
-      let missingDates = 0
-      const onTimeRows = []
-      const lateRows = []
-      const missingRows = []
-      const disciplineTotals = new Map()
-      const disciplineCounts = new Map()
-
-      for (let i = 1; i < rows.length; i += 1) {
-        const row = rows[i]
-        if (!row || row.length === 0) continue
-
-        const beoordeling = String(row[colBeoordeling] ?? '').trim()
-        const status = String(row[colStatus] ?? '').trim()
-        if (
-          normalize(beoordeling) !== normalize('Maatregelen nodig') ||
-          normalize(status) !== normalize('Afgehandeld')
-        ) {
-          continue
-        }
+  const updateEmailTemplate = (patch) => {
+    setTemplateState((prev) => ({
+      ...prev,
+      templates: {
+        ...prev.templates,
+        [prev.activeTemplate]: { ...prev.templates[prev.activeTemplate], ...patch },
+      },
+    }))
+  }
 
-        totalFiltered += 1
-        const plannedDate = parseExcelDate(row[colPlanned])
-        const doneDate = parseExcelDate(row[colDone])
-        const actiehouder = colActiehouder !== -1 ? String(row[colActiehouder] ?? '').trim() : ''
-        const maatregel = colMaatregel !== -1 ? String(row[colMaatregel] ?? '').trim() : ''
-
-        if (!plannedDate || !doneDate) {
-          missingDates += 1
-          missingRows.push({
-            code: colCode !== -1 ? row[colCode] : '',
-            titel: colTitel !== -1 ? row[colTitel] : '',
-            maatregel,
-            actiehouder,
-            geplandeDatum: plannedDate,
-            datumKlaar: doneDate,
-          })
-          continue
-        }
+  const insertPlaceholder = (key) => {
+    const placeholder = `{${key}}`
+    const textarea = templateBodyRef.current
+    const body = emailTemplate.body
+    const start = textarea ? textarea.selectionStart : body.length
+    const end = textarea ? textarea.selectionEnd : body.length
+    updateEmailTemplate({ body: `${body.slice(0, start)}${placeholder}${body.slice(end)}` })
+    requestAnimationFrame(() => {
+      if (!textarea) return
+      textarea.focus()
+      textarea.setSelectionRange(start + placeholder.length, start + placeholder.length)
+    })
+  }
 
-        validDates += 1
-        const rowPayload = {
-          code: colCode !== -1 ? row[colCode] : '',
-          titel: colTitel !== -1 ? row[colTitel] : '',
-          maatregel,
-          actiehouder,
-          geplandeDatum: plannedDate,
-          datumKlaar: doneDate,
-        }
-        if (doneDate > plannedDate) {
-          overdueCount += 1
-          lateRows.push(rowPayload)
-          const diffDays = Math.ceil((doneDate - plannedDate) / 86400000)
-          const discipline = colDiscipline !== -1 ? String(row[colDiscipline] ?? '').trim() : ''
-          if (discipline) {
-            disciplineTotals.set(
-              discipline,
-              (disciplineTotals.get(discipline) || 0) + Math.max(diffDays, 0)
-            )
-            disciplineCounts.set(discipline, (disciplineCounts.get(discipline) || 0) + 1)
-          }
-        } else {
-          onTimeRows.push(rowPayload)
-        }
+  const saveEmailTemplateAs = () => {
+    const name = newTemplateName.trim()
+    if (!name) return
+    setTemplateState((prev) => ({
+      activeTemplate: name,
+      templates: { ...prev.templates, [name]: { ...emailTemplate } },
+    }))
+    setNewTemplateName('')
+    addLog(`Email template "${name}" opgeslagen.`)
+  }
 
+  const removeEmailTemplate = () => {
+    const name = templateState.activeTemplate
+    const isDefault = Boolean(DEFAULT_EMAIL_TEMPLATES[name])
+    setTemplateState((prev) => {
+      const templates = { ...prev.templates }
+      if (isDefault) {
+        templates[name] = { ...DEFAULT_EMAIL_TEMPLATES[name] }
+        return { ...prev, templates }
       }
+      delete templates[name]
+      return { activeTemplate: DEFAULT_EMAIL_TEMPLATE_NAME, templates }
+    })
+    addLog(
+      isDefault ? `Email template "${name}" hersteld.` : `Email template "${name}" verwijderd.`
+    )
+  }
 
-      const overduePercent = validDates ? (overdueCount / validDates) * 100 : 0
-      const onTimePercent = validDates ? ((validDates - overdueCount) / validDates) * 100 : 0
-      const traffic =
-        onTimePercent <= 35 ? 'red' : onTimePercent < 75 ? 'orange' : 'green'
-
-      setPowerBiStats({
-        totalFiltered,
-        validDates,
-        overdueCount,
-        missingDates,
-        overduePercent,
-        onTimePercent,
-        traffic,
-        onTimeRows,
-        lateRows,
-        missingRows,
-        disciplineTotals,
-        disciplineCounts,
+  const runPowerBiExport = (rows) => {
+    addLog('PowerBI concept gestart.')
+    try {
+      const stats = analyzePlanningGereed(rows, {
+        mapping: columnMapping,
+        settings: analysisSettings,
+        aliases,
       })
+      setPowerBiStats(stats)
       setPowerBiReady(true)
       addLog('PowerBI data klaar.')
-      if (missingDates > 0) {
+      if (stats.missingDates > 0) {
         addLog(
-          `${missingDates} rijen missen Geplande datum klaar of Datum klaar.`,
+          `${stats.missingDates} rijen missen Geplande datum klaar of Datum klaar.`,
           'error'
         )
       }
+      return stats
     } catch (error) {
       addLog(error instanceof Error ? error.message : 'PowerBI data ophalen mislukt.', 'error')
       setPowerBiReady(false)
       setPowerBiStats(null)
-    } finally {
-      setBusyAction((prev) => (prev === 'powerbi' ? '' : prev))
+      return null
     }
   }
 
@@ -516,6 +1022,99 @@ function App() {
     }
   }
 
+  const copyHtmlToClipboard = async (html, text) => {
+    if (!html) return
+    try {
+      if (typeof ClipboardItem === 'undefined') throw new Error('ClipboardItem niet beschikbaar')
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/html': new Blob([html], { type: 'text/html' }),
+          'text/plain': new Blob([text || ''], { type: 'text/plain' }),
+        }),
+      ])
+      addLog('Opgemaakte tekst gekopieerd naar klembord.')
+    } catch (error) {
+      await copyToClipboard(text)
+    }
+  }
+
+  const downloadEml = (draft, to = []) => {
+    const content = buildEml({
+      to,
+      cc: ccAddresses,
+      subject: draft.subject,
+      text: draft.body,
+      html: draft.html,
+    })
+    const filename = `${draft.subject.replace(/[\\/:*?"<>|]/g, '_')}.eml`
+    downloadBlob(new Blob([content], { type: 'message/rfc822' }), filename)
+    addLog(`Email gedownload: ${filename}`)
+  }
+
+  const openMailto = (draft, to = []) => {
+    const link = buildMailtoLink({ to, cc: ccAddresses, subject: draft.subject, body: draft.body })
+    if (link.length > MAILTO_MAX_LENGTH) {
+      addLog('Bericht te lang voor een mail-link, gebruik Download .eml.', 'error')
+      return
+    }
+    window.location.href = link
+  }
+
+  const importAddressBookCsv = async (file) => {
+    if (!file) return
+    try {
+      const entries = parseAddressBookCsv(await file.text())
+      if (!entries.length) {
+        addLog('Geen namen met emailadres gevonden in CSV.', 'error')
+        return
+      }
+      setAddressBook((prev) => ({ ...prev, entries: mergeAddressBooks(prev.entries, entries) }))
+      addLog(`${entries.length} adressen geimporteerd uit CSV.`)
+    } catch (error) {
+      addLog('Adresboek importeren mislukt.', 'error')
+    }
+  }
+
+  const importAddressBookFromDashboard = async () => {
+    if (!dashboardFile) return
+    try {
+      const entries = readAddressBookSheet(await readWorkbook(dashboardFile))
+      if (!entries.length) {
+        addLog('Geen adresboek gevonden in dashboard.', 'error')
+        return
+      }
+      setAddressBook((prev) => ({ ...prev, entries: mergeAddressBooks(prev.entries, entries) }))
+      addLog(`${entries.length} adressen geimporteerd uit dashboard.`)
+    } catch (error) {
+      addLog('Dashboard kon niet worden uitgelezen.', 'error')
+    }
+  }
+
+  const addAddressEntry = (name, email) => {
+    const trimmedName = name.trim()
+    const trimmedEmail = email.trim()
+    if (!trimmedName || !isValidEmail(trimmedEmail)) return
+    setAddressBook((prev) => ({
+      ...prev,
+      entries: mergeAddressBooks(prev.entries, [{ name: trimmedName, email: trimmedEmail }]),
+    }))
+    setNewAddress({ name: '', email: '' })
+  }
+
+  const mergeAliasGroup = (group) => {
+    const naam = aliasChoices[group.names.join('|')] || group.suggestion
+    setAliases((prev) => mergeAliases(prev, group.names, naam))
+    addLog(`${group.names.length} schrijfwijzen samengevoegd tot "${naam}". Voer de analyse opnieuw uit.`)
+  }
+
+  const addAlias = (alias, naam) => {
+    const trimmedAlias = alias.trim()
+    const trimmedNaam = naam.trim()
+    if (!trimmedAlias || !trimmedNaam || trimmedAlias === trimmedNaam) return
+    setAliases((prev) => mergeAliases(prev, [trimmedAlias], trimmedNaam))
+    setNewAlias({ alias: '', naam: '' })
+  }
+
   const downloadStatsImage = async () => {
     if (!statsRef.current || !powerBiStats || statsDownloading) return
     setStatsDownloading(true)
@@ -541,109 +1140,125 @@ function App() {
     }
   }
 
-  const downloadDashboardExport = async () => {
-    if (!achterstalligRows.length && !conceptRows.length && !actiehouders.length) {
-      addLog('Geen data om te exporteren.', 'error')
+  const downloadPdfReport = async () => {
+    if (!achterstalligRows.length && !conceptRows.length && !powerBiStats) {
+      addLog('Geen data voor PDF rapport.', 'error')
       return
     }
-    const headersAchterstallig = [
-      'Afw. Code',
-      'Afwijking Titel',
-      'Maatregel Code',
-      'Maatregel',
-      'Status',
-      'Actiehouder',
-      'Geplande datum klaar',
-      'Opmerking',
-    ]
-    const exportMetaRows = [
-      ['Project', station || ''],
-      ['Type', 'Afwijkingen overzicht'],
-      ['Datum DB', new Date().toLocaleString('nl-NL')],
-    ]
-    const achterstalligData = achterstalligRows.map((row) => [
-      row.code,
-      row.titel,
-      row.maatregelCode,
-      row.maatregel,
-      row.status,
-      row.actiehouder,
-      row.geplandeDatum,
-      row.opmerking,
-    ])
-    const headersConcept = [
-      'Afw. Code',
-      'Afwijking Titel',
-      'Status',
-      'Opsteller',
-      'Geplande datum klaar',
-    ]
-    const conceptData = conceptRows.map((row) => [
-      row.code,
-      row.titel,
-      row.status,
-      row.opsteller,
-      row.geplandeDatum,
-    ])
-    const actiehouderRows = actiehouders.map((name) => [name])
-
-    const workbook = new ExcelJS.Workbook()
-    workbook.creator = 'afwijkingen-lab'
-
-    const buildSheet = (name, headers, rows, tableName) => {
-      const sheet = workbook.addWorksheet(name)
-      exportMetaRows.forEach((row) => sheet.addRow(row))
-      const tableRows =
-        rows && rows.length ? rows : [headers.map(() => '')]
-      sheet.addTable({
-        name: tableName,
-        ref: 'A4',
-        headerRow: true,
-        totalsRow: false,
-        style: { theme: 'TableStyleLight1', showRowStripes: false },
-        columns: headers.map((header) => ({ name: header })),
-        rows: tableRows,
-      })
-      styleMetaBlock(sheet)
-      styleTableHeader(sheet, headers.length)
-      styleTableRows(sheet, tableRows.length, headers.length)
-      const widths = computeColumnWidths(headers, rows, exportMetaRows)
-      sheet.columns = headers.map((_, index) => ({
-        width: widths[index],
-      }))
-      sheet.views = [{ state: 'frozen', ySplit: 4, topLeftCell: 'A5' }]
+    setBusyAction('pdf')
+    try {
+      const doc = await buildPdfReport(
+        { achterstallig: achterstalligWithRemarks, concept: conceptWithRemarks, stats: powerBiStats },
+        { station, settings: analysisSettings }
+      )
+      const filename = `Afwijkingen_rapport_${buildTimestamp()}.pdf`
+      downloadBlob(new Blob([doc.output('arraybuffer')], { type: PDF_MIME }), filename)
+      addLog(`PDF rapport gedownload: ${filename}`)
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'PDF rapport maken mislukt.', 'error')
+    } finally {
+      setBusyAction('')
     }
-
-    buildSheet(
-      'Afwijking achterstallig',
-      headersAchterstallig,
-      achterstalligData,
-      'AchterstalligTable'
-    )
-    buildSheet('Afwijking concept', headersConcept, conceptData, 'ConceptTable')
-    buildSheet('Actiehouders', ['Actiehouder'], actiehouderRows, 'ActiehoudersTable')
-
-    const filename = `Afwijkingen_dashboard_export_${buildTimestamp()}.xlsx`
-    const buffer = await workbook.xlsx.writeBuffer()
-    const blob = new Blob([buffer], {
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = filename
-    link.rel = 'noopener'
-    document.body.appendChild(link)
-    link.click()
-    link.remove()
-    setTimeout(() => URL.revokeObjectURL(url), 1000)
-    addLog(`Dashboard export gedownload: ${filename}`)
   }
 
-  const handleDrop = (target) => async (event) => {
-    event.preventDefault()
-    const file = event.dataTransfer.files?.[0] || null
-    setDragTarget('')
+  const downloadDashboardExport = async () => {
+    if (!achterstalligRows.length && !conceptRows.length && !actiehouders.length) {
+      addLog('Geen data om te exporteren.', 'error')
+      return
+    }
+    const exportResult = exportFilteredView
+      ? {
+          achterstallig: achterstalligView.viewRows,
+          concept: conceptView.viewRows,
+          actiehouders: Array.from(
+            new Set(achterstalligView.viewRows.map((row) => row.actiehouder).filter(Boolean))
+          ).sort((a, b) => a.localeCompare(b)),
+          stats: powerBiStats,
+        }
+      : {
+          achterstallig: achterstalligWithRemarks,
+          concept: conceptWithRemarks,
+          actiehouders,
+          stats: powerBiStats,
+        }
+    const columns = exportFilteredView
+      ? {
+          achterstallig: achterstalligView.visibleColumns.map((column) => column.key),
+          concept: conceptView.visibleColumns.map((column) => column.key),
+        }
+      : {}
+    if (writeToDashboard && dashboardFile) {
+      try {
+        const { data, counts } = fillDashboardWorkbook(
+          await dashboardFile.arrayBuffer(),
+          exportResult,
+          { station }
+        )
+        const extension = /\.xlsx$/i.test(dashboardFile.name) ? 'xlsx' : 'xlsm'
+        const filename = `${dashboardFile.name.replace(/\.[^.]+$/, '')}_${buildTimestamp()}.${extension}`
+        downloadBlob(
+          new Blob([data], { type: extension === 'xlsx' ? XLSX_MIME : XLSM_MIME }),
+          filename
+        )
+        const skipped = Object.entries(counts)
+          .filter(([, count]) => count === null)
+          .map(([sheet]) => sheet)
+        if (skipped.length) {
+          addLog(`Werkbladen niet gevonden in dashboard: ${skipped.join(', ')}.`, 'error')
+        }
+        addLog(`Dashboard bijgewerkt en gedownload: ${filename}`)
+      } catch (error) {
+        addLog(error instanceof Error ? error.message : 'Dashboard bijwerken mislukt.', 'error')
+      }
+      return
+    }
+    try {
+      const workbook = await buildDashboardWorkbook(exportResult, {
+        station,
+        changes: includeChanges ? changeReport : null,
+        columns,
+        aliases,
+      })
+      const filename = `Afwijkingen_dashboard_export_${buildTimestamp()}.xlsx`
+      const buffer = await writeDashboardWorkbook(workbook, { stats: powerBiStats })
+      downloadBlob(new Blob([buffer], { type: XLSX_MIME }), filename)
+      addLog(
+        exportFilteredView
+          ? `Dashboard export (gefilterde weergave) gedownload: ${filename}`
+          : `Dashboard export gedownload: ${filename}`
+      )
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'Dashboard export mislukt.', 'error')
+    }
+  }
+
+  const runDatabaseExport = async () => {
+    if (!databaseFile || !overzichtFile) return
+    setBusyAction('database')
+    addLog('Database bijwerken gestart.')
+    try {
+      const rows = await readOverzichtFile(overzichtFile)
+      const { data, updatedCount, addedCount } = updateDatabaseWorkbook(
+        await databaseFile.arrayBuffer(),
+        rows,
+        { mapping: columnMapping }
+      )
+
+      const filename = 'Afwijkingen database bijgewerkt.xlsx'
+      downloadBlob(new Blob([data], { type: XLSX_MIME }), filename)
+      addLog(`Database bijgewerkt: ${updatedCount} rijen bijgewerkt, ${addedCount} rijen toegevoegd.`)
+      addLog(`Database export gedownload: ${filename}`)
+    } catch (error) {
+      addLog(error instanceof Error ? error.message : 'Database bijwerken mislukt.', 'error')
+    } finally {
+      setBusyAction('')
+    }
+  }
+
+  const handleDrop = (target) => async (event) => {
+    event.preventDefault()
+    const file = event.dataTransfer.files?.[0] || null
+    setDragTarget('')
     if (!file) return
     if (target === 'dashboard') {
       await handleDashboardUpload(file)
@@ -656,9 +1271,7 @@ function App() {
       return
     }
     if (target === 'overzicht') {
-      setOverzichtFile(file)
-      setPowerBiReady(false)
-      setPowerBiStats(null)
+      await handleOverzichtUpload(file)
     }
   }
 
@@ -677,11 +1290,18 @@ function App() {
   }
 
   useEffect(() => {
-    if (activePanel !== 'email') return
-    if (!emailDraft || lastEmailStation !== station) {
-      runEmailDraft()
+    let cancelled = false
+    listSnapshots()
+      .then((stored) => {
+        if (!cancelled) setSnapshots(stored)
+      })
+      .catch(() => {
+        // IndexedDB niet beschikbaar; trends blijven leeg.
+      })
+    return () => {
+      cancelled = true
     }
-  }, [activePanel, emailDraft, lastEmailStation, station])
+  }, [])
 
   useEffect(() => {
     if (!showHelp) return
@@ -739,7 +1359,7 @@ function App() {
         nextItems.push({
           id: 'actions',
           title: 'Stap 2: Acties',
-          body: 'Klik "Data ophalen" en daarna "Dashboard export" om te downloaden.',
+          body: 'Klik "Data ophalen" en daarna "Dashboard export" of "PowerBI data" om te downloaden.',
           ...(compact
             ? {}
             : {
@@ -758,7 +1378,7 @@ function App() {
         nextItems.push({
           id: 'toggles',
           title: 'Stap 3: Panels',
-          body: 'Gebruik de toggles om Resultaten, Email, Log of PowerBI te openen.',
+          body: 'Gebruik de toggles om Resultaten, Email, Log, PowerBI, Kolommen, Stations, Trends, Wijzigingen, Datakwaliteit, Aliassen of Instellingen te openen.',
           ...(compact
             ? {}
             : {
@@ -870,7 +1490,10 @@ function App() {
             <input
               type="file"
               accept=".xlsm,.xlsx"
-              onChange={(event) => handleDashboardUpload(event.target.files?.[0] || null)}
+              onChange={(event) => {
+                void handleDashboardUpload(event.target.files?.[0] || null)
+                event.target.value = ''
+              }}
             />
             <span className="upload-cta">Kies bestand</span>
           </label>
@@ -913,9 +1536,8 @@ function App() {
               type="file"
               accept=".xlsx,.xlsm"
               onChange={(event) => {
-                setOverzichtFile(event.target.files?.[0] || null)
-                setPowerBiReady(false)
-                setPowerBiStats(null)
+                void handleOverzichtUpload(event.target.files?.[0] || null)
+                event.target.value = ''
               }}
             />
             <span className="upload-cta">Kies bestand</span>
@@ -934,7 +1556,6 @@ function App() {
                 setAchterstalligRows([])
                 setConceptRows([])
                 setActiehouders([])
-                setEmailDraft(null)
                 setPowerBiReady(false)
                 setPowerBiStats(null)
                 setLogEntries([])
@@ -961,7 +1582,55 @@ function App() {
           >
             Dashboard export
           </button>
+          <label className="check-field">
+            <input
+              type="checkbox"
+              checked={exportFilteredView}
+              onChange={(event) => setExportFilteredView(event.target.checked)}
+            />
+            <span>Alleen gefilterde weergave</span>
+          </label>
+          <label className="check-field">
+            <input
+              type="checkbox"
+              checked={writeToDashboard && Boolean(dashboardFile)}
+              onChange={(event) => setWriteToDashboard(event.target.checked)}
+              disabled={!dashboardFile}
+            />
+            <span>In geupload dashboard schrijven</span>
+          </label>
+          {writeToDashboard && dashboardFile ? (
+            <span className="meta">
+              Alleen achterstallig, concept en actiehouders; de werkbladen Statistieken, Wijzigingen en
+              Aliassen staan alleen in de losse dashboard export.
+            </span>
+          ) : null}
+          <button
+            className="ghost"
+            type="button"
+            onClick={() => void downloadPdfReport()}
+            disabled={
+              (!achterstalligRows.length && !conceptRows.length && !powerBiStats) ||
+              busyAction === 'pdf'
+            }
+          >
+            {busyAction === 'pdf' ? 'PDF rapport...' : 'PDF rapport'}
+          </button>
+          <button
+            className="ghost"
+            type="button"
+            onClick={() => void runDatabaseExport()}
+            disabled={!databaseFile || !overzichtFile || busyAction === 'database'}
+          >
+            {busyAction === 'database' ? 'PowerBI data...' : 'PowerBI data'}
+          </button>
         </div>
+        {parseProgress ? (
+          <div className="parse-progress" role="status">
+            <progress max="100" value={parseProgress.percent} />
+            <span className="meta">{parseProgress.stage}</span>
+          </div>
+        ) : null}
         <div className="output-cards">
           <div className="stat-card">
             <p className="stat-label">Achterstallig</p>
@@ -1024,83 +1693,108 @@ function App() {
           >
             {activePanel === 'powerbi' ? 'Hide statistieken' : 'Show statistieken'}
           </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'mapping' ? 'none' : 'mapping'))}
+          >
+            {activePanel === 'mapping' ? 'Hide kolommen' : 'Show kolommen'}
+          </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'stations' ? 'none' : 'stations'))}
+          >
+            {activePanel === 'stations' ? 'Hide stations' : 'Show stations'}
+          </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'trends' ? 'none' : 'trends'))}
+          >
+            {activePanel === 'trends' ? 'Hide trends' : 'Show trends'}
+          </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'diff' ? 'none' : 'diff'))}
+          >
+            {activePanel === 'diff' ? 'Hide wijzigingen' : 'Show wijzigingen'}
+          </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'quality' ? 'none' : 'quality'))}
+          >
+            {activePanel === 'quality' ? 'Hide datakwaliteit' : 'Show datakwaliteit'}
+            {qualityReport?.findings.length ? ` (${qualityReport.findings.length})` : ''}
+          </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'aliases' ? 'none' : 'aliases'))}
+          >
+            {activePanel === 'aliases' ? 'Hide aliassen' : 'Show aliassen'}
+            {aliasCandidates.length ? ` (${aliasCandidates.length})` : ''}
+          </button>
+          <button
+            className="ghost toggle"
+            type="button"
+            onClick={() => setActivePanel((prev) => (prev === 'settings' ? 'none' : 'settings'))}
+          >
+            {activePanel === 'settings' ? 'Hide instellingen' : 'Show instellingen'}
+          </button>
         </div>
         <div className={`toggle-panel ${activePanel === 'results' ? 'open' : ''}`}>
           <div className="panel-body">
             <div className="output-stack">
-            <div className="table-card">
-              <div className="table-header">
-                <h3>Achterstallig</h3>
-                <span className="meta">{achterstalligRows.length} rijen</span>
-              </div>
-            <div className="table-scroll">
-              {achterstalligRows.length ? (
-                <table>
-                  <thead>
-                    <tr>
-                      <th>Code</th>
-                      <th>Afwijking titel</th>
-                      <th>Maatregel code</th>
-                      <th>Maatregel</th>
-                      <th>Status</th>
-                      <th>Actiehouder</th>
-                      <th>Geplande datum</th>
-                      <th>Opmerking</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {achterstalligRows.map((row, index) => (
-                      <tr key={`achterstallig-${index}`}>
-                        <td>{row.code}</td>
-                        <td>{row.titel}</td>
-                        <td>{row.maatregelCode}</td>
-                        <td>{row.maatregel}</td>
-                        <td>{row.status}</td>
-                        <td>{row.actiehouder}</td>
-                        <td>{formatDate(row.geplandeDatum)}</td>
-                        <td>{row.opmerking}</td>
-                      </tr>
-                    ))}
-                    </tbody>
-                  </table>
-                ) : (
-                  <p className="empty">Nog geen data opgehaald.</p>
-                )}
+              <div className="table-card">
+                <div className="table-header">
+                  <h3>Achterstallig</h3>
+                  <span className="meta">
+                    {achterstalligRows.length} rijen
+                    {dashboardState?.achterstallig.length
+                      ? ` (vorig dashboard: ${dashboardState.achterstallig.length})`
+                      : ''}
+                  </span>
+                </div>
+                <DataTable
+                  view={achterstalligView}
+                  filterLabels={FILTER_LABELS}
+                  emptyText="Nog geen data opgehaald."
+                  rowKey="achterstallig"
+                  renderCell={(row, column) =>
+                    column.key === 'opmerkingen' ? (
+                      <RemarkInput
+                        key={`${row.code}|${row.maatregelCode}`}
+                        value={row.opmerkingen ?? ''}
+                        placeholder="Status update"
+                        onCommit={(text) =>
+                          updateRemarks((prev) => updateRemarkStore(prev, row, text))
+                        }
+                      />
+                    ) : undefined
+                  }
+                />
               </div>
-            </div>
 
-            <div className="table-card">
-              <div className="table-header">
-                <h3>Concept</h3>
-                <span className="meta">{conceptRows.length} rijen</span>
-              </div>
-              <div className="table-scroll">
-                {conceptRows.length ? (
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>Code</th>
-                        <th>Afwijking titel</th>
-                        <th>Opsteller</th>
-                        <th>Geplande datum</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {conceptRows.map((row, index) => (
-                        <tr key={`concept-${index}`}>
-                          <td>{row.code}</td>
-                          <td>{row.titel}</td>
-                          <td>{row.opsteller}</td>
-                          <td>{formatDate(row.geplandeDatum)}</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                ) : (
-                  <p className="empty">Nog geen concept data.</p>
-                )}
+              <div className="table-card">
+                <div className="table-header">
+                  <h3>Concept</h3>
+                  <span className="meta">
+                    {conceptRows.length} rijen
+                    {dashboardState?.concept.length
+                      ? ` (vorig dashboard: ${dashboardState.concept.length})`
+                      : ''}
+                  </span>
+                </div>
+                <DataTable
+                  view={conceptView}
+                  filterLabels={FILTER_LABELS}
+                  emptyText="Nog geen concept data."
+                  rowKey="concept"
+                />
               </div>
-            </div>
 
           <div className="table-card">
             <div className="table-header">
@@ -1110,14 +1804,91 @@ function App() {
             <div className="list-grid">
                 {actiehouders.length ? (
                   actiehouders.map((name) => (
-                    <span className="pill" key={name}>
+                    <button
+                      className={`pill actiehouder-pill ${name === selectedActiehouder ? 'selected' : ''}`}
+                      type="button"
+                      key={name}
+                      onClick={() =>
+                        setSelectedActiehouder((prev) => (prev === name ? '' : name))
+                      }
+                    >
                       {name}
-                    </span>
+                    </button>
                   ))
                 ) : (
                   <p className="empty">Nog geen actiehouders.</p>
                 )}
               </div>
+              {selectedScorecard ? (
+                <div className="table-card mini-table">
+                  <div className="table-header">
+                    <h3>Scorecard: {selectedScorecard.actiehouder}</h3>
+                    <span className="meta">
+                      Positie {selectedScorecard.rang} van {scorecards.length}
+                    </span>
+                  </div>
+                  <div className="output-cards">
+                    <div className="stat-card">
+                      <p className="stat-label">Deadline verlopen</p>
+                      <p className="stat-value">{selectedScorecard.verlopen}</p>
+                      <p className="stat-note">{selectedScorecard.open} open achterstallig</p>
+                    </div>
+                    <div className="stat-card">
+                      <p className="stat-label">Binnen horizon</p>
+                      <p className="stat-value">{selectedScorecard.aankomend}</p>
+                      <p className="stat-note">{getHorizonLabel(analysisSettings)}</p>
+                    </div>
+                    <div className="stat-card">
+                      <p className="stat-label">Op tijd afgerond</p>
+                      <p className="stat-value">
+                        {selectedScorecard.opTijdPercent === null
+                          ? '-'
+                          : `${selectedScorecard.opTijdPercent}%`}
+                      </p>
+                      <p className="stat-note">
+                        {powerBiStats
+                          ? `${selectedScorecard.opTijd} op tijd, ${selectedScorecard.teLaat} te laat`
+                          : 'Genereer eerst de statistieken'}
+                      </p>
+                    </div>
+                    <div className="stat-card">
+                      <p className="stat-label">Gem. {dayUnit} te laat</p>
+                      <p className="stat-value">{selectedScorecard.gemDagenTeLaat ?? '-'}</p>
+                      <p className="stat-note">
+                        Afgerond: {selectedScorecard.gemDagenTeLaatAfgerond ?? '-'}
+                      </p>
+                    </div>
+                  </div>
+                  <h3>Openstaand achterstallig</h3>
+                  <DataTable
+                    view={scorecardOpenView}
+                    emptyText="Geen openstaande achterstallige maatregelen."
+                    rowKey="scorecard-open"
+                  />
+                  <h3>Deadlines binnen horizon</h3>
+                  <DataTable
+                    view={scorecardUpcomingView}
+                    emptyText="Geen deadlines binnen de horizon."
+                    rowKey="scorecard-aankomend"
+                  />
+                </div>
+              ) : null}
+            </div>
+
+            <div className="table-card">
+              <div className="table-header">
+                <h3>Ranglijst actiehouders</h3>
+                <span className="meta">Gesorteerd op aantal verlopen deadlines</span>
+              </div>
+              <DataTable
+                view={scorecardView}
+                emptyText="Nog geen actiehouders."
+                rowKey="ranglijst"
+                onRowClick={(card) =>
+                  setSelectedActiehouder((prev) => (prev === card.actiehouder ? '' : card.actiehouder))
+                }
+                selectedRow={selectedScorecard}
+              />
             </div>
             </div>
           </div>
@@ -1126,6 +1897,82 @@ function App() {
 
         <div className={`toggle-panel ${activePanel === 'email' ? 'open' : ''}`}>
           <div className="panel-body">
+            <div className="output-stack">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Email template</h3>
+                <div className="panel-actions">
+                  <select
+                    className="select-field"
+                    value={templateState.activeTemplate}
+                    onChange={(event) =>
+                      setTemplateState((prev) => ({ ...prev, activeTemplate: event.target.value }))
+                    }
+                  >
+                    {Object.keys(templateState.templates).map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                  <button className="ghost" type="button" onClick={removeEmailTemplate}>
+                    {DEFAULT_EMAIL_TEMPLATES[templateState.activeTemplate]
+                      ? 'Standaard herstellen'
+                      : 'Verwijderen'}
+                  </button>
+                </div>
+              </div>
+              <div className="email-draft">
+                <label>
+                  <span className="stat-label">Onderwerp</span>
+                  <input
+                    className="table-input"
+                    type="text"
+                    value={emailTemplate.subject}
+                    onChange={(event) => updateEmailTemplate({ subject: event.target.value })}
+                  />
+                </label>
+                <label>
+                  <span className="stat-label">Bericht</span>
+                  <textarea
+                    ref={templateBodyRef}
+                    value={emailTemplate.body}
+                    rows={10}
+                    onChange={(event) => updateEmailTemplate({ body: event.target.value })}
+                  />
+                </label>
+                <div className="list-grid">
+                  {EMAIL_PLACEHOLDERS.map((placeholder) => (
+                    <button
+                      className="pill placeholder-pill"
+                      type="button"
+                      key={placeholder.key}
+                      title={placeholder.label}
+                      onClick={() => insertPlaceholder(placeholder.key)}
+                    >
+                      {`{${placeholder.key}}`}
+                    </button>
+                  ))}
+                </div>
+                <div className="inline-field mapping-save">
+                  <span>Opslaan als</span>
+                  <input
+                    type="text"
+                    value={newTemplateName}
+                    onChange={(event) => setNewTemplateName(event.target.value)}
+                    placeholder="Bijv. Tweede herinnering"
+                  />
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={saveEmailTemplateAs}
+                    disabled={!newTemplateName.trim()}
+                  >
+                    Template opslaan
+                  </button>
+                </div>
+              </div>
+            </div>
             <div className="table-card">
               <div className="panel-header">
                 <h3>Email concept</h3>
@@ -1133,36 +1980,234 @@ function App() {
                   <button
                     className="ghost"
                     type="button"
-                    onClick={() => copyToClipboard(emailDraft?.subject)}
-                    disabled={!emailDraft}
+                    onClick={() => copyToClipboard(emailDraft.subject)}
                   >
                     Kopieer onderwerp
                   </button>
                   <button
                     className="ghost"
                     type="button"
-                    onClick={() => copyToClipboard(emailDraft?.body)}
-                    disabled={!emailDraft}
+                    onClick={() => copyToClipboard(emailDraft.body)}
                   >
                     Kopieer bericht
                   </button>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => downloadEml(emailDraft, emailRecipients.emails)}
+                  >
+                    Download .eml
+                  </button>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => openMailto(emailDraft, emailRecipients.emails)}
+                  >
+                    Open in mail
+                  </button>
                 </div>
               </div>
-              {emailDraft ? (
-                <div className="email-draft">
-                  <div>
-                    <p className="stat-label">Onderwerp</p>
-                    <p className="email-subject">{emailDraft.subject}</p>
-                  </div>
-                  <div>
-                    <p className="stat-label">Bericht</p>
-                    <textarea readOnly value={emailDraft.body} rows={8} />
-                  </div>
+              <div className="email-draft">
+                <div>
+                  <p className="stat-label">Aan</p>
+                  <p className="email-recipients">
+                    {emailRecipients.emails.length ? emailRecipients.emails.join(', ') : '-'}
+                    {ccAddresses.length ? ` (cc: ${ccAddresses.join(', ')})` : ''}
+                  </p>
+                  {emailRecipients.missing.length ? (
+                    <p className="meta">Geen adres voor: {emailRecipients.missing.join(', ')}</p>
+                  ) : null}
+                </div>
+                <div>
+                  <p className="stat-label">Onderwerp</p>
+                  <p className="email-subject">{emailDraft.subject}</p>
+                </div>
+                <div>
+                  <p className="stat-label">Bericht</p>
+                  <textarea readOnly value={emailDraft.body} rows={8} />
+                </div>
+              </div>
+            </div>
+            <div className="table-card">
+              <div className="table-header">
+                <h3>Per actiehouder</h3>
+                <span className="meta">{actiehouderDrafts.length} concepten</span>
+              </div>
+              {actiehouderDrafts.length ? (
+                <div className="draft-list">
+                  {actiehouderDrafts.map((draft) => {
+                    const recipients = resolveRecipients([draft.actiehouder], addressBook.entries, {
+                      aliases,
+                    })
+                    return (
+                      <details className="draft-item" key={draft.actiehouder}>
+                        <summary>
+                          <span className="draft-name">{draft.actiehouder}</span>
+                          <span className="meta">
+                            {recipients.emails[0] || 'Geen adres'} - {draft.rows.length} maatregelen
+                          </span>
+                        </summary>
+                        <div className="email-draft">
+                          <div>
+                            <p className="stat-label">Onderwerp</p>
+                            <p className="email-subject">{draft.subject}</p>
+                          </div>
+                          <div
+                            className="email-preview"
+                            dangerouslySetInnerHTML={{ __html: draft.html }}
+                          />
+                          <div className="panel-actions">
+                            <button
+                              className="ghost"
+                              type="button"
+                              onClick={() => copyToClipboard(draft.subject)}
+                            >
+                              Kopieer onderwerp
+                            </button>
+                            <button
+                              className="ghost"
+                              type="button"
+                              onClick={() => copyHtmlToClipboard(draft.html, draft.body)}
+                            >
+                              Kopieer opgemaakt
+                            </button>
+                            <button
+                              className="ghost"
+                              type="button"
+                              onClick={() => downloadEml(draft, recipients.emails)}
+                            >
+                              Download .eml
+                            </button>
+                            <button
+                              className="ghost"
+                              type="button"
+                              onClick={() => openMailto(draft, recipients.emails)}
+                            >
+                              Open in mail
+                            </button>
+                          </div>
+                        </div>
+                      </details>
+                    )
+                  })}
                 </div>
               ) : (
-                <p className="empty">Klik op "Email opstellen" om een concept te maken.</p>
+                <p className="empty">Klik op "Data ophalen" om concepten per actiehouder te maken.</p>
               )}
             </div>
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Adresboek</h3>
+                <div className="panel-actions">
+                  <label className="ghost file-button">
+                    Importeer CSV
+                    <input
+                      type="file"
+                      accept=".csv,text/csv"
+                      onChange={(event) => {
+                        void importAddressBookCsv(event.target.files?.[0] || null)
+                        event.target.value = ''
+                      }}
+                    />
+                  </label>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => void importAddressBookFromDashboard()}
+                    disabled={!dashboardFile}
+                  >
+                    Uit dashboard
+                  </button>
+                </div>
+              </div>
+              <div className="email-draft">
+                <label>
+                  <span className="stat-label">CC (altijd)</span>
+                  <input
+                    className="table-input"
+                    type="text"
+                    value={addressBook.cc}
+                    onChange={(event) =>
+                      setAddressBook((prev) => ({ ...prev, cc: event.target.value }))
+                    }
+                    placeholder="Bijv. teamleider@bedrijf.nl; archief@bedrijf.nl"
+                  />
+                </label>
+                {addressBook.entries.length ? (
+                  <div className="table-scroll">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Actiehouder</th>
+                          <th>Email</th>
+                          <th />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {addressBook.entries.map((entry) => (
+                          <tr key={entry.name}>
+                            <td>{entry.name}</td>
+                            <td>{entry.email}</td>
+                            <td>
+                              <button
+                                className="ghost small"
+                                type="button"
+                                onClick={() =>
+                                  setAddressBook((prev) => ({
+                                    ...prev,
+                                    entries: prev.entries.filter((item) => item.name !== entry.name),
+                                  }))
+                                }
+                              >
+                                Verwijder
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <p className="empty">
+                    Nog geen adressen. Importeer een CSV (naam;email) of een werkblad
+                    "Adresboek" uit het dashboard.
+                  </p>
+                )}
+                <div className="inline-field mapping-save">
+                  <select
+                    className="select-field"
+                    value={newAddress.name}
+                    onChange={(event) =>
+                      setNewAddress((prev) => ({ ...prev, name: event.target.value }))
+                    }
+                  >
+                    <option value="">Actiehouder zonder adres</option>
+                    {emailRecipients.missing.map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="email"
+                    value={newAddress.email}
+                    onChange={(event) =>
+                      setNewAddress((prev) => ({ ...prev, email: event.target.value }))
+                    }
+                    placeholder="naam@bedrijf.nl"
+                  />
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => addAddressEntry(newAddress.name, newAddress.email)}
+                    disabled={!newAddress.name || !isValidEmail(newAddress.email)}
+                  >
+                    Toevoegen
+                  </button>
+                </div>
+              </div>
+            </div>
+            </div>
           </div>
         </div>
 
@@ -1226,21 +2271,16 @@ function App() {
                     </div>
                     <div className="gauge">
                       <svg className="gauge-svg" viewBox="0 0 200 120" aria-hidden="true">
-                        <path
-                          d="M 20 100 A 80 80 0 0 1 180 100"
-                          className="gauge-segment red"
-                          pathLength="100"
-                        />
-                        <path
-                          d="M 20 100 A 80 80 0 0 1 180 100"
-                          className="gauge-segment orange"
-                          pathLength="100"
-                        />
-                        <path
-                          d="M 20 100 A 80 80 0 0 1 180 100"
-                          className="gauge-segment green"
-                          pathLength="100"
-                        />
+                        {statsSegments.map((segment) => (
+                          <path
+                            key={segment.color}
+                            d="M 20 100 A 80 80 0 0 1 180 100"
+                            className={`gauge-segment ${segment.color}`}
+                            pathLength="100"
+                            strokeDasharray={`${segment.length} ${100 - segment.length}`}
+                            strokeDashoffset={-segment.start}
+                          />
+                        ))}
                         <line
                           x1="100"
                           y1="100"
@@ -1253,9 +2293,11 @@ function App() {
                       <div className="gauge-value">{powerBiPercent}</div>
                     </div>
                     <div className="gauge-legend">
-                      <span className="legend-chip red">{'<= 35%'}</span>
-                      <span className="legend-chip orange">{'< 75%'}</span>
-                      <span className="legend-chip green">{'>= 75%'}</span>
+                      {statsSegments.map((segment) => (
+                        <span className={`legend-chip ${segment.color}`} key={segment.color}>
+                          {segment.label}
+                        </span>
+                      ))}
                     </div>
                   </div>
                   <div className="chart-card">
@@ -1315,18 +2357,33 @@ function App() {
                 <div className="chart-card wide-chart">
                   <div className="chart-header">
                     <span className="chart-title">Veroorzakende discipline</span>
-                    <span className="meta">Gem. dagen te laat + aantal</span>
+                    <span className="meta">
+                      Gem. {powerBiDayUnit} te laat + aantal, klik op een discipline om te filteren
+                    </span>
+                    {activeDiscipline ? (
+                      <button
+                        className="pill filter-chip active"
+                        type="button"
+                        onClick={() => setSelectedDiscipline('')}
+                      >
+                        {activeDiscipline} ×
+                      </button>
+                    ) : null}
                   </div>
                   {powerBiDisciplineData.length ? (
                     <div className="discipline-chart">
                       <div className="discipline-legend">
                         <span className="legend-row">
                           <span className="legend-dot blue" />
-                          Gemiddeld dagen te laat
+                          Gemiddeld {powerBiDayUnit} te laat
                         </span>
                         <span className="legend-row">
                           <span className="legend-dot navy" />
-                          Aantal afwijkingen
+                          Aantal te laat
+                        </span>
+                        <span className="legend-row">
+                          <span className="legend-dot green" />
+                          Aantal op tijd
                         </span>
                       </div>
                       <div className="discipline-bars-wrap">
@@ -1341,12 +2398,31 @@ function App() {
                         </div>
                         <div className="discipline-bars">
                           {powerBiDisciplineData.map((item) => (
-                            <div className="discipline-bar" key={item.discipline}>
+                            <div
+                              className={`discipline-bar ${
+                                activeDiscipline === item.discipline ? 'selected' : ''
+                              } ${activeDiscipline && activeDiscipline !== item.discipline ? 'dimmed' : ''}`}
+                              key={item.discipline}
+                              role="button"
+                              tabIndex={0}
+                              onClick={() =>
+                                setSelectedDiscipline((prev) =>
+                                  prev === item.discipline ? '' : item.discipline
+                                )
+                              }
+                              onKeyDown={(event) => {
+                                if (event.key !== 'Enter' && event.key !== ' ') return
+                                event.preventDefault()
+                                setSelectedDiscipline((prev) =>
+                                  prev === item.discipline ? '' : item.discipline
+                                )
+                              }}
+                            >
                               <div
                                 className="bar-pair"
-                                data-tooltip={`Gemiddeld dagen te laat: ${Math.round(
+                                data-tooltip={`Gemiddeld ${powerBiDayUnit} te laat: ${Math.round(
                                   item.avgDays
-                                )}\nAantal afwijkingen: ${item.count}`}
+                                )}\nAantal te laat: ${item.count}\nAantal op tijd: ${item.onTimeCount}`}
                               >
                                 <span
                                   className="bar-avg"
@@ -1360,6 +2436,12 @@ function App() {
                                     height: `${(item.count / powerBiDisciplineScaleMax) * 100}%`,
                                   }}
                                 />
+                                <span
+                                  className="bar-ontime"
+                                  style={{
+                                    height: `${(item.onTimeCount / powerBiDisciplineScaleMax) * 100}%`,
+                                  }}
+                                />
                               </div>
                               <span className="bar-label" title={item.discipline}>
                                 {item.discipline}
@@ -1373,6 +2455,67 @@ function App() {
                     <p className="empty">Geen discipline-data beschikbaar.</p>
                   )}
                 </div>
+                {disciplineDrilldown ? (
+                  <div className="chart-card wide-chart">
+                    <div className="chart-header">
+                      <span className="chart-title">{disciplineDrilldown.discipline}</span>
+                      <span className="meta">
+                        {disciplineDrilldown.lateCount} te laat afgerond
+                      </span>
+                    </div>
+                    <div className="chart-grid trend-grid-layout">
+                      <div className="trend-bars">
+                        <span className="stat-label">Verdeling {powerBiDayUnit} te laat</span>
+                        {disciplineDrilldown.histogram.map((bucket) => (
+                          <div className="trend-bar" key={bucket.label}>
+                            <span className="trend-label">{bucket.label}</span>
+                            <span className="trend-track">
+                              <span
+                                className="trend-fill"
+                                style={{
+                                  width: `${
+                                    disciplineDrilldown.lateCount
+                                      ? (bucket.count / disciplineDrilldown.lateCount) * 100
+                                      : 0
+                                  }%`,
+                                }}
+                              />
+                            </span>
+                            <span className="trend-value">{bucket.count}</span>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="table-scroll">
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>Actiehouder</th>
+                              <th>Te laat</th>
+                              <th>Gem. {powerBiDayUnit}</th>
+                              <th>Max. {powerBiDayUnit}</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {disciplineDrilldown.worst.length ? (
+                              disciplineDrilldown.worst.map((entry) => (
+                                <tr key={entry.actiehouder}>
+                                  <td>{entry.actiehouder}</td>
+                                  <td>{entry.count}</td>
+                                  <td>{Math.round(entry.avgDays)}</td>
+                                  <td>{entry.maxDays}</td>
+                                </tr>
+                              ))
+                            ) : (
+                              <tr>
+                                <td colSpan={4}>Geen te laat afgeronde maatregelen.</td>
+                              </tr>
+                            )}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  </div>
+                ) : null}
                 <div className="table-card mini-table">
                   <div className="table-header">
                     <h3>Planning gereed overzicht</h3>
@@ -1412,115 +2555,964 @@ function App() {
                     <h3>Op tijd</h3>
                     <span className="meta">{powerBiStats.onTimeRows.length} rijen</span>
                   </div>
-                  <div className="table-scroll">
-                    {powerBiStats.onTimeRows.length ? (
-                      <table>
-                        <thead>
-                          <tr>
-                            <th>Code</th>
-                            <th>Titel</th>
-                            <th>Maatregel</th>
-                            <th>Actiehouder</th>
-                            <th>Geplande datum</th>
-                            <th>Datum klaar</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {powerBiStats.onTimeRows.map((row, index) => (
-                            <tr key={`ontime-${index}`}>
-                              <td>{row.code}</td>
-                              <td>{row.titel}</td>
-                              <td>{row.maatregel}</td>
-                              <td>{row.actiehouder}</td>
-                              <td>{formatDate(row.geplandeDatum)}</td>
-                              <td>{formatDate(row.datumKlaar)}</td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    ) : (
-                      <p className="empty">Geen op tijd regels.</p>
-                    )}
-                  </div>
+                  <DataTable
+                    view={onTimeView}
+                    filterLabels={FILTER_LABELS}
+                    emptyText="Geen op tijd regels."
+                    rowKey="ontime"
+                  />
                 </div>
                 <div className="table-card mini-table">
                   <div className="table-header">
                     <h3>Te laat</h3>
                     <span className="meta">{powerBiStats.lateRows.length} rijen</span>
                   </div>
-                  <div className="table-scroll">
-                    {powerBiStats.lateRows.length ? (
-                      <table>
-                        <thead>
-                          <tr>
-                            <th>Code</th>
-                            <th>Titel</th>
-                            <th>Maatregel</th>
-                            <th>Actiehouder</th>
-                            <th>Geplande datum</th>
-                            <th>Datum klaar</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {powerBiStats.lateRows.map((row, index) => (
-                            <tr key={`late-${index}`}>
-                              <td>{row.code}</td>
-                              <td>{row.titel}</td>
-                              <td>{row.maatregel}</td>
-                              <td>{row.actiehouder}</td>
-                              <td>{formatDate(row.geplandeDatum)}</td>
-                              <td>{formatDate(row.datumKlaar)}</td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    ) : (
-                      <p className="empty">Geen te laat regels.</p>
-                    )}
-                  </div>
+                  <DataTable
+                    view={lateView}
+                    filterLabels={FILTER_LABELS}
+                    emptyText="Geen te laat regels."
+                    rowKey="late"
+                  />
                 </div>
                 <div className="table-card mini-table">
                   <div className="table-header">
                     <h3>Ontbrekende datums</h3>
                     <span className="meta">{powerBiStats.missingRows.length} rijen</span>
                   </div>
-                  <div className="table-scroll">
-                    {powerBiStats.missingRows.length ? (
+                  <DataTable
+                    view={missingView}
+                    filterLabels={FILTER_LABELS}
+                    emptyText="Geen ontbrekende datums."
+                    rowKey="missing"
+                  />
+                </div>
+                </div>
+              ) : (
+                <p className="empty">
+                  Klik op "Data ophalen" om de statistieken te visualiseren.
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className={`toggle-panel ${activePanel === 'mapping' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Kolomprofielen</h3>
+                <div className="panel-actions">
+                  <select
+                    className="select-field"
+                    value={mappingState.activeProfile}
+                    onChange={(event) =>
+                      setMappingState((prev) => ({ ...prev, activeProfile: event.target.value }))
+                    }
+                  >
+                    {Object.keys(mappingState.profiles).map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={deleteMappingProfile}
+                    disabled={mappingState.activeProfile === DEFAULT_PROFILE_NAME}
+                  >
+                    Verwijderen
+                  </button>
+                  <button className="ghost" type="button" onClick={exportMappingProfile}>
+                    Exporteer JSON
+                  </button>
+                  <label className="ghost file-button">
+                    Importeer JSON
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={(event) => {
+                        void importMappingProfile(event.target.files?.[0] || null)
+                        event.target.value = ''
+                      }}
+                    />
+                  </label>
+                </div>
+              </div>
+              <p className="meta">
+                {overzichtHeaders.length
+                  ? `${overzichtHeaders.length} kolomkoppen gevonden in overzicht.`
+                  : 'Upload een overzicht om de gevonden kolomkoppen te kiezen.'}
+              </p>
+              <div className="mapping-grid">
+                {COLUMN_FIELDS.map((field) => {
+                  const header = columnMapping[field.key] || ''
+                  const found = getColumnIndex(overzichtHeaders, header) !== -1
+                  return (
+                    <label className="mapping-row" key={field.key}>
+                      <span className="mapping-label">{field.label}</span>
+                      <select
+                        className="select-field"
+                        value={header}
+                        onChange={(event) => updateColumnMapping(field.key, event.target.value)}
+                      >
+                        {!found ? <option value={header}>{header || '-'}</option> : null}
+                        {overzichtHeaders.map((name) => (
+                          <option key={name} value={name}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                      <span
+                        className={`mapping-state ${
+                          !overzichtHeaders.length || (!found && field.optional)
+                            ? ''
+                            : found
+                              ? 'ok'
+                              : 'missing'
+                        }`}
+                      >
+                        {!overzichtHeaders.length
+                          ? '-'
+                          : found
+                            ? 'Gevonden'
+                            : field.optional
+                              ? 'Optioneel'
+                              : 'Ontbreekt'}
+                      </span>
+                    </label>
+                  )
+                })}
+              </div>
+              <div className="inline-field mapping-save">
+                <span>Opslaan als</span>
+                <input
+                  type="text"
+                  value={newProfileName}
+                  onChange={(event) => setNewProfileName(event.target.value)}
+                  placeholder="Bijv. Project Utrecht"
+                />
+                <button
+                  className="ghost"
+                  type="button"
+                  onClick={createMappingProfile}
+                  disabled={!newProfileName.trim()}
+                >
+                  Profiel opslaan
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className={`toggle-panel ${activePanel === 'stations' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Stations vergelijken</h3>
+                <div className="panel-actions">
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={addCurrentStation}
+                    disabled={!overzichtFile}
+                  >
+                    Huidig overzicht toevoegen
+                  </button>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => void runStationComparison()}
+                    disabled={!stationEntries.length || busyAction === 'stations'}
+                  >
+                    {busyAction === 'stations' ? 'Vergelijken...' : 'Vergelijken'}
+                  </button>
+                  <button
+                    className="primary"
+                    type="button"
+                    onClick={() => void downloadComparisonExport()}
+                    disabled={!stationEntries.some((entry) => entry.result)}
+                  >
+                    Stations export
+                  </button>
+                </div>
+              </div>
+              <label
+                className={`upload-card station-drop ${dragTarget === 'stations' ? 'dragging' : ''}`}
+                onDrop={(event) => {
+                  event.preventDefault()
+                  setDragTarget('')
+                  addStationFiles(event.dataTransfer.files)
+                }}
+                onDragOver={handleDragOver('stations')}
+                onDragLeave={handleDragLeave('stations')}
+              >
+                <span className="upload-title">Overzichten per station</span>
+                <span className="upload-sub">Sleep meerdere overzichten (.xlsx) hierheen</span>
+                <input
+                  type="file"
+                  accept=".xlsx,.xlsm"
+                  multiple
+                  onChange={(event) => {
+                    addStationFiles(event.target.files)
+                    event.target.value = ''
+                  }}
+                />
+                <span className="upload-cta">Kies bestanden</span>
+              </label>
+              {stationEntries.length ? (
+                <div className="table-scroll">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Station</th>
+                        <th>Bestand</th>
+                        <th>Achterstallig</th>
+                        <th>Op tijd</th>
+                        <th>Stoplicht</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stationEntries.map((entry) => {
+                        const summary = entry.result ? summarizeStation(entry) : null
+                        return (
+                          <tr key={entry.id}>
+                            <td>
+                              <input
+                                className="table-input"
+                                type="text"
+                                value={entry.station}
+                                onChange={(event) =>
+                                  updateStationEntry(entry.id, { station: event.target.value })
+                                }
+                                placeholder="Station"
+                              />
+                            </td>
+                            <td>{entry.file.name}</td>
+                            <td>{summary ? summary.achterstallig : '-'}</td>
+                            <td>
+                              {summary && summary.onTimePercent !== null
+                                ? `${Math.round(summary.onTimePercent)}%`
+                                : '-'}
+                            </td>
+                            <td>
+                              {summary ? (
+                                <span className={`legend-chip ${summary.traffic}`}>
+                                  {getTrafficLabel(summary.traffic)}
+                                </span>
+                              ) : entry.error ? (
+                                <span className="mapping-state missing">{entry.error}</span>
+                              ) : (
+                                '-'
+                              )}
+                            </td>
+                            <td>
+                              <div className="row-actions">
+                                <label className="ghost file-button small">
+                                  Dashboard
+                                  <input
+                                    type="file"
+                                    accept=".xlsm,.xlsx"
+                                    onChange={(event) => {
+                                      void handleStationDashboard(entry.id, event.target.files?.[0] || null)
+                                      event.target.value = ''
+                                    }}
+                                  />
+                                </label>
+                                <button
+                                  className="ghost small"
+                                  type="button"
+                                  onClick={() => void showStationResults(entry)}
+                                  disabled={!entry.result}
+                                >
+                                  Bekijk
+                                </button>
+                                <button
+                                  className="ghost small"
+                                  type="button"
+                                  onClick={() =>
+                                    setStationEntries((prev) =>
+                                      prev.filter((item) => item.id !== entry.id)
+                                    )
+                                  }
+                                >
+                                  Verwijder
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="empty">Nog geen stations toegevoegd.</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className={`toggle-panel ${activePanel === 'trends' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Trends</h3>
+                <div className="panel-actions">
+                  <select
+                    className="select-field"
+                    value={activeTrendStation}
+                    onChange={(event) => setTrendStation(event.target.value)}
+                    disabled={!snapshotStations.length}
+                  >
+                    {snapshotStations.length ? (
+                      snapshotStations.map((name) => (
+                        <option key={name} value={name}>
+                          {name}
+                        </option>
+                      ))
+                    ) : (
+                      <option value="">Geen snapshots</option>
+                    )}
+                  </select>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={exportSnapshots}
+                    disabled={!snapshots.length}
+                  >
+                    Exporteer JSON
+                  </button>
+                  <label className="ghost file-button">
+                    Importeer JSON
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      onChange={(event) => {
+                        void importSnapshots(event.target.files?.[0] || null)
+                        event.target.value = ''
+                      }}
+                    />
+                  </label>
+                </div>
+              </div>
+              {trendSnapshots.length ? (
+                <div className="stats-capture">
+                  <div className="chart-grid trend-grid-layout">
+                    <div className="chart-card">
+                      <div className="chart-header">
+                        <span className="chart-title">Achterstallig</span>
+                        <span className="meta">{trendSnapshots.length} runs</span>
+                      </div>
+                      <TrendChart
+                        labels={trendLabels}
+                        series={[
+                          {
+                            label: 'Achterstallig',
+                            color: '#b42318',
+                            values: trendSnapshots.map((snapshot) => snapshot.achterstallig),
+                          },
+                        ]}
+                      />
+                    </div>
+                    <div className="chart-card">
+                      <div className="chart-header">
+                        <span className="chart-title">Op tijd</span>
+                        <span className="meta">Planning gereed</span>
+                      </div>
+                      <TrendChart
+                        labels={trendLabels}
+                        unit="%"
+                        maxValue={100}
+                        series={[
+                          {
+                            label: 'Op tijd',
+                            color: '#1f7a4d',
+                            values: trendSnapshots.map((snapshot) => snapshot.onTimePercent),
+                          },
+                        ]}
+                      />
+                    </div>
+                  </div>
+                  <div className="chart-card wide-chart">
+                    <div className="chart-header">
+                      <span className="chart-title">Gem. dagen te laat per discipline</span>
+                      <span className="meta">Top {disciplineTrend.length}</span>
+                    </div>
+                    {disciplineTrend.length ? (
+                      <TrendChart
+                        labels={trendLabels}
+                        series={disciplineTrend.map((item, index) => ({
+                          label: item.discipline,
+                          color: TREND_COLORS[index % TREND_COLORS.length],
+                          values: item.values,
+                        }))}
+                      />
+                    ) : (
+                      <p className="empty">Geen discipline-data beschikbaar.</p>
+                    )}
+                  </div>
+                  <div className="table-card mini-table">
+                    <div className="table-header">
+                      <h3>Snapshots</h3>
+                      <span className="meta">{trendSnapshots.length} rijen</span>
+                    </div>
+                    <div className="table-scroll">
                       <table>
                         <thead>
                           <tr>
-                            <th>Code</th>
-                            <th>Titel</th>
-                            <th>Maatregel</th>
-                            <th>Actiehouder</th>
-                            <th>Geplande datum</th>
-                            <th>Datum klaar</th>
+                            <th>Datum</th>
+                            <th>Week</th>
+                            <th>Achterstallig</th>
+                            <th>Concept</th>
+                            <th>Op tijd</th>
+                            <th>Stoplicht</th>
+                            <th />
                           </tr>
                         </thead>
                         <tbody>
-                          {powerBiStats.missingRows.map((row, index) => (
-                            <tr key={`missing-${index}`}>
-                              <td>{row.code}</td>
-                              <td>{row.titel}</td>
-                              <td>{row.maatregel}</td>
-                              <td>{row.actiehouder}</td>
-                              <td>{formatDate(row.geplandeDatum)}</td>
-                              <td>{formatDate(row.datumKlaar)}</td>
+                          {trendSnapshots.map((snapshot, index) => (
+                            <tr key={snapshot.id}>
+                              <td>{snapshot.date}</td>
+                              <td>{trendLabels[index]}</td>
+                              <td>{snapshot.achterstallig}</td>
+                              <td>{snapshot.concept}</td>
+                              <td>
+                                {snapshot.onTimePercent === null
+                                  ? '-'
+                                  : `${Math.round(snapshot.onTimePercent)}%`}
+                              </td>
+                              <td>
+                                {snapshot.traffic ? (
+                                  <span className={`legend-chip ${snapshot.traffic}`}>
+                                    {getTrafficLabel(snapshot.traffic)}
+                                  </span>
+                                ) : (
+                                  '-'
+                                )}
+                              </td>
+                              <td>
+                                <button
+                                  className="ghost small"
+                                  type="button"
+                                  onClick={() => void removeSnapshot(snapshot.id)}
+                                >
+                                  Verwijder
+                                </button>
+                              </td>
                             </tr>
                           ))}
                         </tbody>
                       </table>
-                    ) : (
-                      <p className="empty">Geen ontbrekende datums.</p>
-                    )}
+                    </div>
                   </div>
                 </div>
+              ) : (
+                <p className="empty">
+                  Nog geen snapshots. Elke "Data ophalen" run wordt automatisch opgeslagen.
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className={`toggle-panel ${activePanel === 'diff' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Wijzigingen t.o.v. vorige run</h3>
+                <div className="panel-actions">
+                  <label className="check-field">
+                    <input
+                      type="checkbox"
+                      checked={includeChanges}
+                      onChange={(event) => setIncludeChanges(event.target.checked)}
+                    />
+                    <span>Meenemen in dashboard export</span>
+                  </label>
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => void runChangeReport()}
+                    disabled={!overzichtFile || !previousFile || busyAction === 'diff'}
+                  >
+                    {busyAction === 'diff' ? 'Vergelijken...' : 'Wijzigingen bepalen'}
+                  </button>
+                </div>
+              </div>
+              <label
+                className={`upload-card station-drop ${previousFile ? 'ready' : ''} ${
+                  dragTarget === 'previous' ? 'dragging' : ''
+                }`}
+                onDrop={(event) => {
+                  event.preventDefault()
+                  setDragTarget('')
+                  setPreviousFile(event.dataTransfer.files?.[0] || null)
+                  setChangeReport(null)
+                }}
+                onDragOver={handleDragOver('previous')}
+                onDragLeave={handleDragLeave('previous')}
+              >
+                <span className="upload-title">Vorige run</span>
+                <span className="upload-sub">Overzicht of dashboard export van vorige week (.xlsx)</span>
+                <span className="upload-file">{previousFile ? previousFile.name : 'Nog geen bestand'}</span>
+                <input
+                  type="file"
+                  accept=".xlsx,.xlsm"
+                  onChange={(event) => {
+                    setPreviousFile(event.target.files?.[0] || null)
+                    setChangeReport(null)
+                  }}
+                />
+                <span className="upload-cta">Kies bestand</span>
+              </label>
+              {changeReport ? (
+                <div className="output-stack">
+                  {changeReport.previousSource === 'dashboard' ? (
+                    <p className="meta">
+                      Vorige run is een dashboard export: deadlines en actiehouders worden alleen
+                      vergeleken voor maatregelen die toen achterstallig waren.
+                    </p>
+                  ) : null}
+                  {CHANGE_TYPES.map(({ key, label }) => (
+                    <div className="table-card mini-table" key={key}>
+                      <div className="table-header">
+                        <h3>{label}</h3>
+                        <span className="meta">{changeReport[key].length} rijen</span>
+                      </div>
+                      <div className="table-scroll">
+                        {changeReport[key].length ? (
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Code</th>
+                                <th>Maatregel code</th>
+                                <th>Maatregel</th>
+                                <th>Actiehouder</th>
+                                {key === 'deadlineGewijzigd' ? (
+                                  <>
+                                    <th>Vorige datum</th>
+                                    <th>Nieuwe datum</th>
+                                  </>
+                                ) : key === 'herverdeeld' ? (
+                                  <th>Vorige actiehouder</th>
+                                ) : key === 'opgelost' ? (
+                                  <th>Reden</th>
+                                ) : (
+                                  <>
+                                    <th>Geplande datum</th>
+                                    <th>Opmerking</th>
+                                  </>
+                                )}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {changeReport[key].map((row, index) => (
+                                <tr key={`${key}-${index}`}>
+                                  <td>{row.code}</td>
+                                  <td>{row.maatregelCode}</td>
+                                  <td>{row.maatregel}</td>
+                                  <td>{row.actiehouder}</td>
+                                  {key === 'deadlineGewijzigd' ? (
+                                    <>
+                                      <td>{formatDate(row.vorigeDatum)}</td>
+                                      <td>{formatDate(row.nieuweDatum)}</td>
+                                    </>
+                                  ) : key === 'herverdeeld' ? (
+                                    <td>{row.vorigeActiehouder}</td>
+                                  ) : key === 'opgelost' ? (
+                                    <td>{row.reden}</td>
+                                  ) : (
+                                    <>
+                                      <td>{formatDate(row.geplandeDatum)}</td>
+                                      <td>{row.opmerking}</td>
+                                    </>
+                                  )}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        ) : (
+                          <p className="empty">Geen wijzigingen.</p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
                 </div>
               ) : (
                 <p className="empty">
-                  Klik op "Data ophalen" om de statistieken te visualiseren.
+                  Upload de vorige run en klik op "Wijzigingen bepalen" om te vergelijken met het
+                  huidige overzicht.
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+        <div className={`toggle-panel ${activePanel === 'quality' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Datakwaliteit</h3>
+                <div className="panel-actions">
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={() => void downloadQualityReport()}
+                    disabled={!qualityReport?.findings.length}
+                  >
+                    Exporteer rapport
+                  </button>
+                </div>
+              </div>
+              {qualityReport ? (
+                <>
+                  <p className="meta">
+                    {qualityReport.checkedRows} rijen gecontroleerd,{' '}
+                    {qualityReport.findings.length} bevindingen. Klik op een bevinding om de
+                    rijen uit het overzicht te zien.
+                  </p>
+                  <div className="gauge-legend">
+                    {QUALITY_CHECKS.map((check) => (
+                      <span
+                        className={`legend-chip ${qualityReport.counts[check.key] ? 'orange' : 'green'}`}
+                        key={check.key}
+                      >
+                        {check.label}: {qualityReport.counts[check.key]}
+                      </span>
+                    ))}
+                  </div>
+                  <DataTable
+                    view={qualityView}
+                    filterLabels={FILTER_LABELS}
+                    emptyText="Geen bevindingen."
+                    rowKey="quality"
+                    onRowClick={(finding) =>
+                      setSelectedFinding((prev) => (prev === finding ? null : finding))
+                    }
+                    selectedRow={selectedFinding}
+                  />
+                  {selectedFinding && qualityFindings.includes(selectedFinding) ? (
+                    <div className="table-card mini-table">
+                      <div className="table-header">
+                        <h3>Rijen: {selectedFinding.controle}</h3>
+                        <span className="meta">{selectedFinding.rijen.length} rijen</span>
+                      </div>
+                      <div className="table-scroll">
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>Rij</th>
+                              {(overzichtRows[0] || []).map((header, index) => (
+                                <th key={`header-${index}`}>{String(header ?? '')}</th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {selectedFinding.rijen.map((rowNumber) => (
+                              <tr key={`finding-row-${rowNumber}`}>
+                                <td>{rowNumber}</td>
+                                {(overzichtRows[0] || []).map((_, index) => (
+                                  <td key={`cell-${index}`}>
+                                    {formatCell(overzichtRows[rowNumber - 1]?.[index])}
+                                  </td>
+                                ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  ) : null}
+                </>
+              ) : (
+                <p className="empty">Upload een overzicht om de datakwaliteit te controleren.</p>
+              )}
+            </div>
+          </div>
+        </div>
+        <div className={`toggle-panel ${activePanel === 'aliases' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Mogelijke dubbele actiehouders</h3>
+                <span className="meta">{aliasCandidates.length} groepen</span>
+              </div>
+              {aliasCandidates.length ? (
+                <div className="table-scroll">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Schrijfwijzen</th>
+                        <th>Samenvoegen tot</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {aliasCandidates.map((group) => {
+                        const groupKey = group.names.join('|')
+                        return (
+                          <tr key={groupKey}>
+                            <td>{group.names.join(', ')}</td>
+                            <td>
+                              <select
+                                className="select-field"
+                                value={aliasChoices[groupKey] || group.suggestion}
+                                onChange={(event) =>
+                                  setAliasChoices((prev) => ({
+                                    ...prev,
+                                    [groupKey]: event.target.value,
+                                  }))
+                                }
+                              >
+                                {group.names.map((name) => (
+                                  <option key={name} value={name}>
+                                    {name}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                            <td>
+                              <div className="panel-actions">
+                                <button
+                                  className="ghost small"
+                                  type="button"
+                                  onClick={() => mergeAliasGroup(group)}
+                                >
+                                  Samenvoegen
+                                </button>
+                                <button
+                                  className="ghost small"
+                                  type="button"
+                                  onClick={() =>
+                                    setIgnoredAliasGroups((prev) => [...prev, groupKey])
+                                  }
+                                >
+                                  Negeren
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="empty">
+                  {overzichtRows.length
+                    ? 'Geen vergelijkbare schrijfwijzen gevonden.'
+                    : 'Upload een overzicht om actiehouders te vergelijken.'}
+                </p>
+              )}
+            </div>
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Aliassen</h3>
+                <span className="meta">
+                  Opgeslagen in de browser en als werkblad "Aliassen" in de dashboard export.
+                </span>
+              </div>
+              {aliases.length ? (
+                <div className="table-scroll">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Alias</th>
+                        <th>Naam</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {aliases.map((entry) => (
+                        <tr key={entry.alias}>
+                          <td>{entry.alias}</td>
+                          <td>{entry.naam}</td>
+                          <td>
+                            <button
+                              className="ghost small"
+                              type="button"
+                              onClick={() =>
+                                setAliases((prev) =>
+                                  prev.filter((item) => item.alias !== entry.alias)
+                                )
+                              }
+                            >
+                              Verwijder
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="empty">
+                  Nog geen aliassen. Voeg schrijfwijzen samen of laad een dashboard met een
+                  werkblad "Aliassen".
                 </p>
               )}
+              <div className="inline-field mapping-save">
+                <select
+                  className="select-field"
+                  value={newAlias.alias}
+                  onChange={(event) =>
+                    setNewAlias((prev) => ({ ...prev, alias: event.target.value }))
+                  }
+                >
+                  <option value="">Schrijfwijze</option>
+                  {actiehouderNames.map((entry) => (
+                    <option key={entry.name} value={entry.name}>
+                      {entry.name} ({entry.count})
+                    </option>
+                  ))}
+                </select>
+                <input
+                  className="table-input"
+                  type="text"
+                  list="alias-names"
+                  value={newAlias.naam}
+                  onChange={(event) =>
+                    setNewAlias((prev) => ({ ...prev, naam: event.target.value }))
+                  }
+                  placeholder="Naam"
+                />
+                <datalist id="alias-names">
+                  {actiehouderNames.map((entry) => (
+                    <option key={entry.name} value={entry.name} />
+                  ))}
+                </datalist>
+                <button
+                  className="ghost"
+                  type="button"
+                  onClick={() => addAlias(newAlias.alias, newAlias.naam)}
+                  disabled={
+                    !newAlias.alias || !newAlias.naam.trim() || newAlias.alias === newAlias.naam.trim()
+                  }
+                >
+                  Alias toevoegen
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+        <div className={`toggle-panel ${activePanel === 'settings' ? 'open' : ''}`}>
+          <div className="panel-body">
+            <div className="table-card">
+              <div className="panel-header">
+                <h3>Instellingen {settingsKey ? `voor ${station.trim()}` : '(standaard)'}</h3>
+                <div className="panel-actions">
+                  <button
+                    className="ghost"
+                    type="button"
+                    onClick={resetStationSettings}
+                    disabled={!settingsByStation[settingsKey]}
+                  >
+                    Standaard herstellen
+                  </button>
+                </div>
+              </div>
+              <p className="meta">
+                {settingsKey
+                  ? 'Deze waarden worden bewaard voor dit station. Zonder eigen waarden gelden de standaardinstellingen.'
+                  : 'Vul bij Uploads een station in om waarden per station te bewaren.'}
+              </p>
+              <div className="mapping-grid">
+                {[
+                  { key: 'horizonDays', label: 'Deadline horizon', unit: dayUnit, max: 365 },
+                  { key: 'redMax', label: 'Rood tot en met', unit: '% op tijd', max: 99 },
+                  { key: 'greenMin', label: 'Groen vanaf', unit: '% op tijd', max: 100 },
+                ].map((field) => (
+                  <label className="mapping-row" key={field.key}>
+                    <span className="mapping-label">{field.label}</span>
+                    <input
+                      className="table-input"
+                      type="number"
+                      min="0"
+                      max={field.max}
+                      value={settingsInput[field.key]}
+                      onChange={(event) => updateStationSettings(field.key, event.target.value)}
+                    />
+                    <span className="mapping-state">{field.unit}</span>
+                  </label>
+                ))}
+                <label className="mapping-row">
+                  <span className="mapping-label">Dagen tellen in</span>
+                  <select
+                    className="select-field"
+                    value={analysisSettings.dayMode}
+                    onChange={(event) => updateStationSettings('dayMode', event.target.value)}
+                  >
+                    {DAY_MODES.map((mode) => (
+                      <option key={mode.key} value={mode.key}>
+                        {mode.label}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="mapping-state">
+                    {analysisSettings.dayMode === 'working' ? 'Zonder weekend en vrije dagen' : ''}
+                  </span>
+                </label>
+                <label className="mapping-row">
+                  <span className="mapping-label">Nationale feestdagen</span>
+                  <span className="check-field">
+                    <input
+                      type="checkbox"
+                      checked={analysisSettings.nationalHolidays}
+                      onChange={(event) =>
+                        updateStationSettings('nationalHolidays', event.target.checked)
+                      }
+                      disabled={analysisSettings.dayMode !== 'working'}
+                    />
+                    <span>
+                      Nieuwjaar, Pasen, Koningsdag, Bevrijdingsdag, Hemelvaart, Pinksteren, Kerst
+                    </span>
+                  </span>
+                  <span className="mapping-state" />
+                </label>
+                <label className="mapping-row">
+                  <span className="mapping-label">Bouwvak vanaf week</span>
+                  <input
+                    className="table-input"
+                    type="number"
+                    min="0"
+                    max="53"
+                    value={settingsInput.bouwvakWeek ?? analysisSettings.bouwvakWeek}
+                    onChange={(event) => updateStationSettings('bouwvakWeek', event.target.value)}
+                    disabled={analysisSettings.dayMode !== 'working'}
+                  />
+                  <span className="mapping-state">3 weken, 0 = geen</span>
+                </label>
+                <label className="mapping-row">
+                  <span className="mapping-label">Extra vrije dagen</span>
+                  <textarea
+                    className="table-input"
+                    rows={3}
+                    value={settingsInput.holidays ?? analysisSettings.holidays}
+                    onChange={(event) => updateStationSettings('holidays', event.target.value)}
+                    placeholder="Bijv. 24-12-2026, een datum per regel"
+                    disabled={analysisSettings.dayMode !== 'working'}
+                  />
+                  <span className="mapping-state">
+                    {parseHolidayList(analysisSettings.holidays).length} datums
+                  </span>
+                </label>
+              </div>
+              <div className="gauge-legend">
+                <span className="legend-chip">
+                  {`Binnen ${analysisSettings.horizonDays} ${dayUnit}`}
+                </span>
+                {trafficSegments.map((segment) => (
+                  <span className={`legend-chip ${segment.color}`} key={segment.color}>
+                    {segment.label}
+                  </span>
+                ))}
+              </div>
+              <p className="meta">
+                Standaard: {DEFAULT_SETTINGS.horizonDays} kalenderdagen, rood t/m{' '}
+                {DEFAULT_SETTINGS.redMax}%, groen vanaf {DEFAULT_SETTINGS.greenMin}%. Klik opnieuw op "Data ophalen" om de
+                resultaten bij te werken.
+              </p>
             </div>
           </div>
         </div>
@@ -0,0 +1,174 @@
+import { useEffect, useRef, useState } from 'react'
+import { formatCell } from './useTableView'
+
+const ROW_HEIGHT = 40
+const OVERSCAN = 10
+const VIRTUAL_THRESHOLD = 200
+const DEFAULT_VIEWPORT = 320
+
+function DataTable({
+  view,
+  filterLabels = {},
+  emptyText,
+  rowKey,
+  onRowClick,
+  selectedRow,
+  renderCell,
+}) {
+  const scrollRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(DEFAULT_VIEWPORT)
+  const isVirtual = view.viewRows.length > VIRTUAL_THRESHOLD
+
+  useEffect(() => {
+    const element = scrollRef.current
+    if (!element) return undefined
+    const updateHeight = () => setViewportHeight(element.clientHeight || DEFAULT_VIEWPORT)
+    updateHeight()
+    if (typeof ResizeObserver === 'undefined') return undefined
+    const observer = new ResizeObserver(updateHeight)
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [view.rows.length])
+
+  const rowCount = view.viewRows.length
+  const firstRow = isVirtual
+    ? Math.min(Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN), rowCount)
+    : 0
+  const lastRow = isVirtual
+    ? Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN)
+    : rowCount
+  const visibleRows = view.viewRows.slice(firstRow, lastRow)
+  const colSpan = view.visibleColumns.length
+
+  const filterKeys = Object.keys(view.filterOptions).filter(
+    (key) => view.filterOptions[key].length > 1 || view.filters[key]?.length
+  )
+
+  if (!view.rows.length) {
+    return <p className="empty">{emptyText}</p>
+  }
+
+  return (
+    <div className="data-table">
+      <div className="table-toolbar">
+        <input
+          className="table-input table-search"
+          type="search"
+          value={view.search}
+          onChange={(event) => view.setSearch(event.target.value)}
+          placeholder="Zoeken in alle kolommen"
+        />
+        <details className="column-chooser">
+          <summary className="ghost small">Kolommen</summary>
+          <div className="column-chooser-menu">
+            {view.columns.map((column) => (
+              <label className="check-field" key={column.key}>
+                <input
+                  type="checkbox"
+                  checked={!view.hiddenColumns.includes(column.key)}
+                  onChange={() => view.toggleColumn(column.key)}
+                  disabled={
+                    view.visibleColumns.length === 1 && !view.hiddenColumns.includes(column.key)
+                  }
+                />
+                <span>{column.label}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+        <span className="meta">
+          {view.viewRows.length === view.rows.length
+            ? `${view.rows.length} rijen`
+            : `${view.viewRows.length} van ${view.rows.length} rijen`}
+        </span>
+        {view.isFiltered ? (
+          <button className="ghost small" type="button" onClick={view.reset}>
+            Wis filters
+          </button>
+        ) : null}
+      </div>
+      {filterKeys.map((key) => (
+        <div className="filter-row" key={key}>
+          <span className="filter-label">{filterLabels[key] || key}</span>
+          {view.filterOptions[key].map((value) => (
+            <button
+              className={`pill filter-chip ${view.filters[key]?.includes(value) ? 'active' : ''}`}
+              type="button"
+              key={value}
+              onClick={() => view.toggleFilter(key, value)}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      ))}
+      <div
+        className={`table-scroll ${isVirtual ? 'virtual' : ''}`}
+        ref={scrollRef}
+        onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+      >
+        {view.viewRows.length ? (
+          <table>
+            <thead>
+              <tr>
+                {view.visibleColumns.map((column) => (
+                  <th
+                    key={column.key}
+                    className={`sortable ${view.sort?.key === column.key ? view.sort.direction : ''}`}
+                    onClick={() => view.toggleSort(column.key)}
+                    aria-sort={
+                      view.sort?.key === column.key
+                        ? view.sort.direction === 'asc'
+                          ? 'ascending'
+                          : 'descending'
+                        : 'none'
+                    }
+                  >
+                    {column.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {firstRow > 0 ? (
+                <tr className="virtual-spacer" style={{ height: firstRow * ROW_HEIGHT }}>
+                  <td colSpan={colSpan} />
+                </tr>
+              ) : null}
+              {visibleRows.map((row, index) => (
+                <tr
+                  key={`${rowKey}-${firstRow + index}`}
+                  className={`${onRowClick ? 'clickable' : ''} ${row === selectedRow ? 'selected' : ''}`}
+                  onClick={onRowClick ? () => onRowClick(row) : undefined}
+                >
+                  {view.visibleColumns.map((column) => {
+                    const text = formatCell(row[column.key])
+                    const content = renderCell?.(row, column)
+                    return (
+                      <td key={column.key} title={isVirtual ? text : undefined}>
+                        {content === undefined ? text : content}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+              {lastRow < rowCount ? (
+                <tr
+                  className="virtual-spacer"
+                  style={{ height: (rowCount - lastRow) * ROW_HEIGHT }}
+                >
+                  <td colSpan={colSpan} />
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        ) : (
+          <p className="empty">Geen rijen voor deze filters.</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DataTable
@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react'
+
+const COMMIT_DELAY = 400
+
+// Tabelrijen worden bij scrollen ontkoppeld, dus de tekst wordt kort na het typen opgeslagen en een
+// openstaande wijziging bij blur of bij het ontkoppelen van de rij alsnog doorgegeven.
+function RemarkInput({ value, onCommit, placeholder }) {
+  const [draft, setDraft] = useState(value)
+  const [syncedValue, setSyncedValue] = useState(value)
+  const pendingRef = useRef(null)
+  const timerRef = useRef(null)
+  const onCommitRef = useRef(onCommit)
+
+  if (value !== syncedValue) {
+    setSyncedValue(value)
+    setDraft(value)
+  }
+
+  useEffect(() => {
+    onCommitRef.current = onCommit
+  }, [onCommit])
+
+  const flush = () => {
+    clearTimeout(timerRef.current)
+    if (pendingRef.current === null) return
+    const text = pendingRef.current
+    pendingRef.current = null
+    onCommitRef.current(text)
+  }
+
+  useEffect(
+    () => () => {
+      clearTimeout(timerRef.current)
+      if (pendingRef.current !== null) onCommitRef.current(pendingRef.current)
+    },
+    []
+  )
+
+  return (
+    <input
+      className="table-input"
+      type="text"
+      value={draft}
+      placeholder={placeholder}
+      onChange={(event) => {
+        setDraft(event.target.value)
+        pendingRef.current = event.target.value
+        clearTimeout(timerRef.current)
+        timerRef.current = setTimeout(flush, COMMIT_DELAY)
+      }}
+      onBlur={flush}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') event.currentTarget.blur()
+      }}
+    />
+  )
+}
+
+export default RemarkInput
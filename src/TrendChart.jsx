@@ -0,0 +1,84 @@
+const WIDTH = 560
+const HEIGHT = 200
+const PADDING = { top: 14, right: 16, bottom: 30, left: 40 }
+
+function TrendChart({ labels, series, unit = '', maxValue }) {
+  const values = series.flatMap((item) => item.values.filter((value) => value !== null))
+  const scaleMax = Math.max(maxValue ?? 0, ...values, 1)
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const xFor = (index) =>
+    PADDING.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2)
+  const yFor = (value) => PADDING.top + plotHeight - (value / scaleMax) * plotHeight
+  const labelStep = Math.max(1, Math.ceil(labels.length / 8))
+
+  return (
+    <div className="trend-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="xMidYMid meet" aria-hidden="true">
+        {[0, 0.25, 0.5, 0.75, 1].map((tick) => (
+          <g key={tick}>
+            <line
+              className="trend-grid"
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={yFor(scaleMax * tick)}
+              y2={yFor(scaleMax * tick)}
+            />
+            <text className="trend-axis" x={PADDING.left - 6} y={yFor(scaleMax * tick) + 4} textAnchor="end">
+              {`${Math.round(scaleMax * tick)}${unit}`}
+            </text>
+          </g>
+        ))}
+        {labels.map((label, index) =>
+          index % labelStep === 0 || index === labels.length - 1 ? (
+            <text
+              className="trend-axis"
+              key={`${label}-${index}`}
+              x={xFor(index)}
+              y={HEIGHT - 8}
+              textAnchor="middle"
+            >
+              {label}
+            </text>
+          ) : null
+        )}
+        {series.map((item) => {
+          const points = item.values
+            .map((value, index) => (value === null ? null : `${xFor(index)},${yFor(value)}`))
+            .filter(Boolean)
+          return (
+            <g key={item.label}>
+              <polyline className="trend-line" points={points.join(' ')} style={{ stroke: item.color }} />
+              {item.values.map((value, index) =>
+                value === null ? null : (
+                  <circle
+                    className="trend-dot"
+                    key={index}
+                    cx={xFor(index)}
+                    cy={yFor(value)}
+                    r="3.5"
+                    style={{ fill: item.color }}
+                  >
+                    <title>{`${item.label} (${labels[index]}): ${Math.round(value)}${unit}`}</title>
+                  </circle>
+                )
+              )}
+            </g>
+          )
+        })}
+      </svg>
+      {series.length > 1 ? (
+        <div className="pie-legend trend-legend">
+          {series.map((item) => (
+            <span className="legend-row" key={item.label}>
+              <span className="legend-dot" style={{ background: item.color }} />
+              {item.label}
+            </span>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+export default TrendChart
@@ -0,0 +1,102 @@
+import * as XLSX from 'xlsx'
+import { buildAliasLookup, resolveAlias } from './aliases.js'
+import { getColumnIndex, normalize } from './columns.js'
+
+const EMAIL_PATTERN = /^[^\s@<>(),;]+@[^\s@<>(),;]+\.[^\s@<>(),;]+$/
+
+const NAME_HEADERS = ['Actiehouder', 'Naam', 'Name']
+const EMAIL_HEADERS = ['Email', 'E-mail', 'Emailadres', 'E-mailadres', 'Mail']
+
+export const ADDRESS_BOOK_SHEETS = ['Adresboek', 'Actiehouders']
+
+export const isValidEmail = (value) => EMAIL_PATTERN.test(String(value ?? '').trim())
+
+const findHeaderIndex = (headers, candidates) =>
+  candidates.map((name) => getColumnIndex(headers, name)).find((index) => index !== -1) ?? -1
+
+export const readAddressBookRows = (rows) => {
+  if (!rows.length) return []
+  const headers = rows[0].map((value) => String(value ?? '').trim())
+  let nameIndex = findHeaderIndex(headers, NAME_HEADERS)
+  let emailIndex = findHeaderIndex(headers, EMAIL_HEADERS)
+  let startRow = 1
+  if (nameIndex === -1 || emailIndex === -1) {
+    nameIndex = 0
+    emailIndex = 1
+    startRow = isValidEmail(rows[0][1]) ? 0 : 1
+  }
+
+  const entries = new Map()
+  for (let i = startRow; i < rows.length; i += 1) {
+    const name = String(rows[i]?.[nameIndex] ?? '').trim()
+    const email = String(rows[i]?.[emailIndex] ?? '').trim()
+    if (!name || !isValidEmail(email)) continue
+    entries.set(normalize(name), { name, email })
+  }
+  return Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export const parseAddressBookCsv = (text) => {
+  const workbook = XLSX.read(String(text ?? '').replace(/^\uFEFF/, ''), { type: 'string' })
+  const sheet = workbook.Sheets[workbook.SheetNames[0]]
+  if (!sheet) return []
+  return readAddressBookRows(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }))
+}
+
+export const readAddressBookSheet = (workbook) => {
+  for (const sheetName of ADDRESS_BOOK_SHEETS) {
+    const sheet = workbook.Sheets[sheetName]
+    if (!sheet) continue
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
+    const headerIndex = rows.findIndex((row) =>
+      findHeaderIndex(row.map((value) => String(value ?? '').trim()), EMAIL_HEADERS) !== -1
+    )
+    if (headerIndex === -1) continue
+    const entries = readAddressBookRows(rows.slice(headerIndex))
+    if (entries.length) return entries
+  }
+  return []
+}
+
+export const mergeAddressBooks = (current, incoming) => {
+  const entries = new Map(current.map((entry) => [normalize(entry.name), entry]))
+  incoming.forEach((entry) => entries.set(normalize(entry.name), entry))
+  return Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export const resolveRecipients = (names, addressBook, { aliases = [] } = {}) => {
+  const aliasLookup = buildAliasLookup(aliases)
+  const lookup = new Map(addressBook.map((entry) => [normalize(entry.name), entry.email]))
+  addressBook.forEach((entry) => {
+    const naam = normalize(resolveAlias(entry.name, aliasLookup))
+    if (!lookup.has(naam)) lookup.set(naam, entry.email)
+  })
+  const emails = []
+  const missing = []
+  Array.from(new Set(names.filter(Boolean))).forEach((name) => {
+    const email = lookup.get(normalize(name))
+    if (email) {
+      if (!emails.includes(email)) emails.push(email)
+    } else {
+      missing.push(name)
+    }
+  })
+  return { emails, missing }
+}
+
+export const parseAddressList = (value) =>
+  String(value ?? '')
+    .split(/[;,\s]+/)
+    .map((part) => part.trim())
+    .filter(isValidEmail)
+
+export const MAILTO_MAX_LENGTH = 2000
+
+export const buildMailtoLink = ({ to = [], cc = [], subject = '', body = '' }) => {
+  const params = [
+    cc.length ? `cc=${encodeURIComponent(cc.join(','))}` : '',
+    `subject=${encodeURIComponent(subject)}`,
+    `body=${encodeURIComponent(body.replace(/\r?\n/g, '\r\n'))}`,
+  ].filter(Boolean)
+  return `mailto:${to.join(',')}?${params.join('&')}`
+}
@@ -0,0 +1,179 @@
+import * as XLSX from 'xlsx'
+import { getColumnIndex, normalize, resolveColumns } from './columns.js'
+
+export const ALIAS_SHEET = 'Aliassen'
+
+const ALIAS_HEADERS = ['Alias', 'Schrijfwijze']
+const NAME_HEADERS = ['Naam', 'Actiehouder']
+
+const tokenize = (name) =>
+  normalize(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[\s.,;/_-]+/)
+    .filter(Boolean)
+
+export const buildNameKey = (name) => tokenize(name).sort().join(' ')
+
+const SURNAME_PREFIXES = new Set([
+  'van',
+  'von',
+  'de',
+  'der',
+  'den',
+  'het',
+  "'t",
+  'te',
+  'ter',
+  'ten',
+  'in',
+  'op',
+])
+
+// Achternaam = laatste woord met de voorvoegsels ervoor ("Jan van der Berg" -> "van der berg");
+// bij "Berg, Jan van der" staat de achternaam voor de komma.
+const splitName = (name) => {
+  const [last, given] = String(name ?? '').split(',')
+  const tokens = given === undefined ? tokenize(last) : [...tokenize(given), ...tokenize(last)]
+  let start = tokens.length - 1
+  while (start > 0 && SURNAME_PREFIXES.has(tokens[start - 1])) start -= 1
+  return {
+    surname: tokens.slice(start).join(' '),
+    core: tokens[tokens.length - 1] || '',
+    initials: tokens
+      .slice(0, start)
+      .map((token) => token[0])
+      .sort()
+      .join(''),
+  }
+}
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j]
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      diagonal = above
+    }
+  }
+  return previous[b.length]
+}
+
+export const isSimilarName = (a, b) => {
+  const tokensA = tokenize(a)
+  const tokensB = tokenize(b)
+  if (!tokensA.length || !tokensB.length) return false
+  const keyA = [...tokensA].sort().join(' ')
+  const keyB = [...tokensB].sort().join(' ')
+  if (keyA === keyB) return true
+  if (tokensA.join('') === tokensB.join('')) return true
+  const nameA = splitName(a)
+  const nameB = splitName(b)
+  if (nameA.core.length > 2 && nameA.surname === nameB.surname) {
+    const { initials: initialsA } = nameA
+    const { initials: initialsB } = nameB
+    if (!initialsA || !initialsB || initialsA === initialsB) return true
+    if (initialsA[0] === initialsB[0] && (initialsA.length === 1 || initialsB.length === 1)) {
+      return true
+    }
+  }
+  return keyA.length > 5 && keyB.length > 5 && levenshtein(keyA, keyB) <= 1
+}
+
+export const sanitizeAliases = (aliases) => {
+  if (!Array.isArray(aliases)) return []
+  const entries = new Map()
+  aliases.forEach((entry) => {
+    const alias = String(entry?.alias ?? '').trim()
+    const naam = String(entry?.naam ?? '').trim()
+    if (!alias || !naam || alias === naam) return
+    entries.set(normalize(alias), { alias, naam })
+  })
+  return Array.from(entries.values()).sort((a, b) => a.alias.localeCompare(b.alias))
+}
+
+export const buildAliasLookup = (aliases = []) =>
+  new Map(aliases.map((entry) => [buildNameKey(entry.alias), entry.naam]))
+
+export const resolveAlias = (name, lookup) => {
+  const value = String(name ?? '').trim()
+  if (!value || !lookup || !lookup.size) return value
+  return lookup.get(buildNameKey(value)) || value
+}
+
+export const collectActiehouderNames = (rows, { mapping } = {}) => {
+  if (!rows.length) return []
+  const headers = rows[0].map((value) => String(value ?? '').trim())
+  const { actiehouder: index } = resolveColumns(headers, mapping)
+  if (index === -1) return []
+  const counts = new Map()
+  for (let i = 1; i < rows.length; i += 1) {
+    const name = String(rows[i]?.[index] ?? '').trim()
+    if (name) counts.set(name, (counts.get(name) || 0) + 1)
+  }
+  return Array.from(counts.entries())
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export const findAliasCandidates = (names, aliases = []) => {
+  const lookup = buildAliasLookup(aliases)
+  const pending = names.filter((entry) => !lookup.has(buildNameKey(entry.name)))
+  const used = new Set()
+  const groups = []
+  pending.forEach((entry, index) => {
+    if (used.has(entry.name)) return
+    const group = [entry]
+    pending.slice(index + 1).forEach((other) => {
+      if (used.has(other.name)) return
+      // Alleen vergelijken met de eerste naam, anders trekt een keten van kleine verschillen
+      // ongerelateerde namen in dezelfde groep.
+      if (isSimilarName(entry.name, other.name)) {
+        group.push(other)
+        used.add(other.name)
+      }
+    })
+    if (group.length < 2) return
+    used.add(entry.name)
+    const suggestion = [...group].sort(
+      (a, b) => b.count - a.count || b.name.length - a.name.length
+    )[0].name
+    groups.push({ names: group.map((member) => member.name), suggestion })
+  })
+  return groups
+}
+
+export const mergeAliases = (aliases, names, naam) => {
+  const keys = new Set(names.map(buildNameKey))
+  return sanitizeAliases([
+    ...aliases
+      .filter((entry) => !keys.has(buildNameKey(entry.alias)))
+      .map((entry) => (keys.has(buildNameKey(entry.naam)) ? { ...entry, naam } : entry)),
+    ...names.map((alias) => ({ alias, naam })),
+  ])
+}
+
+export const readAliasSheet = (workbook) => {
+  const sheet = workbook.Sheets[ALIAS_SHEET]
+  if (!sheet) return []
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
+  const findIndex = (headers, candidates) =>
+    candidates.map((name) => getColumnIndex(headers, name)).find((index) => index !== -1) ?? -1
+  const toHeaders = (row) => row.map((value) => String(value ?? '').trim())
+  const headerIndex = rows.findIndex((row) => findIndex(toHeaders(row), ALIAS_HEADERS) !== -1)
+  if (headerIndex === -1) return []
+  const headers = toHeaders(rows[headerIndex])
+  const aliasIndex = findIndex(headers, ALIAS_HEADERS)
+  const nameIndex = findIndex(headers, NAME_HEADERS)
+  if (nameIndex === -1) return []
+  return sanitizeAliases(
+    rows.slice(headerIndex + 1).map((row) => ({ alias: row[aliasIndex], naam: row[nameIndex] }))
+  )
+}
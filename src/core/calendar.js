@@ -0,0 +1,150 @@
+import { DAY_MS, startOfDay, toDateKey } from './dates.js'
+
+export const DAY_MODES = [
+  { key: 'calendar', label: 'Kalenderdagen', unit: 'dagen' },
+  { key: 'working', label: 'Werkdagen', unit: 'werkdagen' },
+]
+
+export const getDayUnit = (dayMode) =>
+  (DAY_MODES.find((mode) => mode.key === dayMode) || DAY_MODES[0]).unit
+
+export const getEasterSunday = (year) => {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return new Date(year, month - 1, day)
+}
+
+const shiftDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+export const getDutchHolidays = (year) => {
+  const easter = getEasterSunday(year)
+  const kingsDay = new Date(year, 3, 27)
+  return [
+    { date: new Date(year, 0, 1), name: 'Nieuwjaarsdag' },
+    { date: easter, name: 'Eerste Paasdag' },
+    { date: shiftDays(easter, 1), name: 'Tweede Paasdag' },
+    {
+      date: kingsDay.getDay() === 0 ? shiftDays(kingsDay, -1) : kingsDay,
+      name: 'Koningsdag',
+    },
+    { date: new Date(year, 4, 5), name: 'Bevrijdingsdag' },
+    { date: shiftDays(easter, 39), name: 'Hemelvaartsdag' },
+    { date: shiftDays(easter, 49), name: 'Eerste Pinksterdag' },
+    { date: shiftDays(easter, 50), name: 'Tweede Pinksterdag' },
+    { date: new Date(year, 11, 25), name: 'Eerste Kerstdag' },
+    { date: new Date(year, 11, 26), name: 'Tweede Kerstdag' },
+  ]
+}
+
+export const getIsoWeekMonday = (year, week) => {
+  const jan4 = new Date(year, 0, 4)
+  const mondayWeek1 = shiftDays(jan4, -((jan4.getDay() + 6) % 7))
+  return shiftDays(mondayWeek1, (week - 1) * 7)
+}
+
+export const getBouwvak = (year, startWeek) => {
+  if (!startWeek) return []
+  const monday = getIsoWeekMonday(year, startWeek)
+  return Array.from({ length: 21 }, (_, index) => shiftDays(monday, index))
+    .filter((date) => date.getDay() !== 0 && date.getDay() !== 6)
+    .map((date) => ({ date, name: 'Bouwvak' }))
+}
+
+const buildValidDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day)
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null
+}
+
+export const parseHolidayList = (value) =>
+  String(value || '')
+    .split(/[\n,;]+/)
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const match = item.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/)
+      if (match) return buildValidDate(Number(match[3]), Number(match[2]), Number(match[1]))
+      const iso = item.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)
+      if (iso) return buildValidDate(Number(iso[1]), Number(iso[2]), Number(iso[3]))
+      return null
+    })
+    .filter(Boolean)
+    .map(toDateKey)
+
+const differenceInCalendarDays = (from, to) =>
+  Math.round(
+    (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+      Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) /
+      DAY_MS
+  )
+
+export const createCalendar = ({
+  dayMode = 'calendar',
+  nationalHolidays = true,
+  bouwvakWeek = 0,
+  holidays = [],
+} = {}) => {
+  const extraHolidays = new Set(holidays)
+  const holidaysByYear = new Map()
+
+  const getHolidayKeys = (year) => {
+    if (!holidaysByYear.has(year)) {
+      const entries = [
+        ...(nationalHolidays ? getDutchHolidays(year) : []),
+        ...getBouwvak(year, bouwvakWeek),
+      ]
+      holidaysByYear.set(year, new Set(entries.map((entry) => toDateKey(entry.date))))
+    }
+    return holidaysByYear.get(year)
+  }
+
+  const isWorkingDay = (date) => {
+    const day = date.getDay()
+    if (day === 0 || day === 6) return false
+    const key = toDateKey(date)
+    return !extraHolidays.has(key) && !getHolidayKeys(date.getFullYear()).has(key)
+  }
+
+  const countWorkingDays = (from, to) => {
+    let count = 0
+    for (let date = shiftDays(from, 1); date <= to; date = shiftDays(date, 1)) {
+      if (isWorkingDay(date)) count += 1
+    }
+    return count
+  }
+
+  const daysBetween = (from, to) => {
+    const start = startOfDay(from)
+    const end = startOfDay(to)
+    if (dayMode !== 'working') return differenceInCalendarDays(start, end)
+    return end >= start ? countWorkingDays(start, end) : -countWorkingDays(end, start)
+  }
+
+  const addDays = (date, days) => {
+    const start = startOfDay(date)
+    if (dayMode !== 'working') return shiftDays(start, days)
+    let result = start
+    let remaining = days
+    while (remaining > 0) {
+      result = shiftDays(result, 1)
+      if (isWorkingDay(result)) remaining -= 1
+    }
+    return result
+  }
+
+  return { dayMode, unit: getDayUnit(dayMode), isWorkingDay, daysBetween, addDays }
+}
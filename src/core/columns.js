@@ -0,0 +1,44 @@
+export const normalize = (value) => String(value ?? '').trim().toLowerCase()
+
+export const getColumnIndex = (headers, name) =>
+  headers.findIndex((header) => normalize(header) === normalize(name))
+
+export const COLUMN_FIELDS = [
+  { key: 'code', label: 'Afwijking code', header: 'Code' },
+  { key: 'titel', label: 'Afwijking titel', header: 'Titel' },
+  { key: 'maatregelCode', label: 'Maatregel code', header: 'Code (2)' },
+  { key: 'maatregel', label: 'Maatregel', header: 'Maatregel' },
+  { key: 'status', label: 'Status maatregel', header: 'Status (2)' },
+  { key: 'statusAfwijking', label: 'Status afwijking', header: 'Status' },
+  { key: 'actiehouder', label: 'Actiehouder', header: 'Actiehouder' },
+  { key: 'opsteller', label: 'Opsteller', header: 'Opsteller' },
+  { key: 'geplandeDatum', label: 'Geplande datum klaar', header: 'Geplande datum klaar' },
+  { key: 'datumKlaar', label: 'Datum klaar', header: 'Datum klaar' },
+  { key: 'beoordeling', label: 'Maatregelen beoordeling', header: 'Maatregelen beoordeling' },
+  { key: 'discipline', label: 'Veroorzakende discipline', header: 'Veroorzakende Discipline' },
+  { key: 'datumGemeld', label: 'Datum melding', header: 'Datum melding', optional: true },
+]
+
+export const buildDefaultMapping = () =>
+  Object.fromEntries(COLUMN_FIELDS.map((field) => [field.key, field.header]))
+
+export const sanitizeMapping = (mapping) =>
+  Object.fromEntries(
+    COLUMN_FIELDS.map((field) => {
+      const value = mapping?.[field.key]
+      return [field.key, typeof value === 'string' ? value : field.header]
+    })
+  )
+
+export const resolveColumns = (headers, mapping) =>
+  Object.fromEntries(
+    COLUMN_FIELDS.map((field) => [
+      field.key,
+      getColumnIndex(headers, mapping?.[field.key] ?? field.header),
+    ])
+  )
+
+export const getMissingColumns = (columns, mapping, keys) =>
+  keys
+    .filter((key) => columns[key] === -1)
+    .map((key) => mapping?.[key] || COLUMN_FIELDS.find((field) => field.key === key)?.label || key)
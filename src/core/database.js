@@ -0,0 +1,181 @@
+import * as XLSX from 'xlsx'
+import { getColumnIndex, normalize, resolveColumns } from './columns.js'
+import { parseDateValue } from './dates.js'
+import {
+  buildCell,
+  copyFormulaCell,
+  expandSharedFormulas,
+  getDateStyle,
+  hasCellContent,
+  parseSheetData,
+  readAttr,
+  readCellStyle,
+  readCellText,
+  readPackage,
+  readPart,
+  readSharedStrings,
+  readSheets,
+  readStyleSheet,
+  readTables,
+  replaceSheetData,
+  requestRecalculation,
+  writePackage,
+  writePart,
+  writeStyleSheet,
+  writeTableRange,
+} from './ooxml.js'
+import { readHeaders } from './overzicht.js'
+
+const DATE_FIELDS = ['geplandeDatum', 'datumKlaar', 'datumGemeld']
+
+const findDatabaseSheet = (zip) => {
+  const sheets = readSheets(zip).filter((sheet) => sheet.path)
+  return sheets.find((sheet) => readTables(zip, sheet.path).length) || sheets[0] || null
+}
+
+const readSheetRange = (rows) => ({
+  s: { r: 0, c: 0 },
+  e: {
+    r: Math.max(0, ...rows.keys()),
+    c: Math.max(0, ...(rows.get(0)?.cells.keys() || [])),
+  },
+})
+
+// De database wordt in het zip-pakket bijgewerkt: alleen cellen en tabelbereik veranderen, zodat
+// autoFilter, verbindingen, query's en het datamodel blijven zoals Excel ze schreef.
+export const updateDatabaseWorkbook = (buffer, rows, { mapping } = {}) => {
+  if (!rows.length) throw new Error('Geen data gevonden in overzicht.')
+  const headers = readHeaders(rows)
+  const zip = readPackage(buffer, 'Database is geen geldig Excel bestand.')
+  const sheet = findDatabaseSheet(zip)
+  if (!sheet) throw new Error('Geen werkblad gevonden in database.')
+
+  const sharedStrings = readSharedStrings(zip)
+  const styleSheet = readStyleSheet(zip)
+  const sheetXml = readPart(zip, sheet.path) || ''
+  const { match, rows: sheetRows } = parseSheetData(sheetXml)
+  expandSharedFormulas(sheetRows)
+
+  const table = readTables(zip, sheet.path)[0] || null
+  if (table && Number(readAttr(table.tag, 'totalsRowCount')) > 0) {
+    throw new Error('Database tabel met totaalrij wordt niet ondersteund.')
+  }
+  const range = table ? XLSX.utils.decode_range(readAttr(table.tag, 'ref')) : readSheetRange(sheetRows)
+  const headerRow = sheetRows.get(range.s.r)
+  const readText = (row, col) => readCellText(row?.cells.get(col) || '<c/>', sharedStrings)
+
+  const columnMap = []
+  for (let col = range.s.c; col <= range.e.c; col += 1) {
+    const sourceIndex = getColumnIndex(headers, readText(headerRow, col))
+    if (sourceIndex !== -1) {
+      columnMap.push({ col, sourceIndex })
+    }
+  }
+  if (!columnMap.length) {
+    throw new Error('Geen overeenkomende kolomkoppen tussen database en overzicht.')
+  }
+
+  const columns = resolveColumns(headers, mapping)
+  const findColumn = (index) => columnMap.find(({ sourceIndex }) => sourceIndex === index)
+  const keyColumns = [columns.code, columns.maatregelCode].map(findColumn).filter(Boolean)
+  if (!keyColumns.length) {
+    throw new Error(`Kolom ${mapping?.code || 'Code'} ontbreekt in database of overzicht.`)
+  }
+  const buildKey = (values) => values.map((value) => normalize(value)).join('|')
+  const sourceRows = rows
+    .slice(1)
+    .filter((row) => row && !row.every((value) => value === '' || value === null))
+    .map((row) => ({ row, key: buildKey(keyColumns.map(({ sourceIndex }) => row[sourceIndex])) }))
+    .filter(({ key }) => key.replace(/\|/g, ''))
+
+  // Zonder maatregelcode als sleutel zouden alle maatregelen van een afwijking in een rij eindigen.
+  if (!findColumn(columns.maatregelCode)) {
+    const keys = new Set(sourceRows.map(({ key }) => key))
+    if (keys.size < sourceRows.length) {
+      throw new Error(
+        `Kolom ${mapping?.maatregelCode || 'Code (2)'} ontbreekt in database of overzicht; afwijkingen met meerdere maatregelen zouden in een rij samenvallen.`
+      )
+    }
+  }
+
+  const databaseKeys = new Map()
+  for (let rowIndex = range.s.r + 1; rowIndex <= range.e.r; rowIndex += 1) {
+    const row = sheetRows.get(rowIndex)
+    const key = buildKey(keyColumns.map(({ col }) => readText(row, col)))
+    if (key.replace(/\|/g, '') && !databaseKeys.has(key)) {
+      databaseKeys.set(key, rowIndex)
+    }
+  }
+
+  const newRowCount = new Set(
+    sourceRows.map(({ key }) => key).filter((key) => !databaseKeys.has(key))
+  ).size
+  const lastRow = range.e.r + newRowCount
+  for (let rowIndex = range.e.r + 1; rowIndex <= lastRow; rowIndex += 1) {
+    const row = sheetRows.get(rowIndex)
+    for (let col = range.s.c; col <= range.e.c; col += 1) {
+      if (hasCellContent(row?.cells.get(col), sharedStrings)) {
+        throw new Error(
+          `Database tabel groeit tot rij ${lastRow + 1}, maar rij ${rowIndex + 1} onder de tabel is niet leeg.`
+        )
+      }
+    }
+  }
+
+  const dateColumns = new Set(DATE_FIELDS.map((key) => columns[key]).filter((index) => index !== -1))
+  const toValue = (value, sourceIndex) =>
+    dateColumns.has(sourceIndex) ? parseDateValue(value).date ?? value : value
+  const templateRowIndex = range.e.r > range.s.r ? range.e.r : null
+  const templateRow = templateRowIndex === null ? null : sheetRows.get(templateRowIndex)
+  let lastRowIndex = range.e.r
+  let updatedCount = 0
+  let addedCount = 0
+
+  sourceRows.forEach(({ row: sourceRow, key }) => {
+    let rowIndex = databaseKeys.get(key)
+    if (rowIndex) {
+      updatedCount += 1
+    } else {
+      lastRowIndex += 1
+      rowIndex = lastRowIndex
+      databaseKeys.set(key, rowIndex)
+      addedCount += 1
+      const cells = new Map()
+      for (let col = range.s.c; col <= range.e.c; col += 1) {
+        const templateCell = templateRow?.cells.get(col)
+        const ref = XLSX.utils.encode_cell({ r: rowIndex, c: col })
+        cells.set(
+          col,
+          /<f\b/.test(templateCell || '')
+            ? copyFormulaCell(templateCell, ref, rowIndex - templateRowIndex)
+            : buildCell(ref, '', readCellStyle(templateCell))
+        )
+      }
+      sheetRows.set(rowIndex, { attrs: templateRow?.attrs || '', cells })
+    }
+
+    const row = sheetRows.get(rowIndex) || { attrs: '', cells: new Map() }
+    columnMap.forEach(({ col, sourceIndex }) => {
+      const value = toValue(sourceRow[sourceIndex], sourceIndex)
+      const style = readCellStyle(row.cells.get(col))
+      row.cells.set(
+        col,
+        buildCell(
+          XLSX.utils.encode_cell({ r: rowIndex, c: col }),
+          value,
+          value instanceof Date ? getDateStyle(styleSheet, style) : style
+        )
+      )
+    })
+    sheetRows.set(rowIndex, row)
+  })
+
+  writePart(zip, sheet.path, replaceSheetData(sheetXml, match[0], sheetRows))
+  if (table) {
+    writeTableRange(zip, table, { s: range.s, e: { r: lastRowIndex, c: range.e.c } })
+  }
+  writeStyleSheet(zip, styleSheet)
+  requestRecalculation(zip)
+
+  return { data: writePackage(zip), updatedCount, addedCount }
+}
@@ -0,0 +1,164 @@
+export const DAY_MS = 24 * 60 * 60 * 1000
+
+const MONTHS = {
+  jan: 1,
+  januari: 1,
+  january: 1,
+  feb: 2,
+  febr: 2,
+  februari: 2,
+  february: 2,
+  mrt: 3,
+  mar: 3,
+  maart: 3,
+  march: 3,
+  apr: 4,
+  april: 4,
+  mei: 5,
+  may: 5,
+  jun: 6,
+  juni: 6,
+  june: 6,
+  jul: 7,
+  juli: 7,
+  july: 7,
+  aug: 8,
+  augustus: 8,
+  august: 8,
+  sep: 9,
+  sept: 9,
+  september: 9,
+  okt: 10,
+  oct: 10,
+  oktober: 10,
+  october: 10,
+  nov: 11,
+  november: 11,
+  dec: 12,
+  december: 12,
+}
+
+export const DATE_ISSUES = {
+  unreadable: 'Onleesbare datum',
+  ambiguous: 'Dubbelzinnige datum (dag-maand aangenomen)',
+}
+
+const EXCEL_SERIAL_MAX = 2958465
+
+// Excel telt 1900 als schrikkeljaar; serials vanaf 60 liggen daardoor een dag verder.
+const fromExcelSerial = (serial) => {
+  const days = Math.floor(serial)
+  return new Date(1899, 11, 30 + (days < 60 ? days + 1 : days))
+}
+
+export const toExcelSerial = (date) => {
+  const days = Math.round(
+    (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(1899, 11, 30)) /
+      86400000
+  )
+  return days < 61 ? days - 1 : days
+}
+
+const toFullYear = (year) => {
+  if (year >= 100) return year
+  return year < 70 ? 2000 + year : 1900 + year
+}
+
+const buildDate = (year, month, day) => {
+  const fullYear = toFullYear(year)
+  const date = new Date(fullYear, month - 1, day)
+  return date.getFullYear() === fullYear && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null
+}
+
+const parseDateString = (value) => {
+  const text = value.trim().toLowerCase().replace(/\s+/g, ' ')
+  const withoutTime = text.replace(/[ t]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/, '')
+
+  const iso = withoutTime.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/)
+  if (iso) return { date: buildDate(Number(iso[1]), Number(iso[2]), Number(iso[3])), issue: null }
+
+  const numeric = withoutTime.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})$/)
+  if (numeric) {
+    const day = Number(numeric[1])
+    const month = Number(numeric[3])
+    const date = buildDate(Number(numeric[4]), month, day)
+    const ambiguous = numeric[2] === '/' && day <= 12 && month <= 12 && day !== month
+    return { date, issue: date && ambiguous ? DATE_ISSUES.ambiguous : null }
+  }
+
+  const dayFirst = withoutTime.match(
+    /^(?:[a-z]+,? )?(\d{1,2})[ .-]?([a-z]+)\.?[ .,-]*(\d{2}|\d{4})$/
+  )
+  if (dayFirst && MONTHS[dayFirst[2]]) {
+    return {
+      date: buildDate(Number(dayFirst[3]), MONTHS[dayFirst[2]], Number(dayFirst[1])),
+      issue: null,
+    }
+  }
+
+  const monthFirst = withoutTime.match(/^([a-z]+)\.? (\d{1,2}),? (\d{4})$/)
+  if (monthFirst && MONTHS[monthFirst[1]]) {
+    return {
+      date: buildDate(Number(monthFirst[3]), MONTHS[monthFirst[1]], Number(monthFirst[2])),
+      issue: null,
+    }
+  }
+
+  return { date: null, issue: null }
+}
+
+export const parseDateValue = (value) => {
+  if (value === null || value === undefined || value === '') return { date: null, issue: null }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? { date: null, issue: DATE_ISSUES.unreadable }
+      : { date: value, issue: null }
+  }
+  if (typeof value === 'number') {
+    return value >= 1 && value <= EXCEL_SERIAL_MAX
+      ? { date: fromExcelSerial(value), issue: null }
+      : { date: null, issue: DATE_ISSUES.unreadable }
+  }
+  if (typeof value === 'string') {
+    if (!value.trim()) return { date: null, issue: null }
+    const parsed = parseDateString(value)
+    return parsed.date ? parsed : { date: null, issue: DATE_ISSUES.unreadable }
+  }
+  return { date: null, issue: DATE_ISSUES.unreadable }
+}
+
+export const parseExcelDate = (value) => parseDateValue(value).date
+
+const pad = (value) => String(value).padStart(2, '0')
+
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+export const formatDate = (value) => {
+  const date = value instanceof Date ? value : parseExcelDate(value)
+  if (!date) return ''
+  return date.toLocaleDateString('nl-NL')
+}
+
+export const getWeekNumber = (date) => {
+  const temp = new Date(date.getTime())
+  temp.setHours(0, 0, 0, 0)
+  temp.setDate(temp.getDate() + 3 - ((temp.getDay() + 6) % 7))
+  const week1 = new Date(temp.getFullYear(), 0, 4)
+  return (
+    1 +
+    Math.round(
+      ((temp.getTime() - week1.getTime()) / 86400000 - 3 + ((week1.getDay() + 6) % 7)) / 7
+    )
+  )
+}
+
+export const buildTimestamp = (now = new Date()) => {
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(
+    now.getHours()
+  )}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+}
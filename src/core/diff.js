@@ -0,0 +1,218 @@
+import * as XLSX from 'xlsx'
+import { buildAliasLookup, resolveAlias } from './aliases.js'
+import { getColumnIndex, normalize, resolveColumns } from './columns.js'
+import { parseExcelDate, toDateKey } from './dates.js'
+import { analyzeAchterstallig, readOverzichtRows } from './overzicht.js'
+
+const DASHBOARD_SHEET = 'Afwijking achterstallig'
+const DASHBOARD_CONCEPT_SHEET = 'Afwijking concept'
+
+export const DASHBOARD_REMARK_HEADER = 'Opmerkingen'
+export const DASHBOARD_UPDATE_HEADER = 'Laatste update'
+
+export const buildMaatregelKey = (code, maatregelCode) =>
+  `${normalize(code)}|${normalize(maatregelCode)}`
+
+const findDashboardHeaderRow = (rows) =>
+  rows.findIndex((row) => getColumnIndex(row.map((value) => String(value ?? '').trim()), 'Afw. Code') !== -1)
+
+export const isDashboardWorkbook = (workbook) => {
+  const sheet = workbook.Sheets[DASHBOARD_SHEET]
+  if (!sheet) return false
+  return findDashboardHeaderRow(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })) !== -1
+}
+
+const toText = (value) => String(value ?? '').trim()
+
+const readDashboardTable = (workbook, sheetName, headersByKey, toRow) => {
+  const sheet = workbook.Sheets[sheetName]
+  if (!sheet) return []
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
+  const headerIndex = findDashboardHeaderRow(rows)
+  if (headerIndex === -1) return []
+  const headers = rows[headerIndex].map(toText)
+  const columns = Object.fromEntries(
+    Object.entries(headersByKey).map(([key, header]) => [key, getColumnIndex(headers, header)])
+  )
+  const read = (row, key) => (columns[key] !== -1 ? row[columns[key]] : '')
+
+  return rows
+    .slice(headerIndex + 1)
+    .filter((row) => toText(read(row, 'code')))
+    .map((row) => toRow((key) => read(row, key)))
+}
+
+export const readDashboardAchterstallig = (workbook) =>
+  readDashboardTable(
+    workbook,
+    DASHBOARD_SHEET,
+    {
+      code: 'Afw. Code',
+      titel: 'Afwijking Titel',
+      maatregelCode: 'Maatregel Code',
+      maatregel: 'Maatregel',
+      status: 'Status',
+      actiehouder: 'Actiehouder',
+      geplandeDatum: 'Geplande datum klaar',
+      opmerking: 'Opmerking',
+      opmerkingen: DASHBOARD_REMARK_HEADER,
+      laatsteUpdate: DASHBOARD_UPDATE_HEADER,
+    },
+    (read) => ({
+      code: read('code'),
+      titel: read('titel'),
+      maatregelCode: read('maatregelCode'),
+      maatregel: read('maatregel'),
+      status: toText(read('status')),
+      actiehouder: toText(read('actiehouder')),
+      geplandeDatum: parseExcelDate(read('geplandeDatum')),
+      opmerking: toText(read('opmerking')),
+      opmerkingen: toText(read('opmerkingen')),
+      laatsteUpdate: parseExcelDate(read('laatsteUpdate')),
+    })
+  )
+
+export const readDashboardConcept = (workbook) =>
+  readDashboardTable(
+    workbook,
+    DASHBOARD_CONCEPT_SHEET,
+    {
+      code: 'Afw. Code',
+      titel: 'Afwijking Titel',
+      status: 'Status',
+      opsteller: 'Opsteller',
+      geplandeDatum: 'Geplande datum klaar',
+      opmerkingen: DASHBOARD_REMARK_HEADER,
+    },
+    (read) => ({
+      code: read('code'),
+      titel: read('titel'),
+      status: toText(read('status')),
+      opsteller: toText(read('opsteller')),
+      geplandeDatum: parseExcelDate(read('geplandeDatum')),
+      opmerkingen: toText(read('opmerkingen')),
+    })
+  )
+
+const indexRows = (rows) => {
+  const index = new Map()
+  rows.forEach((row) => {
+    const key = buildMaatregelKey(row.code, row.maatregelCode)
+    if (key !== '|' && !index.has(key)) index.set(key, row)
+  })
+  return index
+}
+
+const indexOverzichtMaatregelen = (rows, mapping, aliasLookup) => {
+  const columns = resolveColumns((rows[0] || []).map((value) => String(value ?? '').trim()), mapping)
+  const read = (row, key) => (columns[key] !== -1 ? row[columns[key]] : '')
+  return indexRows(
+    rows.slice(1).map((row) => ({
+      code: read(row, 'code'),
+      titel: read(row, 'titel'),
+      maatregelCode: read(row, 'maatregelCode'),
+      maatregel: read(row, 'maatregel'),
+      actiehouder: resolveAlias(read(row, 'actiehouder'), aliasLookup),
+      geplandeDatum: parseExcelDate(read(row, 'geplandeDatum')),
+    }))
+  )
+}
+
+export const loadOverzichtRun = (rows, { mapping, now = new Date(), aliases = [] } = {}) => {
+  const { achterstallig } = analyzeAchterstallig(rows, { mapping, now, aliases })
+  return {
+    source: 'overzicht',
+    achterstallig,
+    maatregelen: indexOverzichtMaatregelen(rows, mapping, buildAliasLookup(aliases)),
+  }
+}
+
+export const loadRun = (workbook, options = {}) => {
+  if (isDashboardWorkbook(workbook)) {
+    const aliasLookup = buildAliasLookup(options.aliases)
+    const achterstallig = readDashboardAchterstallig(workbook).map((row) => ({
+      ...row,
+      actiehouder: resolveAlias(row.actiehouder, aliasLookup),
+    }))
+    return { source: 'dashboard', achterstallig, maatregelen: indexRows(achterstallig) }
+  }
+  return loadOverzichtRun(readOverzichtRows(workbook), options)
+}
+
+const dateKey = (date) => (date ? toDateKey(date) : '')
+
+export const diffRuns = (previous, current) => {
+  const previousAchterstallig = indexRows(previous.achterstallig)
+  const currentAchterstallig = indexRows(current.achterstallig)
+
+  const nieuw = current.achterstallig.filter(
+    (row) => !previousAchterstallig.has(buildMaatregelKey(row.code, row.maatregelCode))
+  )
+  const opgelost = previous.achterstallig
+    .filter((row) => !currentAchterstallig.has(buildMaatregelKey(row.code, row.maatregelCode)))
+    .map((row) => {
+      const now = current.maatregelen.get(buildMaatregelKey(row.code, row.maatregelCode))
+      return { ...row, reden: now ? 'Niet meer achterstallig' : 'Niet meer in overzicht' }
+    })
+
+  const deadlineGewijzigd = []
+  const herverdeeld = []
+  current.maatregelen.forEach((row, key) => {
+    const before = previous.maatregelen.get(key)
+    if (!before) return
+    if (dateKey(before.geplandeDatum) !== dateKey(row.geplandeDatum)) {
+      deadlineGewijzigd.push({ ...row, vorigeDatum: before.geplandeDatum, nieuweDatum: row.geplandeDatum })
+    }
+    if (before.actiehouder && row.actiehouder && normalize(before.actiehouder) !== normalize(row.actiehouder)) {
+      herverdeeld.push({
+        ...row,
+        vorigeActiehouder: before.actiehouder,
+        nieuweActiehouder: row.actiehouder,
+      })
+    }
+  })
+
+  const byCode = (a, b) =>
+    String(a.code).localeCompare(String(b.code)) ||
+    String(a.maatregelCode).localeCompare(String(b.maatregelCode))
+  return {
+    nieuw: nieuw.sort(byCode),
+    opgelost: opgelost.sort(byCode),
+    deadlineGewijzigd: deadlineGewijzigd.sort(byCode),
+    herverdeeld: herverdeeld.sort(byCode),
+  }
+}
+
+export const CHANGE_TYPES = [
+  { key: 'nieuw', label: 'Nieuw achterstallig' },
+  { key: 'opgelost', label: 'Van lijst af' },
+  { key: 'deadlineGewijzigd', label: 'Deadline verschoven' },
+  { key: 'herverdeeld', label: 'Actiehouder gewijzigd' },
+]
+
+export const flattenChanges = (changes) =>
+  CHANGE_TYPES.flatMap(({ key, label }) =>
+    (changes[key] || []).map((row) => ({
+      type: label,
+      code: row.code,
+      maatregelCode: row.maatregelCode,
+      maatregel: row.maatregel,
+      actiehouder: row.actiehouder,
+      vorige:
+        key === 'deadlineGewijzigd'
+          ? row.vorigeDatum
+          : key === 'herverdeeld'
+            ? row.vorigeActiehouder
+            : key === 'opgelost'
+              ? row.reden
+              : '',
+      nieuw:
+        key === 'deadlineGewijzigd'
+          ? row.nieuweDatum
+          : key === 'herverdeeld'
+            ? row.nieuweActiehouder
+            : key === 'nieuw'
+              ? row.opmerking
+              : '',
+    }))
+  )
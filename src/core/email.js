@@ -0,0 +1,224 @@
+import { formatDate, getWeekNumber } from './dates.js'
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const EMAIL_TABLE_COLUMNS = [
+  { label: 'Code', value: (row) => row.code },
+  { label: 'Maatregel', value: (row) => row.maatregel },
+  { label: 'Geplande datum', value: (row) => formatDate(row.geplandeDatum) },
+  { label: 'Opmerking', value: (row) => row.opmerking },
+  { label: 'Opmerkingen', value: (row) => row.opmerkingen },
+]
+
+export const buildTextTable = (rows, columns = EMAIL_TABLE_COLUMNS) => {
+  const cells = rows.map((row) => columns.map((column) => String(column.value(row) ?? '')))
+  const widths = columns.map((column, index) =>
+    Math.min(Math.max(column.label.length, ...cells.map((line) => line[index].length)), 60)
+  )
+  const formatLine = (values) =>
+    values
+      .map((value, index) => value.slice(0, widths[index]).padEnd(widths[index]))
+      .join(' | ')
+      .trimEnd()
+  return [
+    formatLine(columns.map((column) => column.label)),
+    widths.map((width) => '-'.repeat(width)).join('-+-'),
+    ...cells.map(formatLine),
+  ].join('\n')
+}
+
+export const buildHtmlTable = (rows, columns = EMAIL_TABLE_COLUMNS) => {
+  const cellStyle = 'border:1px solid #c6ced9;padding:4px 8px;text-align:left;vertical-align:top;'
+  const headerStyle = `${cellStyle}background:#630d80;color:#ffffff;font-weight:bold;`
+  const header = columns
+    .map((column) => `<th style="${headerStyle}">${escapeHtml(column.label)}</th>`)
+    .join('')
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${columns
+          .map((column) => `<td style="${cellStyle}">${escapeHtml(column.value(row))}</td>`)
+          .join('')}</tr>`
+    )
+    .join('')
+  return `<table style="border-collapse:collapse;font-family:Calibri,Arial,sans-serif;font-size:11pt;"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`
+}
+
+export const textToHtml = (text) =>
+  String(text ?? '')
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.replace(/^\n+|\n+$/g, ''))
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('')
+
+export const EMAIL_PLACEHOLDERS = [
+  { key: 'station', label: 'Stationnaam' },
+  { key: 'week', label: 'Weeknummer (2 cijfers)' },
+  { key: 'jaar', label: 'Jaar' },
+  { key: 'aantal_achterstallig', label: 'Aantal maatregelen in de tabel' },
+  { key: 'actiehouder', label: "Naam actiehouder (of \"collega's\")" },
+  { key: 'tabel', label: 'Tabel met maatregelen' },
+]
+
+export const DEFAULT_EMAIL_TEMPLATES = {
+  'Eerste herinnering': {
+    subject: '{station} - Afwijkingen maatregelen - deadlines week {week}-{jaar}',
+    body: [
+      'Beste {actiehouder},',
+      '',
+      "Bij deze het overzicht van de maatregelen horende bij afwijkingen waarvoor de implementatiedatum verstreken is (zie de 'Geplande datum klaar' kolom).",
+      "Ik ontvang graag een status update omtrent deze maatregelen. De updates die mij bekend zijn staan onder de 'Opmerkingen' kolom.",
+      '',
+      '{tabel}',
+      '',
+      'Ik hoop jullie hiermee voldoende te hebben geinformeerd. Bij vragen hoor ik het graag.',
+    ].join('\n'),
+  },
+  Escalatie: {
+    subject: '{station} - ESCALATIE afwijkingen maatregelen - deadlines week {week}-{jaar}',
+    body: [
+      'Beste {actiehouder},',
+      '',
+      'Ondanks eerdere herinneringen staan er nog {aantal_achterstallig} maatregelen open waarvan de geplande datum verstreken is.',
+      'Graag ontvang ik uiterlijk deze week een status update of een nieuwe, haalbare planning.',
+      '',
+      '{tabel}',
+      '',
+      'Lukt dit niet, laat het dan weten zodat we samen naar een oplossing kunnen kijken.',
+    ].join('\n'),
+  },
+  Maandoverzicht: {
+    subject: '{station} - Maandoverzicht afwijkingen maatregelen - week {week}-{jaar}',
+    body: [
+      'Beste {actiehouder},',
+      '',
+      'Hierbij het maandelijkse overzicht van de openstaande maatregelen voor {station}.',
+      'Er staan op dit moment {aantal_achterstallig} maatregelen open met een verstreken of naderende deadline.',
+      '',
+      '{tabel}',
+      '',
+      "De updates die mij bekend zijn staan onder de 'Opmerking' kolom. Bij vragen hoor ik het graag.",
+    ].join('\n'),
+  },
+}
+
+export const DEFAULT_EMAIL_TEMPLATE_NAME = 'Eerste herinnering'
+
+const fillPlaceholders = (text, values) =>
+  String(text ?? '').replace(/\{(\w+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+  )
+
+export const renderEmailTemplate = (
+  template,
+  { station: stationLabel, actiehouder = '', rows = [], now = new Date() } = {}
+) => {
+  const values = {
+    station: stationLabel?.trim() || 'Station',
+    week: String(getWeekNumber(now)).padStart(2, '0'),
+    jaar: String(now.getFullYear()),
+    aantal_achterstallig: rows.length,
+    actiehouder: actiehouder || "collega's",
+  }
+  const textTable = rows.length ? buildTextTable(rows) : ''
+  const htmlTable = rows.length ? buildHtmlTable(rows) : ''
+  const subject = fillPlaceholders(template.subject, { ...values, tabel: '' })
+    .replace(/\s+/g, ' ')
+    .trim()
+  const body = fillPlaceholders(template.body, { ...values, tabel: textTable })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+  const html = String(template.body ?? '')
+    .split('{tabel}')
+    .map((part) => textToHtml(fillPlaceholders(part, values)))
+    .join(htmlTable)
+  return { subject, body, html }
+}
+
+export const buildEmailDraft = (
+  stationLabel,
+  { template = DEFAULT_EMAIL_TEMPLATES[DEFAULT_EMAIL_TEMPLATE_NAME], rows = [], now = new Date() } = {}
+) => renderEmailTemplate(template, { station: stationLabel, rows, now })
+
+export const buildActiehouderDrafts = (
+  stationLabel,
+  achterstalligRows,
+  { template = DEFAULT_EMAIL_TEMPLATES[DEFAULT_EMAIL_TEMPLATE_NAME], now = new Date() } = {}
+) => {
+  const rowsByActiehouder = new Map()
+  achterstalligRows.forEach((row) => {
+    if (!row.actiehouder) return
+    if (!rowsByActiehouder.has(row.actiehouder)) rowsByActiehouder.set(row.actiehouder, [])
+    rowsByActiehouder.get(row.actiehouder).push(row)
+  })
+
+  return Array.from(rowsByActiehouder.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([actiehouder, rows]) => ({
+      actiehouder,
+      rows,
+      ...renderEmailTemplate(template, { station: stationLabel, actiehouder, rows, now }),
+    }))
+}
+
+const encodeBase64 = (value) => {
+  const bytes = new TextEncoder().encode(value)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+const wrapBase64 = (value) => encodeBase64(value).replace(/.{1,76}/g, '$&\r\n').trimEnd()
+
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value)}?=`
+
+const formatAddressList = (list) => (list || []).filter(Boolean).join(', ')
+
+export const buildEml = ({ to = [], cc = [], subject = '', text = '', html = '' }) => {
+  const boundary = `----=_afwijkingen_${Math.random().toString(36).slice(2)}`
+  const headers = [
+    to.length ? `To: ${formatAddressList(to)}` : '',
+    cc.length ? `Cc: ${formatAddressList(cc)}` : '',
+    `Subject: ${encodeHeader(subject)}`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+  ].filter(Boolean)
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset="utf-8"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      wrapBase64(text),
+      '',
+    ].join('\r\n')
+  }
+
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset="utf-8"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset="utf-8"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(`<!doctype html><html><body>${html}</body></html>`),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n')
+}
@@ -0,0 +1,18 @@
+export * from './addressbook.js'
+export * from './aliases.js'
+export * from './calendar.js'
+export * from './columns.js'
+export * from './database.js'
+export * from './dates.js'
+export * from './diff.js'
+export * from './email.js'
+export * from './overzicht.js'
+export * from './quality.js'
+export * from './remarks.js'
+export * from './report.js'
+export * from './scorecard.js'
+export * from './settings.js'
+export * from './snapshots.js'
+export * from './summary.js'
+export * from './workbooks.js'
+export * from './xlsm.js'
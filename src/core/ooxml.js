@@ -0,0 +1,404 @@
+import * as XLSX from 'xlsx'
+import { normalize } from './columns.js'
+import { formatDate, toExcelSerial } from './dates.js'
+
+// De browserbuild exporteert CFB direct, de CommonJS build in Node alleen via default.
+export const getCfb = () => XLSX.CFB || Reflect.get(XLSX, 'default')?.CFB
+
+const decoder = new TextDecoder()
+const encoder = new TextEncoder()
+
+const isXmlChar = (char) => char.charCodeAt(0) >= 32 || char === '\t' || char === '\n' || char === '\r'
+
+export const escapeXml = (value) =>
+  Array.from(String(value))
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const unescapeXml = (value) =>
+  String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+
+export const readAttr = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`))
+  return match ? unescapeXml(match[1]) : ''
+}
+
+export const readPart = (zip, path) => {
+  const entry = getCfb().find(zip, `/${path}`)
+  return entry?.content ? decoder.decode(new Uint8Array(entry.content)) : null
+}
+
+export const writePart = (zip, path, xml) => {
+  getCfb().utils.cfb_add(zip, `/${path}`, encoder.encode(xml))
+}
+
+const resolveTarget = (basePath, target) => {
+  if (target.startsWith('/')) return target.slice(1)
+  const parts = basePath.split('/').slice(0, -1)
+  target.split('/').forEach((part) => {
+    if (part === '..') parts.pop()
+    else if (part && part !== '.') parts.push(part)
+  })
+  return parts.join('/')
+}
+
+export const getRelsPath = (path) => {
+  const index = path.lastIndexOf('/')
+  return `${path.slice(0, index)}/_rels/${path.slice(index + 1)}.rels`
+}
+
+export const readRelationships = (zip, path) =>
+  Array.from((readPart(zip, getRelsPath(path)) || '').matchAll(/<Relationship\b[^>]*>/g)).map(
+    ([tag]) => ({
+      tag,
+      id: readAttr(tag, 'Id'),
+      type: readAttr(tag, 'Type'),
+      target: resolveTarget(path, readAttr(tag, 'Target')),
+    })
+  )
+
+export const readSharedStrings = (zip) =>
+  Array.from((readPart(zip, 'xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)).map(
+    ([, item]) =>
+      Array.from(item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g))
+        .map(([, text]) => unescapeXml(text))
+        .join('')
+  )
+
+export const readSheets = (zip) => {
+  const relationships = readRelationships(zip, 'xl/workbook.xml')
+  const workbookXml = readPart(zip, 'xl/workbook.xml') || ''
+  return Array.from(workbookXml.matchAll(/<sheet\b[^>]*>/g)).map(([tag]) => ({
+    name: readAttr(tag, 'name'),
+    path: relationships.find((rel) => rel.id === readAttr(tag, 'r:id'))?.target || null,
+  }))
+}
+
+export const findSheetPath = (zip, name) =>
+  readSheets(zip).find((sheet) => normalize(sheet.name) === normalize(name))?.path || null
+
+export const readTables = (zip, sheetPath) =>
+  readRelationships(zip, sheetPath)
+    .filter((rel) => rel.type.endsWith('/table'))
+    .map((rel) => {
+      const xml = readPart(zip, rel.target) || ''
+      return { path: rel.target, xml, tag: getOpenTag(xml.replace(/^<\?xml[^>]*>\s*/, '')) }
+    })
+
+export const getOpenTag = (xml) => xml.match(/^<[^>]*>/)[0]
+
+export const readCellText = (cellXml, sharedStrings) => {
+  const type = readAttr(getOpenTag(cellXml), 't')
+  if (type === 'inlineStr') {
+    return Array.from(cellXml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g))
+      .map(([, text]) => unescapeXml(text))
+      .join('')
+  }
+  const value = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1]
+  if (value === undefined) return ''
+  return type === 's' ? sharedStrings[Number(value)] ?? '' : unescapeXml(value)
+}
+
+export const parseSheetData = (sheetXml) => {
+  const match = sheetXml.match(/<sheetData\s*\/>|<sheetData\b[^>]*>([\s\S]*?)<\/sheetData>/)
+  if (!match) throw new Error('Werkblad zonder celgegevens.')
+  const rows = new Map()
+  let rowNumber = 0
+  Array.from((match[1] || '').matchAll(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g)).forEach(
+    ([rowXml]) => {
+      const openTag = getOpenTag(rowXml)
+      rowNumber = Number(readAttr(openTag, 'r')) || rowNumber + 1
+      const attrs = openTag
+        .replace(/^<row/, '')
+        .replace(/\/?>$/, '')
+        .replace(/\s(r|spans)="[^"]*"/g, '')
+      const cells = new Map()
+      let colIndex = -1
+      Array.from(rowXml.matchAll(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g)).forEach(([cellXml]) => {
+        const ref = readAttr(getOpenTag(cellXml), 'r')
+        colIndex = ref ? XLSX.utils.decode_cell(ref).c : colIndex + 1
+        cells.set(colIndex, cellXml)
+      })
+      rows.set(rowNumber - 1, { attrs, cells })
+    }
+  )
+  return { match, rows }
+}
+
+const serializeSheetData = (rows) =>
+  `<sheetData>${Array.from(rows.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([rowIndex, row]) => {
+      const cells = Array.from(row.cells.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([, cellXml]) => cellXml)
+        .join('')
+      return cells
+        ? `<row r="${rowIndex + 1}"${row.attrs}>${cells}</row>`
+        : `<row r="${rowIndex + 1}"${row.attrs}/>`
+    })
+    .join('')}</sheetData>`
+
+// Nieuwe celgegevens plus een bijgewerkte <dimension>; de rest van het werkblad blijft staan.
+export const replaceSheetData = (sheetXml, sheetData, rows) => {
+  let maxRow = 0
+  let maxCol = 0
+  rows.forEach((row, rowIndex) => {
+    maxRow = Math.max(maxRow, rowIndex)
+    row.cells.forEach((_, col) => {
+      maxCol = Math.max(maxCol, col)
+    })
+  })
+  const dimension = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: maxRow, c: maxCol } })
+  return sheetXml
+    .replace(sheetData, serializeSheetData(rows))
+    .replace(/<dimension\b[^>]*\/>/, `<dimension ref="${dimension}"/>`)
+}
+
+export const writeTableRange = (zip, table, range) => {
+  const ref = XLSX.utils.encode_range(range)
+  writePart(
+    zip,
+    table.path,
+    table.xml
+      .replace(/(<table\b[^>]*?\s)ref="[^"]*"/, `$1ref="${ref}"`)
+      .replace(/(<autoFilter\b[^>]*?\s)ref="[^"]*"/, `$1ref="${ref}"`)
+  )
+}
+
+export const readCellStyle = (cellXml) => (cellXml ? readAttr(getOpenTag(cellXml), 's') : '')
+
+export const buildCell = (ref, value, style) => {
+  const styleAttr = style ? ` s="${style}"` : ''
+  if (value === null || value === undefined || value === '') return `<c r="${ref}"${styleAttr}/>`
+  if (value instanceof Date) {
+    return style
+      ? `<c r="${ref}"${styleAttr}><v>${toExcelSerial(value)}</v></c>`
+      : buildCell(ref, formatDate(value), style)
+  }
+  if (typeof value === 'number') return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`
+}
+
+// Ingebouwde datumnotaties van Excel (14-17, 22 en de Oost-Aziatische varianten); 18-21 en 45-47 zijn tijden.
+const BUILTIN_DATE_FORMATS = [
+  [14, 17],
+  [22, 22],
+  [27, 36],
+  [50, 58],
+]
+
+const isDateFormatCode = (code) => {
+  const bare = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '').toLowerCase()
+  return /[dy]/.test(bare) || (/m/.test(bare) && !/[hs]/.test(bare))
+}
+
+export const readStyleSheet = (zip) => {
+  const path = readRelationships(zip, 'xl/workbook.xml').find((rel) => rel.type.endsWith('/styles'))?.target
+  const xml = path ? readPart(zip, path) : null
+  const cellXfs = xml?.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)
+  if (!cellXfs) return null
+  return {
+    path,
+    xml,
+    cellXfs: cellXfs[0],
+    formats: new Map(
+      Array.from(xml.matchAll(/<numFmt\b[^>]*>/g)).map(([tag]) => [
+        Number(readAttr(tag, 'numFmtId')),
+        readAttr(tag, 'formatCode'),
+      ])
+    ),
+    xfs: Array.from(cellXfs[1].matchAll(/<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g)).map(([xf]) => xf),
+    added: 0,
+    dateStyles: new Map(),
+  }
+}
+
+const isDateXf = (styleSheet, xf) => {
+  const id = Number(readAttr(getOpenTag(xf), 'numFmtId'))
+  if (styleSheet.formats.has(id)) return isDateFormatCode(styleSheet.formats.get(id))
+  return BUILTIN_DATE_FORMATS.some(([from, to]) => id >= from && id <= to)
+}
+
+// Een datum in een cel met General-notatie toont Excel als serienummer; zo'n cel krijgt een kopie van
+// de opmaak (vulling, rand, lettertype) met datumnotatie 14.
+export const getDateStyle = (styleSheet, style) => {
+  if (!styleSheet) return ''
+  const base = Number(style) || 0
+  if (styleSheet.dateStyles.has(base)) return styleSheet.dateStyles.get(base)
+  const xf = styleSheet.xfs[base] || '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  let dateStyle = String(base)
+  if (!isDateXf(styleSheet, xf)) {
+    const openTag = getOpenTag(xf)
+    const dateTag = openTag
+      .replace(/\s(numFmtId|applyNumberFormat)="[^"]*"/g, '')
+      .replace(/^<xf/, '<xf numFmtId="14" applyNumberFormat="1"')
+    styleSheet.xfs.push(xf.replace(openTag, dateTag))
+    styleSheet.added += 1
+    dateStyle = String(styleSheet.xfs.length - 1)
+  }
+  styleSheet.dateStyles.set(base, dateStyle)
+  return dateStyle
+}
+
+export const writeStyleSheet = (zip, styleSheet) => {
+  if (!styleSheet?.added) return
+  const openTag = getOpenTag(styleSheet.cellXfs).replace(/\scount="[^"]*"/, '')
+  writePart(
+    zip,
+    styleSheet.path,
+    styleSheet.xml.replace(
+      styleSheet.cellXfs,
+      `${openTag.replace(/^<cellXfs/, `<cellXfs count="${styleSheet.xfs.length}"`)}${styleSheet.xfs.join(
+        ''
+      )}</cellXfs>`
+    )
+  )
+}
+
+export const setAttr = (tag, name, value) =>
+  new RegExp(`\\s${name}="`).test(tag)
+    ? tag.replace(new RegExp(`(\\s${name}=")[^"]*"`), (_, prefix) => `${prefix}${value}"`)
+    : tag.replace(/^(<[\w:]+)/, `$1 ${name}="${value}"`)
+
+// Tekst, bladnamen tussen quotes en gestructureerde verwijzingen ([@Kolom]) blijven ongemoeid.
+const FORMULA_REFERENCE =
+  /"(?:[^"]|"")*"|'(?:[^']|'')*'|\[[^\]]*\]|(?<![\w.$])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![\w(])/gi
+
+const shiftFormula = (formula, rowOffset, colOffset = 0) =>
+  formula.replace(FORMULA_REFERENCE, (match, colAbs, col, rowAbs, row) => {
+    if (col === undefined) return match
+    const nextCol = XLSX.utils.decode_col(col.toUpperCase()) + (colAbs ? 0 : colOffset)
+    const nextRow = Number(row) + (rowAbs ? 0 : rowOffset)
+    if (nextCol < 0 || nextRow < 1) return '#REF!'
+    return `${colAbs}${XLSX.utils.encode_col(nextCol)}${rowAbs}${nextRow}`
+  })
+
+const shiftFormulaXml = (formulaXml, rowOffset, colOffset = 0) =>
+  escapeXml(shiftFormula(unescapeXml(formulaXml), rowOffset, colOffset))
+
+// Gedeelde formules verwijzen naar een hoofdcel die bij het herschikken van rijen kan verdwijnen;
+// daarom krijgt elke cel haar eigen formule.
+export const expandSharedFormulas = (rows) => {
+  const masters = new Map()
+  rows.forEach((row, rowIndex) =>
+    row.cells.forEach((cellXml, col) => {
+      const formula = cellXml.match(/<f\b([^>]*)>([\s\S]*?)<\/f>/)
+      if (formula && readAttr(formula[0], 't') === 'shared' && readAttr(formula[0], 'ref')) {
+        masters.set(readAttr(formula[0], 'si'), { formula: formula[2], rowIndex, col })
+      }
+    })
+  )
+  if (!masters.size) return
+  rows.forEach((row, rowIndex) =>
+    row.cells.forEach((cellXml, col) => {
+      const formula = cellXml.match(/<f\b[^>]*\/>|<f\b[^>]*>[\s\S]*?<\/f>/)
+      if (!formula || readAttr(getOpenTag(formula[0]), 't') !== 'shared') return
+      const master = masters.get(readAttr(getOpenTag(formula[0]), 'si'))
+      const expanded = master
+        ? `<f>${shiftFormulaXml(master.formula, rowIndex - master.rowIndex, col - master.col)}</f>`
+        : ''
+      row.cells.set(col, cellXml.replace(formula[0], expanded))
+    })
+  )
+}
+
+export const moveCell = (cellXml, ref, rowOffset) =>
+  cellXml
+    .replace(/^(<c\b[^>]*?\s)r="[^"]*"/, `$1r="${ref}"`)
+    .replace(/<f\b([^>]*)>([\s\S]*?)<\/f>/g, (_, attrs, formula) => {
+      const range = readAttr(`<f${attrs}>`, 'ref')
+      const nextAttrs = range ? setAttr(`<f${attrs}`, 'ref', shiftFormula(range, rowOffset)) : `<f${attrs}`
+      return `${nextAttrs}>${shiftFormulaXml(formula, rowOffset)}</f>`
+    })
+
+// Een nieuwe rij krijgt de formule van de eerste tabelrij, zonder de berekende waarde.
+export const copyFormulaCell = (cellXml, ref, rowOffset) =>
+  moveCell(cellXml, ref, rowOffset)
+    .replace(/^(<c\b[^>]*?)\st="[^"]*"/, '$1')
+    .replace(/<v>[\s\S]*?<\/v>/, '')
+
+export const hasCellContent = (cellXml, sharedStrings) =>
+  Boolean(cellXml) && (/<f\b/.test(cellXml) || readCellText(cellXml, sharedStrings).trim() !== '')
+
+export const readPackage = (buffer, message) => {
+  let zip
+  try {
+    zip = getCfb().read(new Uint8Array(buffer), { type: 'array' })
+  } catch {
+    throw new Error(message)
+  }
+  if (!readPart(zip, 'xl/workbook.xml')) throw new Error(message)
+  return zip
+}
+
+export const writePackage = (zip) =>
+  new Uint8Array(getCfb().write(zip, { fileType: 'zip', type: 'array', compression: true }))
+
+const WORKBOOK_TAGS_AFTER_CALC = [
+  'oleSize',
+  'customWorkbookViews',
+  'pivotCaches',
+  'smartTagPr',
+  'smartTagTypes',
+  'webPublishing',
+  'fileRecoveryPr',
+  'webPublishObjects',
+  'extLst',
+]
+
+// Zonder calcChain en met fullCalcOnLoad rekent Excel formules over de nieuwe tabellen opnieuw uit.
+export const requestRecalculation = (zip) => {
+  const calcChain = readRelationships(zip, 'xl/workbook.xml').find((rel) =>
+    rel.type.endsWith('/calcChain')
+  )
+  if (calcChain) {
+    getCfb().utils.cfb_del(zip, `/${calcChain.target}`)
+    writePart(
+      zip,
+      getRelsPath('xl/workbook.xml'),
+      readPart(zip, getRelsPath('xl/workbook.xml')).replace(calcChain.tag, '')
+    )
+    writePart(
+      zip,
+      '[Content_Types].xml',
+      readPart(zip, '[Content_Types].xml').replace(
+        /<Override\b[^>]*PartName="\/xl\/calcChain\.xml"[^>]*\/>/,
+        ''
+      )
+    )
+  }
+  const workbookXml = readPart(zip, 'xl/workbook.xml')
+  const calcPr = workbookXml.match(/<calcPr\b[^>]*?\/?>/)
+  if (calcPr) {
+    if (!/fullCalcOnLoad=/.test(calcPr[0])) {
+      writePart(
+        zip,
+        'xl/workbook.xml',
+        workbookXml.replace(calcPr[0], calcPr[0].replace(/^<calcPr/, '<calcPr fullCalcOnLoad="1"'))
+      )
+    }
+    return
+  }
+  const insertAt = WORKBOOK_TAGS_AFTER_CALC.map((tag) => workbookXml.indexOf(`<${tag}`))
+    .filter((index) => index !== -1)
+    .reduce((first, index) => Math.min(first, index), workbookXml.indexOf('</workbook>'))
+  writePart(
+    zip,
+    'xl/workbook.xml',
+    `${workbookXml.slice(0, insertAt)}<calcPr fullCalcOnLoad="1"/>${workbookXml.slice(insertAt)}`
+  )
+}
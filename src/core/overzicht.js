@@ -0,0 +1,345 @@
+import * as XLSX from 'xlsx'
+import { buildAliasLookup, resolveAlias } from './aliases.js'
+import { getMissingColumns, normalize, resolveColumns } from './columns.js'
+import { parseDateValue, startOfDay } from './dates.js'
+import {
+  DEFAULT_SETTINGS,
+  createSettingsCalendar,
+  getHorizonLabel,
+  getTrafficColor,
+} from './settings.js'
+
+export const readWorkbookBuffer = (buffer) => XLSX.read(buffer, { type: 'array', cellDates: true })
+
+export const OVERZICHT_CHUNK_SIZE = 2000
+
+export const readOverzichtRows = (
+  workbook,
+  { onProgress, chunkSize = OVERZICHT_CHUNK_SIZE } = {}
+) => {
+  const sheet = workbook.Sheets[workbook.SheetNames[0]]
+  if (!sheet) return []
+  if (!onProgress || !sheet['!ref']) {
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
+  }
+  const range = XLSX.utils.decode_range(sheet['!ref'])
+  const total = range.e.r - range.s.r + 1
+  const rows = []
+  for (let start = range.s.r; start <= range.e.r; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, range.e.r)
+    const chunk = XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      defval: '',
+      range: { s: { r: start, c: range.s.c }, e: { r: end, c: range.e.c } },
+    })
+    chunk.forEach((row) => rows.push(row))
+    onProgress({ done: end - range.s.r + 1, total })
+  }
+  return rows
+}
+
+export const readHeaders = (rows) => (rows[0] || []).map((value) => String(value ?? '').trim())
+
+export const readDashboardStation = (workbook) => {
+  const sheet =
+    workbook.Sheets['Afwijking achterstallig'] || workbook.Sheets[workbook.SheetNames[0]] || null
+  const stationCell = sheet?.B1?.v
+  return stationCell ? String(stationCell) : ''
+}
+
+export const deriveStationFromFilename = (filename) =>
+  String(filename || '')
+    .replace(/\.[^.]+$/, '')
+    .replace(/afwijkingen\s*overzicht/i, '')
+    .replace(/^[\s_-]+|[\s_-]+$/g, '')
+
+const requireColumns = (headers, mapping, keys, message) => {
+  const columns = resolveColumns(headers, mapping)
+  const missing = getMissingColumns(columns, mapping, keys)
+  if (missing.length) {
+    throw new Error(`${message}: ${missing.join(', ')}.`)
+  }
+  return columns
+}
+
+const cellText = (row, index) => (index !== -1 ? String(row[index] ?? '').trim() : '')
+
+export const analyzeAchterstallig = (
+  rows,
+  { mapping, now = new Date(), settings = DEFAULT_SETTINGS, aliases = [] } = {}
+) => {
+  if (!rows.length) throw new Error('Geen data gevonden in overzicht.')
+  const {
+    code: colCode,
+    titel: colTitel,
+    maatregelCode: colMaatregelCode,
+    maatregel: colMaatregel,
+    status: colStatus,
+    statusAfwijking: colStatusSingle,
+    actiehouder: colActiehouder,
+    opsteller: colOpsteller,
+    geplandeDatum: colDatum,
+    discipline: colDiscipline,
+  } = requireColumns(
+    readHeaders(rows),
+    mapping,
+    ['code', 'titel', 'maatregelCode', 'maatregel', 'status', 'actiehouder', 'geplandeDatum'],
+    'Kolomkoppen ontbreken in overzicht'
+  )
+
+  const calendar = createSettingsCalendar(settings)
+  const aliasLookup = buildAliasLookup(aliases)
+  const today = startOfDay(now)
+  const horizon = calendar.addDays(today, settings.horizonDays)
+  const horizonLabel = getHorizonLabel(settings)
+  const achterstallig = []
+  const concept = []
+  const actiehouderSet = new Set()
+
+  for (let i = 1; i < rows.length; i += 1) {
+    const row = rows[i]
+    if (!row || row.length === 0) continue
+
+    const status = cellText(row, colStatus)
+    const statusSingle = cellText(row, colStatusSingle)
+    const { date: geplandeDatum, issue: datumProbleem } = parseDateValue(row[colDatum])
+    const opmerking = geplandeDatum
+      ? geplandeDatum < today
+        ? 'Deadline verlopen'
+        : geplandeDatum <= horizon
+          ? horizonLabel
+          : 'Geen actie vereist'
+      : datumProbleem
+        ? 'Onleesbare datum'
+        : 'Geen datum'
+
+    const actiehouderValue = resolveAlias(cellText(row, colActiehouder), aliasLookup)
+    if (status === 'Vigerend' && opmerking !== 'Geen actie vereist' && actiehouderValue) {
+      achterstallig.push({
+        code: row[colCode],
+        titel: row[colTitel],
+        maatregelCode: row[colMaatregelCode],
+        maatregel: row[colMaatregel],
+        status,
+        actiehouder: actiehouderValue,
+        geplandeDatum,
+        opmerking,
+        dagenTeLaat:
+          opmerking === 'Deadline verlopen' ? calendar.daysBetween(geplandeDatum, today) : null,
+        discipline: cellText(row, colDiscipline),
+      })
+      actiehouderSet.add(actiehouderValue)
+    }
+
+    if (statusSingle === 'Concept' && colOpsteller !== -1) {
+      concept.push({
+        code: row[colCode],
+        titel: row[colTitel],
+        status: 'Concept',
+        opsteller: row[colOpsteller],
+        geplandeDatum,
+        discipline: cellText(row, colDiscipline),
+      })
+    }
+  }
+
+  achterstallig.sort((a, b) => String(a.code).localeCompare(String(b.code)))
+  concept.sort((a, b) => String(a.code).localeCompare(String(b.code)))
+
+  return {
+    achterstallig,
+    concept,
+    actiehouders: Array.from(actiehouderSet).sort((a, b) => a.localeCompare(b)),
+  }
+}
+
+export const analyzePlanningGereed = (
+  rows,
+  { mapping, settings = DEFAULT_SETTINGS, aliases = [] } = {}
+) => {
+  if (!rows.length) throw new Error('Geen data gevonden in overzicht.')
+  const {
+    beoordeling: colBeoordeling,
+    status: colStatus,
+    geplandeDatum: colPlanned,
+    datumKlaar: colDone,
+    actiehouder: colActiehouder,
+    maatregel: colMaatregel,
+    code: colCode,
+    titel: colTitel,
+    discipline: colDiscipline,
+  } = requireColumns(
+    readHeaders(rows),
+    mapping,
+    ['beoordeling', 'status', 'geplandeDatum', 'datumKlaar'],
+    'Kolomkoppen ontbreken in overzicht voor PowerBI'
+  )
+
+  const calendar = createSettingsCalendar(settings)
+  const aliasLookup = buildAliasLookup(aliases)
+  let totalFiltered = 0
+  let validDates = 0
+  let overdueCount = 0
+  let missingDates = 0
+  const onTimeRows = []
+  const lateRows = []
+  const missingRows = []
+  const disciplineStats = new Map()
+  const addDisciplineRow = (discipline, daysLate) => {
+    if (!discipline) return
+    const entry = disciplineStats.get(discipline) || { totalDays: 0, count: 0, onTimeCount: 0 }
+    if (daysLate === null) {
+      entry.onTimeCount += 1
+    } else {
+      entry.totalDays += Math.max(daysLate, 0)
+      entry.count += 1
+    }
+    disciplineStats.set(discipline, entry)
+  }
+
+  for (let i = 1; i < rows.length; i += 1) {
+    const row = rows[i]
+    if (!row || row.length === 0) continue
+
+    const beoordeling = cellText(row, colBeoordeling)
+    const status = cellText(row, colStatus)
+    if (
+      normalize(beoordeling) !== normalize('Maatregelen nodig') ||
+      normalize(status) !== normalize('Afgehandeld')
+    ) {
+      continue
+    }
+
+    totalFiltered += 1
+    const planned = parseDateValue(row[colPlanned])
+    const done = parseDateValue(row[colDone])
+    const plannedDate = planned.date
+    const doneDate = done.date
+    const rowPayload = {
+      code: colCode !== -1 ? row[colCode] : '',
+      titel: colTitel !== -1 ? row[colTitel] : '',
+      maatregel: cellText(row, colMaatregel),
+      actiehouder: resolveAlias(cellText(row, colActiehouder), aliasLookup),
+      geplandeDatum: plannedDate,
+      datumKlaar: doneDate,
+      discipline: cellText(row, colDiscipline),
+    }
+
+    if (!plannedDate || !doneDate) {
+      missingDates += 1
+      missingRows.push({
+        ...rowPayload,
+        melding: planned.issue || done.issue ? 'Onleesbare datum' : 'Geen datum',
+      })
+      continue
+    }
+
+    validDates += 1
+    if (startOfDay(doneDate) > startOfDay(plannedDate)) {
+      overdueCount += 1
+      const diffDays = calendar.daysBetween(plannedDate, doneDate)
+      lateRows.push({ ...rowPayload, dagenTeLaat: diffDays })
+      addDisciplineRow(rowPayload.discipline, diffDays)
+    } else {
+      onTimeRows.push(rowPayload)
+      addDisciplineRow(rowPayload.discipline, null)
+    }
+  }
+
+  const overduePercent = validDates ? (overdueCount / validDates) * 100 : 0
+  const onTimePercent = validDates ? ((validDates - overdueCount) / validDates) * 100 : 0
+  const disciplines = Array.from(disciplineStats.entries())
+    .map(([discipline, { totalDays, count, onTimeCount }]) => ({
+      discipline,
+      totalDays,
+      count,
+      avgDays: count ? totalDays / count : 0,
+      onTimeCount,
+      onTimePercent: (onTimeCount / (onTimeCount + count)) * 100,
+    }))
+    .sort(
+      (a, b) =>
+        b.avgDays - a.avgDays || b.count - a.count || a.discipline.localeCompare(b.discipline)
+    )
+
+  return {
+    totalFiltered,
+    validDates,
+    overdueCount,
+    onTimeCount: validDates - overdueCount,
+    missingDates,
+    overduePercent,
+    onTimePercent,
+    traffic: getTrafficColor(onTimePercent, settings),
+    thresholds: { redMax: settings.redMax, greenMin: settings.greenMin },
+    dayUnit: calendar.unit,
+    onTimeRows,
+    lateRows,
+    missingRows,
+    disciplines,
+  }
+}
+
+export const DAYS_LATE_BUCKETS = [
+  { label: '0-7', max: 7 },
+  { label: '8-14', max: 14 },
+  { label: '15-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: '61-90', max: 90 },
+  { label: '90+', max: Infinity },
+]
+
+export const buildDisciplineDrilldown = (stats, discipline, { limit = 5 } = {}) => {
+  const lateRows = (stats?.lateRows || []).filter((row) => row.discipline === discipline)
+  const histogram = DAYS_LATE_BUCKETS.map((bucket) => ({ label: bucket.label, count: 0 }))
+  const offenders = new Map()
+  lateRows.forEach((row) => {
+    const days = Math.max(row.dagenTeLaat, 0)
+    histogram[DAYS_LATE_BUCKETS.findIndex((bucket) => days <= bucket.max)].count += 1
+    const name = row.actiehouder || 'Onbekend'
+    const entry = offenders.get(name) || { actiehouder: name, count: 0, totalDays: 0, maxDays: 0 }
+    entry.count += 1
+    entry.totalDays += days
+    entry.maxDays = Math.max(entry.maxDays, days)
+    offenders.set(name, entry)
+  })
+  const worst = Array.from(offenders.values())
+    .map((entry) => ({ ...entry, avgDays: entry.totalDays / entry.count }))
+    .sort((a, b) => b.totalDays - a.totalDays || b.count - a.count)
+    .slice(0, limit)
+  return { discipline, lateCount: lateRows.length, histogram, worst }
+}
+
+const DATE_FIELDS = ['geplandeDatum', 'datumKlaar', 'datumGemeld']
+
+export const findDateIssues = (rows, { mapping } = {}) => {
+  if (!rows.length) return []
+  const headers = readHeaders(rows)
+  const columns = resolveColumns(headers, mapping)
+  const issues = []
+  for (let i = 1; i < rows.length; i += 1) {
+    const row = rows[i]
+    if (!row || row.length === 0) continue
+    DATE_FIELDS.forEach((key) => {
+      const index = columns[key]
+      if (index === -1) return
+      const { issue } = parseDateValue(row[index])
+      if (!issue) return
+      issues.push({
+        rij: i + 1,
+        code: cellText(row, columns.code),
+        maatregelCode: cellText(row, columns.maatregelCode),
+        kolom: headers[index],
+        waarde: row[index],
+        melding: issue,
+      })
+    })
+  }
+  return issues
+}
+
+export const analyzeOverzicht = (rows, options = {}) => ({
+  ...analyzeAchterstallig(rows, options),
+  stats: analyzePlanningGereed(rows, options),
+  dateIssues: findDateIssues(rows, options),
+})
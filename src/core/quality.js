@@ -0,0 +1,153 @@
+import { normalize, resolveColumns } from './columns.js'
+import { parseDateValue, startOfDay } from './dates.js'
+import { findDateIssues, readHeaders } from './overzicht.js'
+
+export const QUALITY_CHECKS = [
+  { key: 'duplicate', label: 'Dubbele Code/Maatregel code' },
+  { key: 'noActiehouder', label: 'Vigerend zonder actiehouder' },
+  { key: 'doneBeforeRaised', label: 'Datum klaar voor melding' },
+  { key: 'doneInFuture', label: 'Datum klaar in de toekomst' },
+  { key: 'unknownStatus', label: 'Onbekende status' },
+  { key: 'actiehouderVariant', label: 'Actiehouder in meerdere schrijfwijzen' },
+  { key: 'dateIssue', label: 'Datum niet eenduidig' },
+]
+
+export const KNOWN_STATUSES = {
+  status: ['Vigerend', 'Afgehandeld', 'Vervallen', 'Concept'],
+  statusAfwijking: ['Concept', 'Open', 'In behandeling', 'Afgehandeld', 'Gesloten', 'Vervallen'],
+}
+
+const CHECK_LABELS = Object.fromEntries(QUALITY_CHECKS.map((check) => [check.key, check.label]))
+
+const cellText = (row, index) => (index !== -1 ? String(row[index] ?? '').trim() : '')
+
+const collapseName = (value) => normalize(value).replace(/\s+/g, ' ')
+
+const addToGroup = (groups, key, rowNumber, value) => {
+  const group = groups.get(key) || { rijen: [], values: new Set() }
+  group.rijen.push(rowNumber)
+  group.values.add(value)
+  groups.set(key, group)
+}
+
+export const buildQualityReport = (rows, { mapping, now = new Date() } = {}) => {
+  if (!rows.length) return { findings: [], counts: {}, checkedRows: 0 }
+  const headers = readHeaders(rows)
+  const columns = resolveColumns(headers, mapping)
+  const today = startOfDay(now)
+  const findings = []
+  const duplicates = new Map()
+  const statuses = new Map()
+  const actiehouders = new Map()
+  let checkedRows = 0
+
+  const addFinding = (check, finding) =>
+    findings.push({ check, controle: CHECK_LABELS[check], ...finding })
+
+  for (let i = 1; i < rows.length; i += 1) {
+    const row = rows[i]
+    if (!row || row.length === 0) continue
+    checkedRows += 1
+    const rowNumber = i + 1
+    const code = cellText(row, columns.code)
+    const maatregelCode = cellText(row, columns.maatregelCode)
+    const base = { code, maatregelCode, rijen: [rowNumber] }
+
+    if (code && maatregelCode) {
+      addToGroup(duplicates, `${normalize(code)}|${normalize(maatregelCode)}`, rowNumber, {
+        code,
+        maatregelCode,
+      })
+    }
+
+    const status = cellText(row, columns.status)
+    const actiehouder = columns.actiehouder !== -1 ? String(row[columns.actiehouder] ?? '') : ''
+    if (normalize(status) === normalize('Vigerend') && !actiehouder.trim()) {
+      addFinding('noActiehouder', {
+        ...base,
+        waarde: '',
+        melding: 'Vigerende maatregel zonder actiehouder wordt niet in achterstallig opgenomen.',
+      })
+    }
+    if (actiehouder.trim()) {
+      addToGroup(actiehouders, collapseName(actiehouder), rowNumber, actiehouder)
+    }
+
+    Object.entries(KNOWN_STATUSES).forEach(([key, known]) => {
+      const value = cellText(row, columns[key])
+      if (!value || known.some((item) => normalize(item) === normalize(value))) return
+      addToGroup(statuses, `${headers[columns[key]]}|${value}`, rowNumber, value)
+    })
+
+    const done = columns.datumKlaar !== -1 ? parseDateValue(row[columns.datumKlaar]).date : null
+    if (done && startOfDay(done) > today) {
+      addFinding('doneInFuture', {
+        ...base,
+        waarde: done,
+        melding: 'Datum klaar ligt na vandaag.',
+      })
+    }
+    const raised =
+      columns.datumGemeld !== -1 ? parseDateValue(row[columns.datumGemeld]).date : null
+    if (done && raised && startOfDay(done) < startOfDay(raised)) {
+      addFinding('doneBeforeRaised', {
+        ...base,
+        waarde: done,
+        melding: 'Datum klaar ligt voor de melding van de afwijking.',
+      })
+    }
+  }
+
+  findDateIssues(rows, { mapping }).forEach((issue) => {
+    addFinding('dateIssue', {
+      code: issue.code,
+      maatregelCode: issue.maatregelCode,
+      rijen: [issue.rij],
+      waarde: issue.waarde,
+      melding: `${issue.kolom}: ${issue.melding}`,
+    })
+  })
+
+  duplicates.forEach((group) => {
+    if (group.rijen.length < 2) return
+    const [{ code, maatregelCode }] = group.values
+    addFinding('duplicate', {
+      code,
+      maatregelCode,
+      rijen: group.rijen,
+      waarde: `${code} / ${maatregelCode}`,
+      melding: `Komt ${group.rijen.length} keer voor.`,
+    })
+  })
+
+  statuses.forEach((group, key) => {
+    const [column] = key.split('|')
+    addFinding('unknownStatus', {
+      code: '',
+      maatregelCode: '',
+      rijen: group.rijen,
+      waarde: Array.from(group.values)[0],
+      melding: `Onbekende waarde in ${column} (${group.rijen.length} rijen).`,
+    })
+  })
+
+  actiehouders.forEach((group) => {
+    if (group.values.size < 2) return
+    const variants = Array.from(group.values)
+    addFinding('actiehouderVariant', {
+      code: '',
+      maatregelCode: '',
+      rijen: group.rijen,
+      waarde: variants.map((name) => `"${name}"`).join(', '),
+      melding: `${variants.length} schrijfwijzen van dezelfde naam.`,
+    })
+  })
+
+  const counts = Object.fromEntries(
+    QUALITY_CHECKS.map((check) => [
+      check.key,
+      findings.filter((finding) => finding.check === check.key).length,
+    ])
+  )
+  return { findings, counts, checkedRows }
+}
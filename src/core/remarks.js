@@ -0,0 +1,112 @@
+import { buildMaatregelKey, readDashboardAchterstallig, readDashboardConcept } from './diff.js'
+import { buildSettingsKey } from './settings.js'
+
+const toValidDate = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+const toRemark = (opmerkingen, laatsteUpdate) => ({
+  opmerkingen: String(opmerkingen ?? '').trim(),
+  laatsteUpdate: toValidDate(laatsteUpdate),
+})
+
+export const buildRemarkIndex = (rows) => {
+  const index = new Map()
+  rows.forEach((row) => {
+    const remark = toRemark(row.opmerkingen, row.laatsteUpdate)
+    if (remark.opmerkingen) index.set(buildMaatregelKey(row.code, row.maatregelCode), remark)
+  })
+  return index
+}
+
+// Lege opmerkingen met datum blijven bewaard, zodat een gewiste dashboard-opmerking niet terugkomt.
+export const sanitizeRemarkStore = (store) => {
+  if (!store || typeof store !== 'object' || Array.isArray(store)) return {}
+  return Object.fromEntries(
+    Object.entries(store)
+      .map(([key, entry]) => [key, toRemark(entry?.opmerkingen, entry?.laatsteUpdate)])
+      .filter(([, remark]) => remark.laatsteUpdate)
+      .map(([key, remark]) => [
+        key,
+        { opmerkingen: remark.opmerkingen, laatsteUpdate: remark.laatsteUpdate.toISOString() },
+      ])
+  )
+}
+
+// Opmerkingen worden per station bewaard, met dezelfde sleutel als de instellingen: codes van
+// verschillende stations kunnen overlappen. Een oude opslag zonder stations komt onder ''.
+export const sanitizeStationRemarks = (stored) => {
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {}
+  const isLegacy = Object.values(stored).some((entry) => typeof entry?.laatsteUpdate === 'string')
+  return Object.fromEntries(
+    Object.entries(isLegacy ? { '': stored } : stored)
+      .map(([station, store]) => [station, sanitizeRemarkStore(store)])
+      .filter(([, store]) => Object.keys(store).length)
+  )
+}
+
+export const updateStationRemarks = (remarksByStation, station, update) => {
+  const key = buildSettingsKey(station)
+  const store = remarksByStation[key] || {}
+  const next = update(store)
+  return next === store ? remarksByStation : { ...remarksByStation, [key]: next }
+}
+
+export const updateRemarkStore = (store, row, opmerkingen, now = new Date()) => {
+  const key = buildMaatregelKey(row.code, row.maatregelCode)
+  const text = String(opmerkingen ?? '').trim()
+  if (text === String(row.opmerkingen ?? '').trim()) return store
+  return { ...store, [key]: { opmerkingen: text, laatsteUpdate: now.toISOString() } }
+}
+
+export const REMARK_MAX_AGE_DAYS = 90
+
+// Een opmerking verdwijnt pas als de maatregel niet meer in de run staat en de opmerking al
+// REMARK_MAX_AGE_DAYS dagen niet is bijgewerkt, zodat een maatregel die even van de lijst af is
+// zijn opmerking houdt.
+export const pruneRemarkStore = (
+  store,
+  rows,
+  { now = new Date(), maxAgeDays = REMARK_MAX_AGE_DAYS } = {}
+) => {
+  const keys = new Set(rows.map((row) => buildMaatregelKey(row.code, row.maatregelCode)))
+  const cutoff = now.getTime() - maxAgeDays * 86400000
+  const entries = Object.entries(store).filter(
+    ([key, entry]) => keys.has(key) || toValidDate(entry.laatsteUpdate)?.getTime() >= cutoff
+  )
+  return entries.length === Object.keys(store).length ? store : Object.fromEntries(entries)
+}
+
+export const mergeRemarks = (dashboardRemarks, store = {}) => {
+  const merged = new Map(dashboardRemarks || [])
+  Object.entries(store).forEach(([key, entry]) => {
+    const local = toRemark(entry.opmerkingen, entry.laatsteUpdate)
+    const current = merged.get(key)
+    if (current?.laatsteUpdate && current.laatsteUpdate > local.laatsteUpdate) return
+    merged.set(key, local)
+  })
+  return merged
+}
+
+export const applyRemarks = (rows, remarks) => {
+  if (!remarks?.size) return rows
+  return rows.map((row) => {
+    const remark = remarks.get(buildMaatregelKey(row.code, row.maatregelCode))
+    return remark ? { ...row, ...remark } : row
+  })
+}
+
+export const readDashboardState = (workbook) => {
+  const achterstallig = readDashboardAchterstallig(workbook)
+  const concept = readDashboardConcept(workbook)
+  return {
+    achterstallig,
+    concept,
+    remarks: {
+      achterstallig: buildRemarkIndex(achterstallig),
+      concept: buildRemarkIndex(concept),
+    },
+  }
+}
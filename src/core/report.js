@@ -0,0 +1,300 @@
+import { formatDate, getWeekNumber } from './dates.js'
+import { DEFAULT_SETTINGS, buildTrafficSegments } from './settings.js'
+import { getTrafficLabel } from './summary.js'
+import { ACHTERSTALLIG_EXPORT_COLUMNS, CONCEPT_EXPORT_COLUMNS } from './workbooks.js'
+
+export const PDF_MIME = 'application/pdf'
+
+const COLORS = {
+  red: [180, 35, 24],
+  orange: [247, 144, 9],
+  green: [23, 178, 106],
+  blue: [91, 141, 239],
+  navy: [31, 42, 138],
+  purple: [99, 13, 128],
+  text: [16, 24, 40],
+  muted: [102, 112, 133],
+  grid: [228, 231, 236],
+}
+
+const MARGIN = 14
+
+const formatValue = (value) => (value instanceof Date ? formatDate(value) : String(value ?? ''))
+
+const setFill = (doc, color) => doc.setFillColor(...color)
+
+const setText = (doc, color, size, style = 'normal') => {
+  doc.setTextColor(...color)
+  doc.setFontSize(size)
+  doc.setFont('helvetica', style)
+}
+
+// Hoek 0 = rechts, 180 = links; y loopt in PDF naar beneden.
+const pointOnCircle = (cx, cy, r, degrees) => {
+  const radians = (degrees * Math.PI) / 180
+  return [cx + r * Math.cos(radians), cy - r * Math.sin(radians)]
+}
+
+const arcPoints = (cx, cy, r, from, to) => {
+  const steps = Math.max(Math.ceil(Math.abs(to - from) / 4), 1)
+  return Array.from({ length: steps + 1 }, (_, index) =>
+    pointOnCircle(cx, cy, r, from + ((to - from) * index) / steps)
+  )
+}
+
+const fillPolygon = (doc, points, color) => {
+  const [[startX, startY], ...rest] = points
+  const deltas = rest.map(([x, y], index) => [x - points[index][0], y - points[index][1]])
+  setFill(doc, color)
+  doc.lines(deltas, startX, startY, [1, 1], 'F', true)
+}
+
+const fillRingSegment = (doc, { cx, cy, inner, outer, from, to, color }) => {
+  if (to <= from) return
+  fillPolygon(
+    doc,
+    [...arcPoints(cx, cy, outer, from, to), ...arcPoints(cx, cy, inner, to, from)],
+    color
+  )
+}
+
+const drawSectionTitle = (doc, title, y) => {
+  setText(doc, COLORS.purple, 14, 'bold')
+  doc.text(title, MARGIN, y)
+}
+
+const drawLegendRow = (doc, color, label, x, y) => {
+  setFill(doc, color)
+  doc.circle(x + 1.5, y - 1.2, 1.5, 'F')
+  setText(doc, COLORS.text, 9)
+  doc.text(label, x + 5, y)
+}
+
+const drawCover = (doc, { station, now, result }) => {
+  const width = doc.internal.pageSize.getWidth()
+  setFill(doc, COLORS.purple)
+  doc.rect(0, 0, width, 60, 'F')
+  setText(doc, [255, 255, 255], 26, 'bold')
+  doc.text('Afwijkingen weekrapport', MARGIN, 32)
+  setText(doc, [255, 255, 255], 14)
+  doc.text(station || 'Onbekend station', MARGIN, 46)
+
+  setText(doc, COLORS.text, 12)
+  const lines = [
+    `Week ${getWeekNumber(now)}`,
+    `Datum: ${formatDate(now)}`,
+    '',
+    `Achterstallige maatregelen: ${result.achterstallig.length}`,
+    `Deadline verlopen: ${
+      result.achterstallig.filter((row) => row.opmerking === 'Deadline verlopen').length
+    }`,
+    `Afwijkingen in concept: ${result.concept.length}`,
+  ]
+  if (result.stats) {
+    lines.push(
+      `Op tijd afgerond: ${Math.round(result.stats.onTimePercent)}% (${getTrafficLabel(
+        result.stats.traffic
+      )})`
+    )
+  }
+  doc.text(lines, MARGIN, 80, { lineHeightFactor: 1.6 })
+}
+
+const drawGauge = (doc, { stats, settings }, x, y) => {
+  const segments = buildTrafficSegments(stats.thresholds || settings)
+  const cx = x + 40
+  const cy = y + 48
+  setText(doc, COLORS.text, 11, 'bold')
+  doc.text('Stoplicht chart', x, y)
+  segments.forEach((segment) => {
+    fillRingSegment(doc, {
+      cx,
+      cy,
+      inner: 24,
+      outer: 34,
+      from: 180 - (segment.start + segment.length) * 1.8,
+      to: 180 - segment.start * 1.8,
+      color: COLORS[segment.color],
+    })
+  })
+  const percent = Math.round(stats.onTimePercent)
+  const [needleX, needleY] = pointOnCircle(cx, cy, 28, 180 - percent * 1.8)
+  doc.setDrawColor(...COLORS.text)
+  doc.setLineWidth(1)
+  doc.line(cx, cy, needleX, needleY)
+  setFill(doc, COLORS.text)
+  doc.circle(cx, cy, 3, 'F')
+  setText(doc, COLORS.text, 16, 'bold')
+  doc.text(`${percent}%`, cx, cy + 12, { align: 'center' })
+  segments.forEach((segment, index) => {
+    drawLegendRow(doc, COLORS[segment.color], segment.label, x + index * 27, cy + 22)
+  })
+}
+
+const drawPie = (doc, { stats }, x, y) => {
+  const cx = x + 32
+  const cy = y + 34
+  setText(doc, COLORS.text, 11, 'bold')
+  doc.text('Planning gereed chart', x, y)
+  const lateAngle = stats.validDates ? (stats.overdueCount / stats.validDates) * 360 : 0
+  // Start bovenaan en loop met de klok mee, zoals in de app.
+  fillRingSegment(doc, { cx, cy, inner: 16, outer: 26, from: 90 - lateAngle, to: 90, color: COLORS.red })
+  fillRingSegment(doc, {
+    cx,
+    cy,
+    inner: 16,
+    outer: 26,
+    from: -270,
+    to: 90 - lateAngle,
+    color: COLORS.green,
+  })
+  drawLegendRow(doc, COLORS.red, `Te laat: ${stats.overdueCount}`, x + 66, cy - 4)
+  drawLegendRow(doc, COLORS.green, `Op tijd: ${stats.onTimeCount}`, x + 66, cy + 3)
+}
+
+const drawDetails = (doc, { stats }, x, y) => {
+  setText(doc, COLORS.text, 11, 'bold')
+  doc.text('Details', x, y)
+  setText(doc, COLORS.text, 10)
+  doc.text(
+    [
+      `Gefilterd: ${stats.totalFiltered}`,
+      `Geldige datums: ${stats.validDates}`,
+      `Overschreden: ${stats.overdueCount}`,
+      `Op tijd: ${stats.onTimeCount}`,
+      `Ontbrekend: ${stats.missingDates}`,
+      `Stoplicht: ${getTrafficLabel(stats.traffic)}`,
+    ],
+    x,
+    y + 10,
+    { lineHeightFactor: 1.6 }
+  )
+}
+
+const DISCIPLINE_SERIES = [
+  { key: 'avgDays', color: COLORS.blue },
+  { key: 'count', color: COLORS.navy },
+  { key: 'onTimeCount', color: COLORS.green },
+]
+
+const drawDisciplineChart = (doc, { stats }, startY) => {
+  const pageHeight = doc.internal.pageSize.getHeight()
+  const width = doc.internal.pageSize.getWidth()
+  const labelWidth = 60
+  const chartWidth = width - MARGIN * 2 - labelWidth - 12
+  const rowHeight = 11
+  const scaleMax = Math.max(
+    ...stats.disciplines.flatMap((item) => DISCIPLINE_SERIES.map((series) => item[series.key])),
+    1
+  )
+  const drawHeader = (y) => {
+    drawSectionTitle(doc, 'Veroorzakende discipline', y)
+    drawLegendRow(doc, COLORS.blue, `Gemiddeld ${stats.dayUnit} te laat`, MARGIN, y + 8)
+    drawLegendRow(doc, COLORS.navy, 'Aantal te laat', MARGIN + 55, y + 8)
+    drawLegendRow(doc, COLORS.green, 'Aantal op tijd', MARGIN + 95, y + 8)
+    return y + 16
+  }
+
+  let y = drawHeader(startY)
+  if (!stats.disciplines.length) {
+    setText(doc, COLORS.muted, 10)
+    doc.text('Geen disciplines met afgeronde maatregelen.', MARGIN, y)
+    return
+  }
+  stats.disciplines.forEach((item) => {
+    if (y + rowHeight > pageHeight - MARGIN) {
+      doc.addPage()
+      y = drawHeader(MARGIN + 6)
+    }
+    setText(doc, COLORS.text, 9)
+    doc.text(doc.splitTextToSize(item.discipline, labelWidth - 2)[0], MARGIN, y + 5)
+    DISCIPLINE_SERIES.forEach((series, index) => {
+      const value = item[series.key]
+      const barWidth = (value / scaleMax) * chartWidth
+      setFill(doc, series.color)
+      doc.rect(MARGIN + labelWidth, y + index * 3, Math.max(barWidth, 0.3), 2.6, 'F')
+      setText(doc, COLORS.muted, 7)
+      doc.text(String(Math.round(value)), MARGIN + labelWidth + barWidth + 1.5, y + index * 3 + 2.2)
+    })
+    doc.setDrawColor(...COLORS.grid)
+    doc.setLineWidth(0.2)
+    doc.line(MARGIN, y + rowHeight - 1.5, width - MARGIN, y + rowHeight - 1.5)
+    y += rowHeight
+  })
+}
+
+const drawTableSection = (doc, autoTable, title, rows, columns) => {
+  doc.addPage()
+  drawSectionTitle(doc, `${title} (${rows.length})`, MARGIN + 6)
+  if (!rows.length) {
+    setText(doc, COLORS.muted, 10)
+    doc.text('Geen rijen.', MARGIN, MARGIN + 16)
+    return
+  }
+  autoTable(doc, {
+    startY: MARGIN + 12,
+    margin: { left: MARGIN, right: MARGIN, top: MARGIN, bottom: MARGIN + 4 },
+    head: [columns.map((column) => column.header)],
+    body: rows.map((row) => columns.map((column) => formatValue(row[column.key]))),
+    showHead: 'everyPage',
+    rowPageBreak: 'avoid',
+    styles: { font: 'helvetica', fontSize: 8, cellPadding: 1.8, overflow: 'linebreak' },
+    headStyles: { fillColor: COLORS.purple, textColor: [255, 255, 255], fontStyle: 'bold' },
+    alternateRowStyles: { fillColor: [245, 242, 250] },
+  })
+}
+
+const drawFooters = (doc, { station, now }) => {
+  const pageCount = doc.getNumberOfPages()
+  const width = doc.internal.pageSize.getWidth()
+  const height = doc.internal.pageSize.getHeight()
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.setPage(page)
+    setText(doc, COLORS.muted, 8)
+    doc.text(`${station || 'Afwijkingen'} - week ${getWeekNumber(now)}`, MARGIN, height - 6)
+    doc.text(`Pagina ${page} van ${pageCount}`, width - MARGIN, height - 6, { align: 'right' })
+  }
+}
+
+// jsPDF en jspdf-autotable worden pas geladen als er een rapport gemaakt wordt; de app start zonder.
+const loadPdfLibraries = async () => {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable'),
+  ])
+  return { jsPDF, autoTable }
+}
+
+export const buildPdfReport = async (
+  result,
+  { station = '', now = new Date(), settings = DEFAULT_SETTINGS } = {}
+) => {
+  const { jsPDF, autoTable } = await loadPdfLibraries()
+  const report = { achterstallig: [], concept: [], stats: null, ...result }
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' })
+  doc.setProperties({
+    title: `Afwijkingen weekrapport ${station}`.trim(),
+    creator: 'afwijkingen-lab',
+  })
+  drawCover(doc, { station, now, result: report })
+
+  if (report.stats) {
+    doc.addPage()
+    drawSectionTitle(doc, 'Statistieken', MARGIN + 6)
+    drawGauge(doc, { stats: report.stats, settings }, MARGIN, MARGIN + 18)
+    drawPie(doc, { stats: report.stats }, MARGIN + 95, MARGIN + 18)
+    drawDetails(doc, { stats: report.stats }, MARGIN + 210, MARGIN + 18)
+    drawDisciplineChart(doc, { stats: report.stats }, MARGIN + 100)
+  }
+
+  drawTableSection(
+    doc,
+    autoTable,
+    'Afwijking achterstallig',
+    report.achterstallig,
+    ACHTERSTALLIG_EXPORT_COLUMNS
+  )
+  drawTableSection(doc, autoTable, 'Afwijking concept', report.concept, CONCEPT_EXPORT_COLUMNS)
+  drawFooters(doc, { station, now })
+  return doc
+}
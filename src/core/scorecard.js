@@ -0,0 +1,58 @@
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+
+const roundTo = (value, decimals = 0) => {
+  if (value === null) return null
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
+
+const byDate = (a, b) => (a.geplandeDatum?.getTime() ?? 0) - (b.geplandeDatum?.getTime() ?? 0)
+
+export const buildActiehouderScorecards = ({ achterstallig = [], stats = null } = {}) => {
+  const cards = new Map()
+  const getCard = (name) => {
+    if (!cards.has(name)) {
+      cards.set(name, { verlopen: [], aankomend: [], overig: [], opTijd: [], teLaat: [] })
+    }
+    return cards.get(name)
+  }
+
+  achterstallig.forEach((row) => {
+    if (!row.actiehouder) return
+    const card = getCard(row.actiehouder)
+    if (row.opmerking === 'Deadline verlopen') card.verlopen.push(row)
+    else if (row.geplandeDatum) card.aankomend.push(row)
+    else card.overig.push(row)
+  })
+  const { onTimeRows = [], lateRows = [] } = stats || {}
+  onTimeRows.forEach((row) => {
+    if (row.actiehouder) getCard(row.actiehouder).opTijd.push(row)
+  })
+  lateRows.forEach((row) => {
+    if (row.actiehouder) getCard(row.actiehouder).teLaat.push(row)
+  })
+
+  return Array.from(cards.entries())
+    .map(([actiehouder, card]) => {
+      const afgerond = card.opTijd.length + card.teLaat.length
+      return {
+        actiehouder,
+        open: card.verlopen.length + card.aankomend.length + card.overig.length,
+        verlopen: card.verlopen.length,
+        aankomend: card.aankomend.length,
+        opTijd: card.opTijd.length,
+        teLaat: card.teLaat.length,
+        opTijdPercent: afgerond ? roundTo((card.opTijd.length / afgerond) * 100) : null,
+        gemDagenTeLaat: roundTo(average(card.verlopen.map((row) => row.dagenTeLaat)), 1),
+        gemDagenTeLaatAfgerond: roundTo(average(card.teLaat.map((row) => row.dagenTeLaat)), 1),
+        openRows: [...card.verlopen, ...card.overig].sort(byDate),
+        aankomendRows: [...card.aankomend].sort(byDate),
+      }
+    })
+    .sort(
+      (a, b) =>
+        b.verlopen - a.verlopen || b.open - a.open || a.actiehouder.localeCompare(b.actiehouder)
+    )
+    .map((card, index) => ({ ...card, rang: index + 1 }))
+}
@@ -0,0 +1,59 @@
+import { DAY_MODES, createCalendar, getDayUnit, parseHolidayList } from './calendar.js'
+
+export const DEFAULT_SETTINGS = {
+  horizonDays: 31,
+  redMax: 35,
+  greenMin: 75,
+  dayMode: 'calendar',
+  nationalHolidays: true,
+  bouwvakWeek: 0,
+  holidays: '',
+}
+
+const clampNumber = (value, min, max, fallback) => {
+  const number = Number(value)
+  if (!Number.isFinite(number)) return fallback
+  return Math.min(max, Math.max(min, Math.round(number)))
+}
+
+export const sanitizeSettings = (settings) => {
+  const horizonDays = clampNumber(settings?.horizonDays, 1, 365, DEFAULT_SETTINGS.horizonDays)
+  const redMax = clampNumber(settings?.redMax, 0, 99, DEFAULT_SETTINGS.redMax)
+  const greenMin = clampNumber(
+    settings?.greenMin,
+    redMax + 1,
+    100,
+    Math.max(DEFAULT_SETTINGS.greenMin, redMax + 1)
+  )
+  return {
+    horizonDays,
+    redMax,
+    greenMin,
+    dayMode: DAY_MODES.some((mode) => mode.key === settings?.dayMode)
+      ? settings.dayMode
+      : DEFAULT_SETTINGS.dayMode,
+    nationalHolidays: settings?.nationalHolidays !== false,
+    bouwvakWeek: clampNumber(settings?.bouwvakWeek, 0, 53, DEFAULT_SETTINGS.bouwvakWeek),
+    holidays: typeof settings?.holidays === 'string' ? settings.holidays : '',
+  }
+}
+
+export const createSettingsCalendar = (settings = DEFAULT_SETTINGS) =>
+  createCalendar({ ...settings, holidays: parseHolidayList(settings.holidays) })
+
+export const buildSettingsKey = (station) => String(station || '').trim().toLowerCase()
+
+export const getStationSettings = (settingsByStation, station) =>
+  sanitizeSettings(settingsByStation?.[buildSettingsKey(station)] || settingsByStation?.[''])
+
+export const getHorizonLabel = ({ horizonDays, dayMode } = DEFAULT_SETTINGS) =>
+  `Deadline verloopt binnen ${horizonDays} ${getDayUnit(dayMode)}`
+
+export const getTrafficColor = (onTimePercent, { redMax, greenMin } = DEFAULT_SETTINGS) =>
+  onTimePercent <= redMax ? 'red' : onTimePercent < greenMin ? 'orange' : 'green'
+
+export const buildTrafficSegments = ({ redMax, greenMin } = DEFAULT_SETTINGS) => [
+  { color: 'red', start: 0, length: redMax, label: `<= ${redMax}%` },
+  { color: 'orange', start: redMax, length: greenMin - redMax, label: `< ${greenMin}%` },
+  { color: 'green', start: greenMin, length: 100 - greenMin, label: `>= ${greenMin}%` },
+]
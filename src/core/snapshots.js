@@ -0,0 +1,66 @@
+import { getWeekNumber, toDateKey } from './dates.js'
+
+export const buildSnapshot = (result, { station = '', now = new Date() } = {}) => {
+  const { achterstallig = [], concept = [], actiehouders = [], stats } = result
+  const stationName = station.trim() || 'Station'
+  const date = toDateKey(now)
+  return {
+    id: `${stationName.toLowerCase()}|${date}`,
+    station: stationName,
+    date,
+    week: getWeekNumber(now),
+    jaar: now.getFullYear(),
+    createdAt: now.toISOString(),
+    achterstallig: achterstallig.length,
+    concept: concept.length,
+    actiehouders: actiehouders.length,
+    validDates: stats ? stats.validDates : 0,
+    overdueCount: stats ? stats.overdueCount : 0,
+    onTimePercent: stats ? stats.onTimePercent : null,
+    traffic: stats ? stats.traffic : '',
+    disciplines: stats
+      ? stats.disciplines.map(({ discipline, avgDays, count }) => ({ discipline, avgDays, count }))
+      : [],
+  }
+}
+
+const isSnapshot = (value) =>
+  value &&
+  typeof value.id === 'string' &&
+  typeof value.station === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value.date) &&
+  Number.isFinite(value.achterstallig)
+
+export const serializeSnapshots = (snapshots) =>
+  JSON.stringify({ type: 'afwijkingen-lab-snapshots', version: 1, snapshots }, null, 2)
+
+export const parseSnapshotsJson = (text) => {
+  const parsed = JSON.parse(text)
+  const list = Array.isArray(parsed) ? parsed : parsed?.snapshots
+  if (!Array.isArray(list)) throw new Error('Geen snapshots gevonden in bestand.')
+  return list.filter(isSnapshot).map((snapshot) => ({
+    ...snapshot,
+    disciplines: Array.isArray(snapshot.disciplines) ? snapshot.disciplines : [],
+  }))
+}
+
+export const sortSnapshots = (snapshots) =>
+  [...snapshots].sort((a, b) => a.date.localeCompare(b.date) || a.station.localeCompare(b.station))
+
+export const buildDisciplineTrend = (snapshots, limit = 6) => {
+  const totals = new Map()
+  snapshots.forEach((snapshot) => {
+    snapshot.disciplines.forEach(({ discipline, count }) => {
+      totals.set(discipline, (totals.get(discipline) || 0) + count)
+    })
+  })
+  return Array.from(totals.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([discipline]) => ({
+      discipline,
+      values: snapshots.map(
+        (snapshot) => snapshot.disciplines.find((row) => row.discipline === discipline)?.avgDays ?? null
+      ),
+    }))
+}
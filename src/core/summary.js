@@ -0,0 +1,40 @@
+import { formatDate } from './dates.js'
+
+const TRAFFIC_LABELS = { red: 'Rood', orange: 'Oranje', green: 'Groen' }
+
+export const getTrafficLabel = (traffic) => TRAFFIC_LABELS[traffic] || 'Onbekend'
+
+export const buildStatsSummary = (result, { station = '', now = new Date() } = {}) => {
+  const { achterstallig = [], concept = [], actiehouders = [], stats } = result
+  const lines = [
+    `Station: ${station || '-'}`,
+    `Datum: ${formatDate(now)}`,
+    '',
+    `Achterstallig: ${achterstallig.length}`,
+    `Concept: ${concept.length}`,
+    `Actiehouders: ${actiehouders.length}`,
+  ]
+  if (stats) {
+    lines.push(
+      '',
+      `Gefilterd: ${stats.totalFiltered}`,
+      `Geldige datums: ${stats.validDates}`,
+      `Op tijd: ${stats.onTimeCount} (${Math.round(stats.onTimePercent)}%)`,
+      `Te laat: ${stats.overdueCount} (${Math.round(stats.overduePercent)}%)`,
+      `Ontbrekend: ${stats.missingDates}`,
+      `Stoplicht: ${getTrafficLabel(stats.traffic)}`
+    )
+    if (stats.disciplines.length) {
+      lines.push(
+        '',
+        `Veroorzakende discipline (gem. ${stats.dayUnit || 'dagen'} te laat / aantal te laat / op tijd):`
+      )
+      stats.disciplines.forEach((row) => {
+        lines.push(
+          `- ${row.discipline}: ${Math.round(row.avgDays)} / ${row.count} / ${row.onTimeCount ?? 0}`
+        )
+      })
+    }
+  }
+  return lines.join('\n')
+}
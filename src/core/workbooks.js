@@ -0,0 +1,492 @@
+import * as XLSX from 'xlsx'
+import { ALIAS_SHEET } from './aliases.js'
+import { DASHBOARD_REMARK_HEADER, DASHBOARD_UPDATE_HEADER, flattenChanges } from './diff.js'
+import { getTrafficLabel } from './summary.js'
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+const computeColumnWidths = (headers, rows, metaRows) => {
+  const widths = headers.map(() => 10)
+  const applyRow = (row) => {
+    row.forEach((value, index) => {
+      if (index >= widths.length) return
+      const length = String(value ?? '').length
+      const next = Math.min(Math.max(length + 2, 10), 60)
+      widths[index] = Math.max(widths[index], next)
+    })
+  }
+  headers.forEach((value, index) => {
+    const length = String(value ?? '').length
+    widths[index] = Math.max(widths[index], Math.min(Math.max(length + 2, 10), 60))
+  })
+  rows.forEach(applyRow)
+  metaRows.forEach(applyRow)
+  return widths
+}
+
+const styleMetaBlock = (sheet) => {
+  for (let rowIndex = 1; rowIndex <= 3; rowIndex += 1) {
+    const row = sheet.getRow(rowIndex)
+    row.height = 18
+    const labelCell = row.getCell(1)
+    labelCell.font = { bold: true }
+    labelCell.alignment = { vertical: 'middle' }
+    const valueCell = row.getCell(2)
+    valueCell.alignment = { vertical: 'middle' }
+  }
+}
+
+const styleTableHeader = (sheet, columnCount, rowIndex = 4) => {
+  const headerRow = sheet.getRow(rowIndex)
+  headerRow.height = 20
+  for (let colIndex = 1; colIndex <= columnCount; colIndex += 1) {
+    const cell = headerRow.getCell(colIndex)
+    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } }
+    cell.alignment = { vertical: 'middle', wrapText: true }
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF630D80' },
+    }
+  }
+}
+
+const styleTableRows = (sheet, rowCount, columnCount, startRow = 5) => {
+  const lightFill = { argb: 'FFC1E62E' }
+  const darkFill = { argb: 'FFBAFF33' }
+  for (let rowIndex = startRow; rowIndex < startRow + rowCount; rowIndex += 1) {
+    const row = sheet.getRow(rowIndex)
+    const fillColor = rowIndex % 2 === 0 ? darkFill : lightFill
+    for (let colIndex = 1; colIndex <= columnCount; colIndex += 1) {
+      const cell = row.getCell(colIndex)
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: fillColor,
+      }
+    }
+  }
+}
+
+// ExcelJS schrijft een Date als UTC-tijdstip; de lokale datum en tijd geven we daarom als UTC door.
+const toExcelDate = (value) =>
+  new Date(
+    Date.UTC(
+      value.getFullYear(),
+      value.getMonth(),
+      value.getDate(),
+      value.getHours(),
+      value.getMinutes(),
+      value.getSeconds()
+    )
+  )
+
+const toCellValue = (value) => (value instanceof Date ? toExcelDate(value) : value)
+
+export const ACHTERSTALLIG_EXPORT_COLUMNS = [
+  { key: 'code', header: 'Afw. Code' },
+  { key: 'titel', header: 'Afwijking Titel' },
+  { key: 'maatregelCode', header: 'Maatregel Code' },
+  { key: 'maatregel', header: 'Maatregel' },
+  { key: 'status', header: 'Status' },
+  { key: 'actiehouder', header: 'Actiehouder' },
+  { key: 'geplandeDatum', header: 'Geplande datum klaar' },
+  { key: 'opmerking', header: 'Opmerking' },
+  { key: 'opmerkingen', header: DASHBOARD_REMARK_HEADER },
+  { key: 'laatsteUpdate', header: DASHBOARD_UPDATE_HEADER },
+]
+
+export const CONCEPT_EXPORT_COLUMNS = [
+  { key: 'code', header: 'Afw. Code' },
+  { key: 'titel', header: 'Afwijking Titel' },
+  { key: 'status', header: 'Status' },
+  { key: 'opsteller', header: 'Opsteller' },
+  { key: 'geplandeDatum', header: 'Geplande datum klaar' },
+  { key: 'opmerkingen', header: DASHBOARD_REMARK_HEADER },
+]
+
+export const PLANNING_EXPORT_COLUMNS = [
+  { key: 'code', header: 'Afw. Code' },
+  { key: 'titel', header: 'Afwijking Titel' },
+  { key: 'maatregel', header: 'Maatregel' },
+  { key: 'actiehouder', header: 'Actiehouder' },
+  { key: 'discipline', header: 'Discipline' },
+  { key: 'geplandeDatum', header: 'Geplande datum klaar' },
+  { key: 'datumKlaar', header: 'Datum klaar' },
+]
+
+export const STATISTICS_SHEET = 'Statistieken'
+
+const buildStatisticsFigures = (stats) => [
+  ['Gefilterd', stats.totalFiltered],
+  ['Geldige datums', stats.validDates],
+  ['Op tijd', stats.onTimeCount],
+  ['Te laat', stats.overdueCount],
+  ['Ontbrekend', stats.missingDates],
+  ['Op tijd %', Math.round(stats.onTimePercent)],
+  ['Te laat %', Math.round(stats.overduePercent)],
+  ['Stoplicht', getTrafficLabel(stats.traffic)],
+]
+
+const buildDisciplineHeaders = (stats) => [
+  'Discipline',
+  `Gem. ${stats.dayUnit} te laat`,
+  'Aantal te laat',
+  'Aantal op tijd',
+  'Op tijd %',
+]
+
+const buildDisciplineRows = (stats) =>
+  stats.disciplines.map((item) => [
+    item.discipline,
+    Math.round(item.avgDays * 10) / 10,
+    item.count,
+    item.onTimeCount,
+    Math.round(item.onTimePercent),
+  ])
+
+// Kengetallen staan vanaf rij 4, de disciplinetabel twee lege rijen daaronder.
+const getStatisticsLayout = (stats) => {
+  const figuresHeaderRow = 4
+  const disciplineHeaderRow = figuresHeaderRow + buildStatisticsFigures(stats).length + 3
+  return { figuresHeaderRow, disciplineHeaderRow }
+}
+
+const toSheetRange = (sheetName, column, fromRow, toRow = fromRow) => {
+  const col = XLSX.utils.encode_col(column)
+  const range = fromRow === toRow ? `$${col}$${fromRow}` : `$${col}$${fromRow}:$${col}$${toRow}`
+  return `'${sheetName.replace(/'/g, "''")}'!${range}`
+}
+
+export const buildStatisticsCharts = (stats) => {
+  const { figuresHeaderRow, disciplineHeaderRow } = getStatisticsLayout(stats)
+  const onTimeRow = figuresHeaderRow + 3
+  const charts = [
+    {
+      type: 'pie',
+      title: 'Planning gereed: op tijd vs. te laat',
+      categories: {
+        ref: toSheetRange(STATISTICS_SHEET, 0, onTimeRow, onTimeRow + 1),
+        values: ['Op tijd', 'Te laat'],
+      },
+      series: [
+        {
+          name: 'Aantal',
+          ref: toSheetRange(STATISTICS_SHEET, 1, onTimeRow, onTimeRow + 1),
+          values: [stats.onTimeCount, stats.overdueCount],
+          colors: ['17B26A', 'B42318'],
+        },
+      ],
+      anchor: { from: { col: 7, row: 3 }, to: { col: 14, row: 20 } },
+    },
+  ]
+  if (!stats.disciplines.length) return charts
+
+  const firstRow = disciplineHeaderRow + 1
+  const lastRow = disciplineHeaderRow + stats.disciplines.length
+  const headers = buildDisciplineHeaders(stats)
+  const rows = buildDisciplineRows(stats)
+  charts.push({
+    type: 'bar',
+    title: 'Veroorzakende discipline',
+    categories: {
+      ref: toSheetRange(STATISTICS_SHEET, 0, firstRow, lastRow),
+      values: rows.map((row) => row[0]),
+    },
+    series: ['5B8DEF', '1F2A8A', '17B26A'].map((color, index) => ({
+      name: headers[index + 1],
+      nameRef: toSheetRange(STATISTICS_SHEET, index + 1, disciplineHeaderRow),
+      ref: toSheetRange(STATISTICS_SHEET, index + 1, firstRow, lastRow),
+      values: rows.map((row) => row[index + 1]),
+      colors: [color],
+    })),
+    anchor: { from: { col: 7, row: 21 }, to: { col: 19, row: 42 } },
+  })
+  return charts
+}
+
+const addStatisticsTable = (sheet, { rowIndex, headers, rows, tableName }) => {
+  const tableRows = rows.length ? rows : [headers.map(() => '')]
+  sheet.addTable({
+    name: tableName,
+    ref: `A${rowIndex}`,
+    headerRow: true,
+    totalsRow: false,
+    style: { theme: 'TableStyleLight1', showRowStripes: false },
+    columns: headers.map((header) => ({ name: header })),
+    rows: tableRows,
+  })
+  styleTableHeader(sheet, headers.length, rowIndex)
+  styleTableRows(sheet, tableRows.length, headers.length, rowIndex + 1)
+}
+
+const addStatisticsSheet = (workbook, { stats, metaRows }) => {
+  const sheet = workbook.addWorksheet(STATISTICS_SHEET)
+  metaRows.forEach((row) => sheet.addRow(row))
+  const { figuresHeaderRow, disciplineHeaderRow } = getStatisticsLayout(stats)
+  const figures = buildStatisticsFigures(stats)
+  const disciplineHeaders = buildDisciplineHeaders(stats)
+  const disciplineRows = buildDisciplineRows(stats)
+
+  addStatisticsTable(sheet, {
+    rowIndex: figuresHeaderRow,
+    headers: ['Kengetal', 'Waarde'],
+    rows: figures,
+    tableName: 'StatistiekenTable',
+  })
+  addStatisticsTable(sheet, {
+    rowIndex: disciplineHeaderRow,
+    headers: disciplineHeaders,
+    rows: disciplineRows,
+    tableName: 'DisciplinesTable',
+  })
+  styleMetaBlock(sheet)
+  const widths = computeColumnWidths(disciplineHeaders, [...figures, ...disciplineRows], metaRows)
+  sheet.columns = disciplineHeaders.map((_, index) => ({ width: widths[index] }))
+  return sheet
+}
+
+const selectColumns = (columns, keys) => {
+  if (!keys) return columns
+  const selected = columns.filter((column) => keys.includes(column.key))
+  return selected.length ? selected : columns
+}
+
+const toColumnData = (rows, columns) =>
+  rows.map((row) => columns.map((column) => row[column.key] ?? ''))
+
+const buildMetaRows = (station, now) => [
+  ['Project', station || ''],
+  ['Type', 'Afwijkingen overzicht'],
+  ['Datum DB', now.toLocaleString('nl-NL')],
+]
+
+const addTableSheet = (workbook, { name, headers, rows, tableName, metaRows }) => {
+  const sheet = workbook.addWorksheet(name)
+  metaRows.forEach((row) => sheet.addRow(row))
+  const tableRows =
+    rows && rows.length ? rows.map((row) => row.map(toCellValue)) : [headers.map(() => '')]
+  sheet.addTable({
+    name: tableName,
+    ref: 'A4',
+    headerRow: true,
+    totalsRow: false,
+    style: { theme: 'TableStyleLight1', showRowStripes: false },
+    columns: headers.map((header) => ({ name: header })),
+    rows: tableRows,
+  })
+  styleMetaBlock(sheet)
+  styleTableHeader(sheet, headers.length)
+  styleTableRows(sheet, tableRows.length, headers.length)
+  const widths = computeColumnWidths(headers, rows, metaRows)
+  sheet.columns = headers.map((_, index) => ({
+    width: widths[index],
+  }))
+  sheet.views = [{ state: 'frozen', ySplit: 4, topLeftCell: 'A5' }]
+  return sheet
+}
+
+// ExcelJS is groot en wordt pas geladen als er een export gemaakt wordt.
+const createWorkbook = async () => {
+  const { default: ExcelJS } = await import('exceljs')
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'afwijkingen-lab'
+  return workbook
+}
+
+export const buildDashboardWorkbook = async (
+  result,
+  { station = '', now = new Date(), changes = null, columns = {}, aliases = [] } = {}
+) => {
+  const { achterstallig = [], concept = [], actiehouders = [], stats = null } = result
+  const metaRows = buildMetaRows(station, now)
+  const workbook = await createWorkbook()
+  const achterstalligColumns = selectColumns(ACHTERSTALLIG_EXPORT_COLUMNS, columns.achterstallig)
+  const conceptColumns = selectColumns(CONCEPT_EXPORT_COLUMNS, columns.concept)
+
+  addTableSheet(workbook, {
+    name: 'Afwijking achterstallig',
+    headers: achterstalligColumns.map((column) => column.header),
+    rows: toColumnData(achterstallig, achterstalligColumns),
+    tableName: 'AchterstalligTable',
+    metaRows,
+  })
+  addTableSheet(workbook, {
+    name: 'Afwijking concept',
+    headers: conceptColumns.map((column) => column.header),
+    rows: toColumnData(concept, conceptColumns),
+    tableName: 'ConceptTable',
+    metaRows,
+  })
+  addTableSheet(workbook, {
+    name: 'Actiehouders',
+    headers: ['Actiehouder'],
+    rows: actiehouders.map((name) => [name]),
+    tableName: 'ActiehoudersTable',
+    metaRows,
+  })
+  if (stats) {
+    addStatisticsSheet(workbook, { stats, metaRows })
+    const dayUnit = stats.dayUnit || 'dagen'
+    const lateColumns = [
+      ...PLANNING_EXPORT_COLUMNS,
+      { key: 'dagenTeLaat', header: `${dayUnit.charAt(0).toUpperCase()}${dayUnit.slice(1)} te laat` },
+    ]
+    const missingColumns = [...PLANNING_EXPORT_COLUMNS, { key: 'melding', header: 'Melding' }]
+    const detailSheets = [
+      { name: 'Op tijd', rows: stats.onTimeRows, columns: PLANNING_EXPORT_COLUMNS },
+      { name: 'Te laat', rows: stats.lateRows, columns: lateColumns },
+      { name: 'Ontbrekend', rows: stats.missingRows, columns: missingColumns },
+    ]
+    detailSheets.forEach(({ name, rows, columns: sheetColumns }) => {
+      addTableSheet(workbook, {
+        name,
+        headers: sheetColumns.map((column) => column.header),
+        rows: toColumnData(rows, sheetColumns),
+        tableName: `${name.replace(/\s/g, '')}Table`,
+        metaRows,
+      })
+    })
+  }
+  if (aliases.length) {
+    addTableSheet(workbook, {
+      name: ALIAS_SHEET,
+      headers: ['Alias', 'Naam'],
+      rows: aliases.map((entry) => [entry.alias, entry.naam]),
+      tableName: 'AliassenTable',
+      metaRows,
+    })
+  }
+  if (changes) {
+    addTableSheet(workbook, {
+      name: 'Wijzigingen',
+      headers: [
+        'Type',
+        'Afw. Code',
+        'Maatregel Code',
+        'Maatregel',
+        'Actiehouder',
+        'Vorige waarde',
+        'Nieuwe waarde',
+      ],
+      rows: flattenChanges(changes).map((row) => [
+        row.type,
+        row.code,
+        row.maatregelCode,
+        row.maatregel,
+        row.actiehouder,
+        row.vorige,
+        row.nieuw,
+      ]),
+      tableName: 'WijzigingenTable',
+      metaRows,
+    })
+  }
+
+  return workbook
+}
+
+const toSheetName = (value, usedNames) => {
+  const base = String(value || 'Station').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Station'
+  let name = base
+  for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix += 1) {
+    name = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix}`
+  }
+  usedNames.add(name.toLowerCase())
+  return name
+}
+
+export const summarizeStation = ({ station, result }) => ({
+  station,
+  achterstallig: result.achterstallig.length,
+  concept: result.concept.length,
+  actiehouders: result.actiehouders.length,
+  validDates: result.stats ? result.stats.validDates : 0,
+  onTimePercent: result.stats ? result.stats.onTimePercent : null,
+  traffic: result.stats ? result.stats.traffic : '',
+})
+
+export const buildComparisonWorkbook = async (stations, { now = new Date() } = {}) => {
+  const workbook = await createWorkbook()
+  const usedNames = new Set()
+
+  addTableSheet(workbook, {
+    name: toSheetName('Vergelijking', usedNames),
+    headers: ['Station', 'Achterstallig', 'Concept', 'Actiehouders', 'Op tijd %', 'Stoplicht'],
+    rows: stations.map(summarizeStation).map((row) => [
+      row.station,
+      row.achterstallig,
+      row.concept,
+      row.actiehouders,
+      row.onTimePercent === null ? '' : Math.round(row.onTimePercent),
+      row.traffic ? getTrafficLabel(row.traffic) : '',
+    ]),
+    tableName: 'VergelijkingTable',
+    metaRows: buildMetaRows('Alle stations', now),
+  })
+
+  stations.forEach(({ station, result }, index) => {
+    addTableSheet(workbook, {
+      name: toSheetName(station, usedNames),
+      headers: ACHTERSTALLIG_EXPORT_COLUMNS.map((column) => column.header),
+      rows: toColumnData(result.achterstallig, ACHTERSTALLIG_EXPORT_COLUMNS),
+      tableName: `Station${index + 1}Table`,
+      metaRows: buildMetaRows(station, now),
+    })
+  })
+
+  return workbook
+}
+
+const toUniqueHeaders = (headers) => {
+  const used = new Set()
+  return headers.map((header) => {
+    const base = String(header)
+    let name = base
+    for (let suffix = 2; used.has(name.toLowerCase()); suffix += 1) {
+      name = `${base} (${suffix})`
+    }
+    used.add(name.toLowerCase())
+    return name
+  })
+}
+
+export const buildQualityWorkbook = async (report, rows, { station = '', now = new Date() } = {}) => {
+  const workbook = await createWorkbook()
+  const metaRows = buildMetaRows(station, now)
+  const headers = rows.length ? rows[0] : []
+
+  addTableSheet(workbook, {
+    name: 'Datakwaliteit',
+    headers: ['Controle', 'Rijen', 'Code', 'Maatregel code', 'Waarde', 'Melding'],
+    rows: report.findings.map((finding) => [
+      finding.controle,
+      finding.rijen.join(', '),
+      finding.code,
+      finding.maatregelCode,
+      finding.waarde ?? '',
+      finding.melding,
+    ]),
+    tableName: 'DatakwaliteitTable',
+    metaRows,
+  })
+  addTableSheet(workbook, {
+    name: 'Rijen',
+    headers: toUniqueHeaders([
+      'Rij',
+      'Controle',
+      ...headers.map((header, index) => String(header ?? '').trim() || `Kolom ${index + 1}`),
+    ]),
+    rows: report.findings.flatMap((finding) =>
+      finding.rijen.map((rowNumber) => [
+        rowNumber,
+        finding.controle,
+        ...headers.map((_, index) => rows[rowNumber - 1]?.[index] ?? ''),
+      ])
+    ),
+    tableName: 'RijenTable',
+    metaRows,
+  })
+
+  return workbook
+}
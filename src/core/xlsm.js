@@ -0,0 +1,488 @@
+import * as XLSX from 'xlsx'
+import { normalize } from './columns.js'
+import {
+  buildCell,
+  copyFormulaCell,
+  escapeXml,
+  expandSharedFormulas,
+  findSheetPath,
+  getCfb,
+  getDateStyle,
+  getOpenTag,
+  getRelsPath,
+  hasCellContent,
+  moveCell,
+  parseSheetData,
+  readAttr,
+  readCellStyle,
+  readCellText,
+  readPackage,
+  readPart,
+  readRelationships,
+  readSharedStrings,
+  readStyleSheet,
+  readTables,
+  requestRecalculation,
+  replaceSheetData,
+  setAttr,
+  writePackage,
+  writePart,
+  writeStyleSheet,
+  writeTableRange,
+} from './ooxml.js'
+import {
+  ACHTERSTALLIG_EXPORT_COLUMNS,
+  CONCEPT_EXPORT_COLUMNS,
+  STATISTICS_SHEET,
+  buildStatisticsCharts,
+} from './workbooks.js'
+
+export const XLSM_MIME = 'application/vnd.ms-excel.sheet.macroEnabled.12'
+
+// Bereiken over de tabelrijen die tot de laatste rij lopen groeien of krimpen mee; een samenvoeging
+// alleen als die alle rijen beslaat. Bereiken die buiten de nieuwe tabel vallen verdwijnen.
+const adjustRange = (ref, bounds, isMerge = false) => {
+  const range = XLSX.utils.decode_range(ref)
+  if (
+    range.e.c < bounds.firstCol ||
+    range.s.c > bounds.lastCol ||
+    range.e.r < bounds.firstRow ||
+    range.s.r > bounds.previousLastRow
+  ) {
+    return ref
+  }
+  const spansTable = !isMerge || (range.s.r <= bounds.firstRow && range.s.r < range.e.r)
+  if (range.e.r === bounds.previousLastRow && spansTable) range.e.r = bounds.lastRow
+  else if (range.e.r < bounds.previousLastRow) range.e.r = Math.min(range.e.r, bounds.lastRow)
+  if (range.s.r > range.e.r) return ''
+  return XLSX.utils.encode_range(range)
+}
+
+const adjustSqref = (sqref, bounds) =>
+  sqref
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((ref) => adjustRange(ref, bounds))
+    .filter(Boolean)
+    .join(' ')
+
+const adjustSheetRanges = (sheetXml, bounds) =>
+  sheetXml
+    .replace(/<mergeCells\b[^>]*>([\s\S]*?)<\/mergeCells>/, (_, content) => {
+      const refs = Array.from(content.matchAll(/<mergeCell\b[^>]*>/g))
+        .map(([tag]) => adjustRange(readAttr(tag, 'ref'), bounds, true))
+        .filter((ref) => ref.includes(':'))
+      return refs.length
+        ? `<mergeCells count="${refs.length}">${refs
+            .map((ref) => `<mergeCell ref="${ref}"/>`)
+            .join('')}</mergeCells>`
+        : ''
+    })
+    .replace(/<conditionalFormatting\b[^>]*>[\s\S]*?<\/conditionalFormatting>/g, (xml) => {
+      const openTag = getOpenTag(xml)
+      const sqref = adjustSqref(readAttr(openTag, 'sqref'), bounds)
+      return sqref ? xml.replace(openTag, setAttr(openTag, 'sqref', sqref)) : ''
+    })
+    .replace(/<dataValidations\b[^>]*>([\s\S]*?)<\/dataValidations>/, (xml, content) => {
+      const validations = Array.from(
+        content.matchAll(/<dataValidation\b[^>]*?(?:\/>|>[\s\S]*?<\/dataValidation>)/g)
+      )
+        .map(([item]) => {
+          const openTag = getOpenTag(item)
+          const sqref = adjustSqref(readAttr(openTag, 'sqref'), bounds)
+          return sqref ? item.replace(openTag, setAttr(openTag, 'sqref', sqref)) : ''
+        })
+        .filter(Boolean)
+      return validations.length
+        ? `${setAttr(getOpenTag(xml), 'count', validations.length)}${validations.join('')}</dataValidations>`
+        : ''
+    })
+
+const findTable = (zip, sheetPath, headers) => {
+  const table =
+    readTables(zip, sheetPath).find(({ xml }) =>
+      Array.from(xml.matchAll(/<tableColumn\b[^>]*>/g)).some(
+        ([tag]) => normalize(readAttr(tag, 'name')) === normalize(headers[0])
+      )
+    ) || null
+  if (!table) return null
+  if (Number(readAttr(table.tag, 'totalsRowCount')) > 0) {
+    throw new Error('Dashboard tabel met totaalrij wordt niet ondersteund.')
+  }
+  return { ...table, range: XLSX.utils.decode_range(readAttr(table.tag, 'ref')) }
+}
+
+const findHeaderRange = (rows, sharedStrings, headers) => {
+  const sortedRows = Array.from(rows.entries()).sort((a, b) => a[0] - b[0])
+  for (const [rowIndex, row] of sortedRows) {
+    const headerCell = Array.from(row.cells.entries()).find(
+      ([, cellXml]) => normalize(readCellText(cellXml, sharedStrings)) === normalize(headers[0])
+    )
+    if (!headerCell) continue
+    let lastCol = headerCell[0]
+    while (readCellText(row.cells.get(lastCol + 1) || '<c/>', sharedStrings).trim()) lastCol += 1
+    let lastRow = rowIndex
+    while (readCellText(rows.get(lastRow + 1)?.cells.get(headerCell[0]) || '<c/>', sharedStrings).trim()) {
+      lastRow += 1
+    }
+    return { s: { r: rowIndex, c: headerCell[0] }, e: { r: Math.max(lastRow, rowIndex + 1), c: lastCol } }
+  }
+  return null
+}
+
+const setMetaValue = (rows, sharedStrings, rowIndex, label, value) => {
+  const row = rows.get(rowIndex)
+  if (!row || normalize(readCellText(row.cells.get(0) || '<c/>', sharedStrings)) !== normalize(label)) {
+    return
+  }
+  const ref = XLSX.utils.encode_cell({ r: rowIndex, c: 1 })
+  row.cells.set(1, buildCell(ref, value, readCellStyle(row.cells.get(1))))
+}
+
+const fillSheet = (zip, sharedStrings, styleSheet, { sheet, columns, keyHeaders, rows, station, now }) => {
+  const sheetPath = findSheetPath(zip, sheet)
+  if (!sheetPath) return null
+  const sheetXml = readPart(zip, sheetPath)
+  const { match, rows: sheetRows } = parseSheetData(sheetXml)
+  expandSharedFormulas(sheetRows)
+  const headerNames = columns.map((column) => column.header)
+  const table = findTable(zip, sheetPath, headerNames)
+  const range = table?.range || findHeaderRange(sheetRows, sharedStrings, headerNames)
+  if (!range) throw new Error(`Kolomkop "${headerNames[0]}" niet gevonden in "${sheet}".`)
+
+  const headerRow = sheetRows.get(range.s.r)
+  const plan = []
+  for (let col = range.s.c; col <= range.e.c; col += 1) {
+    const header = readCellText(headerRow?.cells.get(col) || '<c/>', sharedStrings)
+    plan.push({
+      col,
+      header,
+      column: columns.find((column) => normalize(column.header) === normalize(header)) || null,
+    })
+  }
+  if (!plan.some((entry) => entry.column)) {
+    throw new Error(`Geen bekende kolomkoppen gevonden in "${sheet}".`)
+  }
+
+  const firstRow = range.s.r + 1
+  const templateRow = sheetRows.get(firstRow)
+  const templateAttrs = templateRow?.attrs || ''
+  const styles = new Map(plan.map(({ col }) => [col, readCellStyle(templateRow?.cells.get(col))]))
+  const getStyle = (col, value) =>
+    value instanceof Date ? getDateStyle(styleSheet, styles.get(col)) : styles.get(col)
+  const keyCols = keyHeaders.map(
+    (header) => plan.find((entry) => normalize(entry.header) === normalize(header))?.col ?? -1
+  )
+  const buildKey = (values) => values.map((value) => normalize(value)).join('|')
+  const templateFormulas = new Map(
+    plan
+      .filter((entry) => !entry.column && /<f\b/.test(templateRow?.cells.get(entry.col) || ''))
+      .map(({ col }) => [col, templateRow.cells.get(col)])
+  )
+
+  const previousCells = new Map()
+  for (let rowIndex = firstRow; rowIndex <= range.e.r; rowIndex += 1) {
+    const row = sheetRows.get(rowIndex)
+    if (!row) continue
+    const key = buildKey(
+      keyCols.map((col) => (col === -1 ? '' : readCellText(row.cells.get(col) || '<c/>', sharedStrings)))
+    )
+    if (key.replace(/\|/g, '') && !previousCells.has(key)) {
+      previousCells.set(key, {
+        rowIndex,
+        cells: new Map(plan.filter((entry) => !entry.column).map(({ col }) => [col, row.cells.get(col)])),
+      })
+    }
+    plan.forEach(({ col }) => row.cells.delete(col))
+  }
+
+  const lastRow = firstRow + Math.max(rows.length, 1) - 1
+  const mergedRanges = Array.from(sheetXml.matchAll(/<mergeCell\b[^>]*>/g)).map(([tag]) =>
+    XLSX.utils.decode_range(readAttr(tag, 'ref'))
+  )
+  for (let rowIndex = range.e.r + 1; rowIndex <= lastRow; rowIndex += 1) {
+    const row = sheetRows.get(rowIndex)
+    const blocked =
+      plan.some(({ col }) => hasCellContent(row?.cells.get(col), sharedStrings)) ||
+      mergedRanges.some(
+        (merged) =>
+          merged.s.r <= rowIndex &&
+          merged.e.r >= rowIndex &&
+          merged.s.c <= range.e.c &&
+          merged.e.c >= range.s.c
+      )
+    if (blocked) {
+      throw new Error(
+        `Tabel in "${sheet}" groeit tot rij ${lastRow + 1}, maar rij ${rowIndex + 1} onder de tabel is niet leeg. Maak ruimte onder de tabel.`
+      )
+    }
+  }
+  rows.forEach((item, index) => {
+    const rowIndex = firstRow + index
+    const row = sheetRows.get(rowIndex) || { attrs: templateAttrs, cells: new Map() }
+    const previous = previousCells.get(
+      buildKey(keyHeaders.map((header) => item[columns.find((column) => column.header === header)?.key]))
+    )
+    plan.forEach(({ col, column }) => {
+      const ref = XLSX.utils.encode_cell({ r: rowIndex, c: col })
+      const previousCell = previous?.cells.get(col)
+      const templateFormula = templateFormulas.get(col)
+      if (column) row.cells.set(col, buildCell(ref, item[column.key], getStyle(col, item[column.key])))
+      else if (previousCell) row.cells.set(col, moveCell(previousCell, ref, rowIndex - previous.rowIndex))
+      else if (templateFormula) row.cells.set(col, copyFormulaCell(templateFormula, ref, rowIndex - firstRow))
+      else row.cells.set(col, buildCell(ref, '', styles.get(col)))
+    })
+    sheetRows.set(rowIndex, row)
+  })
+  if (!rows.length) {
+    const row = sheetRows.get(firstRow) || { attrs: templateAttrs, cells: new Map() }
+    plan.forEach(({ col }) =>
+      row.cells.set(col, buildCell(XLSX.utils.encode_cell({ r: firstRow, c: col }), '', styles.get(col)))
+    )
+    sheetRows.set(firstRow, row)
+  }
+  for (let rowIndex = lastRow + 1; rowIndex <= range.e.r; rowIndex += 1) {
+    if (!sheetRows.get(rowIndex)?.cells.size) sheetRows.delete(rowIndex)
+  }
+
+  if (station) setMetaValue(sheetRows, sharedStrings, 0, 'Project', station)
+  setMetaValue(sheetRows, sharedStrings, 2, 'Datum DB', now.toLocaleString('nl-NL'))
+
+  const nextSheetXml = adjustSheetRanges(replaceSheetData(sheetXml, match[0], sheetRows), {
+    firstRow,
+    previousLastRow: range.e.r,
+    lastRow,
+    firstCol: range.s.c,
+    lastCol: range.e.c,
+  })
+  writePart(zip, sheetPath, nextSheetXml)
+  if (table) writeTableRange(zip, table, { s: range.s, e: { r: lastRow, c: range.e.c } })
+  return rows.length
+}
+
+export const fillDashboardWorkbook = (buffer, result, { station = '', now = new Date() } = {}) => {
+  const zip = readPackage(buffer, 'Dashboard is geen geldig Excel bestand.')
+  const sharedStrings = readSharedStrings(zip)
+  const styleSheet = readStyleSheet(zip)
+  const { achterstallig = [], concept = [], actiehouders = [] } = result
+
+  const counts = {
+    achterstallig: fillSheet(zip, sharedStrings, styleSheet, {
+      sheet: 'Afwijking achterstallig',
+      columns: ACHTERSTALLIG_EXPORT_COLUMNS,
+      keyHeaders: ['Afw. Code', 'Maatregel Code'],
+      rows: achterstallig,
+      station,
+      now,
+    }),
+    concept: fillSheet(zip, sharedStrings, styleSheet, {
+      sheet: 'Afwijking concept',
+      columns: CONCEPT_EXPORT_COLUMNS,
+      keyHeaders: ['Afw. Code'],
+      rows: concept,
+      station,
+      now,
+    }),
+    actiehouders: fillSheet(zip, sharedStrings, styleSheet, {
+      sheet: 'Actiehouders',
+      columns: [{ key: 'actiehouder', header: 'Actiehouder' }],
+      keyHeaders: ['Actiehouder'],
+      rows: actiehouders.map((actiehouder) => ({ actiehouder })),
+      station,
+      now,
+    }),
+  }
+  if (Object.values(counts).every((count) => count === null)) {
+    throw new Error('Geen dashboard werkbladen gevonden om te vullen.')
+  }
+  writeStyleSheet(zip, styleSheet)
+  requestRecalculation(zip)
+
+  return { data: writePackage(zip), counts }
+}
+
+const CHART_NS =
+  'xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"'
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+
+const WORKSHEET_TAGS_AFTER_DRAWING = [
+  'legacyDrawing',
+  'legacyDrawingHF',
+  'drawingHF',
+  'picture',
+  'oleObjects',
+  'controls',
+  'webPublishItems',
+  'tableParts',
+  'extLst',
+]
+
+const buildSolidFill = (color) => `<c:spPr><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></c:spPr>`
+
+const buildStrRef = (ref, values) =>
+  `<c:strRef><c:f>${escapeXml(ref)}</c:f><c:strCache><c:ptCount val="${values.length}"/>${values
+    .map((value, index) => `<c:pt idx="${index}"><c:v>${escapeXml(value)}</c:v></c:pt>`)
+    .join('')}</c:strCache></c:strRef>`
+
+const buildNumRef = (ref, values) =>
+  `<c:numRef><c:f>${escapeXml(ref)}</c:f><c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${
+    values.length
+  }"/>${values
+    .map((value, index) => `<c:pt idx="${index}"><c:v>${Number(value) || 0}</c:v></c:pt>`)
+    .join('')}</c:numCache></c:numRef>`
+
+const buildSeries = (chart, series, index) => {
+  const name = series.nameRef
+    ? `<c:tx>${buildStrRef(series.nameRef, [series.name])}</c:tx>`
+    : `<c:tx><c:v>${escapeXml(series.name)}</c:v></c:tx>`
+  const styling =
+    chart.type === 'pie'
+      ? `${series.colors
+          .map(
+            (color, point) =>
+              `<c:dPt><c:idx val="${point}"/><c:bubble3D val="0"/>${buildSolidFill(color)}</c:dPt>`
+          )
+          .join(
+            ''
+          )}<c:dLbls><c:showLegendKey val="0"/><c:showVal val="1"/><c:showCatName val="0"/><c:showSerName val="0"/><c:showPercent val="1"/><c:showBubbleSize val="0"/></c:dLbls>`
+      : `${buildSolidFill(series.colors[0])}<c:invertIfNegative val="0"/>`
+  return `<c:ser><c:idx val="${index}"/><c:order val="${index}"/>${name}${styling}<c:cat>${buildStrRef(
+    chart.categories.ref,
+    chart.categories.values
+  )}</c:cat><c:val>${buildNumRef(series.ref, series.values)}</c:val></c:ser>`
+}
+
+const buildPlotArea = (chart) => {
+  const series = chart.series.map((item, index) => buildSeries(chart, item, index)).join('')
+  if (chart.type === 'pie') {
+    return `<c:pieChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/></c:pieChart>`
+  }
+  return `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${series}<c:gapWidth val="80"/><c:axId val="1"/><c:axId val="2"/></c:barChart><c:catAx><c:axId val="1"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="0"/><c:tickLblPos val="nextTo"/><c:crossAx val="2"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx><c:valAx><c:axId val="2"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/><c:crossAx val="1"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>`
+}
+
+const buildChartXml = (chart) =>
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<c:chartSpace ${CHART_NS}><c:roundedCorners val="0"/><c:chart><c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(
+    chart.title
+  )}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>${buildPlotArea(
+    chart
+  )}</c:plotArea><c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend><c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>`
+
+const buildAnchorPoint = (tag, { col, row }) =>
+  `<xdr:${tag}><xdr:col>${col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`
+
+const buildDrawingXml = (charts) =>
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${charts
+    .map(
+      (chart, index) =>
+        `<xdr:twoCellAnchor editAs="oneCell">${buildAnchorPoint('from', chart.anchor.from)}${buildAnchorPoint(
+          'to',
+          chart.anchor.to
+        )}<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="${escapeXml(
+          chart.title
+        )}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr><xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart"><c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:r="${REL_NS}" r:id="rId${
+          index + 1
+        }"/></a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>`
+    )
+    .join('')}</xdr:wsDr>`
+
+const buildRelationshipsXml = (relationships) =>
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships
+    .map(
+      ({ id, type, target }) =>
+        `<Relationship Id="${id}" Type="${REL_NS}/${type}" Target="${escapeXml(target)}"/>`
+    )
+    .join('')}</Relationships>`
+
+const findFreePartNumber = (zip, prefix) => {
+  let number = 1
+  while (readPart(zip, `${prefix}${number}.xml`) !== null) number += 1
+  return number
+}
+
+const addRelationship = (zip, path, type, target) => {
+  const relsPath = getRelsPath(path)
+  const existing = readRelationships(zip, path)
+  const used = new Set(existing.map((rel) => rel.id))
+  let number = existing.length + 1
+  while (used.has(`rId${number}`)) number += 1
+  const id = `rId${number}`
+  const tag = `<Relationship Id="${id}" Type="${REL_NS}/${type}" Target="${escapeXml(target)}"/>`
+  const relsXml = readPart(zip, relsPath)
+  writePart(
+    zip,
+    relsPath,
+    relsXml
+      ? relsXml.replace('</Relationships>', `${tag}</Relationships>`)
+      : buildRelationshipsXml([{ id, type, target }])
+  )
+  return id
+}
+
+const addContentTypes = (zip, overrides) => {
+  const typesXml = readPart(zip, '[Content_Types].xml')
+  writePart(
+    zip,
+    '[Content_Types].xml',
+    typesXml.replace(
+      '</Types>',
+      `${overrides
+        .map(
+          ({ path, type }) =>
+            `<Override PartName="/${path}" ContentType="application/vnd.openxmlformats-officedocument.${type}"/>`
+        )
+        .join('')}</Types>`
+    )
+  )
+}
+
+// ExcelJS schrijft geen grafieken; die voegen we als DrawingML-onderdelen aan het zip-pakket toe.
+export const addWorksheetCharts = (buffer, sheetName, charts) => {
+  const zip = getCfb().read(new Uint8Array(buffer), { type: 'array' })
+  const sheetPath = findSheetPath(zip, sheetName)
+  if (!sheetPath || !charts.length) return new Uint8Array(buffer)
+
+  const drawingNumber = findFreePartNumber(zip, 'xl/drawings/drawing')
+  const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`
+  const firstChart = findFreePartNumber(zip, 'xl/charts/chart')
+  const chartPaths = charts.map((_, index) => `xl/charts/chart${firstChart + index}.xml`)
+  charts.forEach((chart, index) => writePart(zip, chartPaths[index], buildChartXml(chart)))
+  writePart(zip, drawingPath, buildDrawingXml(charts))
+  writePart(
+    zip,
+    getRelsPath(drawingPath),
+    buildRelationshipsXml(
+      chartPaths.map((path, index) => ({
+        id: `rId${index + 1}`,
+        type: 'chart',
+        target: `../charts/${path.split('/').pop()}`,
+      }))
+    )
+  )
+
+  const drawingId = addRelationship(zip, sheetPath, 'drawing', `../drawings/drawing${drawingNumber}.xml`)
+  const rawSheetXml = readPart(zip, sheetPath)
+  const sheetXml = /<worksheet\b[^>]*\sxmlns:r=/.test(rawSheetXml)
+    ? rawSheetXml
+    : rawSheetXml.replace(/<worksheet\b/, `<worksheet xmlns:r="${REL_NS}"`)
+  const insertAt = WORKSHEET_TAGS_AFTER_DRAWING.map((tag) => sheetXml.search(new RegExp(`<${tag}\\b`)))
+    .filter((index) => index !== -1)
+    .reduce((first, index) => Math.min(first, index), sheetXml.indexOf('</worksheet>'))
+  writePart(
+    zip,
+    sheetPath,
+    `${sheetXml.slice(0, insertAt)}<drawing r:id="${drawingId}"/>${sheetXml.slice(insertAt)}`
+  )
+
+  addContentTypes(zip, [
+    { path: drawingPath, type: 'drawing+xml' },
+    ...chartPaths.map((path) => ({ path, type: 'drawingml.chart+xml' })),
+  ])
+  return writePackage(zip)
+}
+
+export const writeDashboardWorkbook = async (workbook, { stats = null } = {}) => {
+  const buffer = await workbook.xlsx.writeBuffer()
+  return stats
+    ? addWorksheetCharts(buffer, STATISTICS_SHEET, buildStatisticsCharts(stats))
+    : new Uint8Array(buffer)
+}
@@ -0,0 +1,24 @@
+import { readOverzichtRows, readWorkbookBuffer } from './core/overzicht.js'
+
+self.onmessage = (event) => {
+  const { buffer } = event.data
+  try {
+    self.postMessage({ type: 'progress', stage: 'Bestand lezen', percent: 5 })
+    const workbook = readWorkbookBuffer(buffer)
+    self.postMessage({ type: 'progress', stage: 'Rijen verwerken', percent: 40 })
+    const rows = readOverzichtRows(workbook, {
+      onProgress: ({ done, total }) =>
+        self.postMessage({
+          type: 'progress',
+          stage: `Rijen verwerken (${done} van ${total})`,
+          percent: 40 + Math.round((done / total) * 60),
+        }),
+    })
+    self.postMessage({ type: 'result', rows })
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      message: error instanceof Error ? error.message : 'Overzicht inlezen mislukt.',
+    })
+  }
+}
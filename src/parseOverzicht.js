@@ -0,0 +1,34 @@
+import { readOverzichtRows, readWorkbookBuffer } from './core'
+
+const parseOnMainThread = (buffer) => readOverzichtRows(readWorkbookBuffer(buffer))
+
+export const parseOverzichtFile = async (file, { onProgress } = {}) => {
+  const buffer = await file.arrayBuffer()
+  if (typeof Worker === 'undefined') return parseOnMainThread(buffer)
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./overzichtWorker.js', import.meta.url), {
+      type: 'module',
+    })
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'progress') {
+        onProgress?.(message)
+        return
+      }
+      worker.terminate()
+      if (message.type === 'result') resolve(message.rows)
+      else reject(new Error(message.message))
+    }
+    worker.onerror = (event) => {
+      worker.terminate()
+      event.preventDefault()
+      try {
+        resolve(parseOnMainThread(buffer))
+      } catch (error) {
+        reject(error)
+      }
+    }
+    worker.postMessage({ buffer })
+  })
+}
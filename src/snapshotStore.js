@@ -0,0 +1,46 @@
+const DB_NAME = 'afwijkingen-lab'
+const DB_VERSION = 1
+const STORE_NAME = 'snapshots'
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB niet beschikbaar.'))
+      return
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const runTransaction = async (mode, action) => {
+  const db = await openDatabase()
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const store = transaction.objectStore(STORE_NAME)
+      const request = action(store)
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+export const listSnapshots = () => runTransaction('readonly', (store) => store.getAll())
+
+export const saveSnapshots = (snapshots) =>
+  runTransaction('readwrite', (store) => {
+    snapshots.forEach((snapshot) => store.put(snapshot))
+    return null
+  })
+
+export const deleteSnapshot = (id) => runTransaction('readwrite', (store) => store.delete(id))
@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react'
+
+const readStoredValue = (key, load) => {
+  try {
+    return load(JSON.parse(localStorage.getItem(key) || 'null'))
+  } catch {
+    return load(null)
+  }
+}
+
+// State die bij elke wijziging in localStorage wordt bewaard. `load` krijgt de opgeslagen JSON
+// (of null) en geeft een geldige waarde terug.
+export const usePersistentState = (key, load) => {
+  const [value, setValue] = useState(() => readStoredValue(key, load))
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value))
+    } catch {
+      // Opslag niet beschikbaar (bijv. privevenster); de waarde blijft in geheugen.
+    }
+  }, [key, value])
+
+  return [value, setValue]
+}
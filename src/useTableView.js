@@ -0,0 +1,110 @@
+import { useMemo, useState } from 'react'
+import { formatDate } from './core'
+
+export const formatCell = (value) => (value instanceof Date ? formatDate(value) : String(value ?? ''))
+
+const toSortValue = (value) => (value instanceof Date ? value.getTime() : value ?? '')
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a).localeCompare(String(b), 'nl', { numeric: true })
+}
+
+const NO_FILTER_KEYS = []
+
+export const useTableView = (rows, columns, filterKeys = NO_FILTER_KEYS) => {
+  const [search, setSearch] = useState('')
+  const [sort, setSort] = useState(null)
+  const [filters, setFilters] = useState({})
+  const [hiddenColumns, setHiddenColumns] = useState([])
+
+  const filterOptions = useMemo(
+    () =>
+      Object.fromEntries(
+        filterKeys.map((key) => [
+          key,
+          Array.from(new Set(rows.map((row) => String(row[key] ?? '').trim()).filter(Boolean))).sort(
+            (a, b) => a.localeCompare(b)
+          ),
+        ])
+      ),
+    [rows, filterKeys]
+  )
+
+  const viewRows = useMemo(() => {
+    const query = search.trim().toLowerCase()
+    const activeFilters = Object.entries(filters).filter(([, values]) => values.length)
+    const filtered = rows.filter((row) => {
+      const matchesFilters = activeFilters.every(([key, values]) =>
+        values.includes(String(row[key] ?? '').trim())
+      )
+      if (!matchesFilters) return false
+      if (!query) return true
+      return columns.some((column) => formatCell(row[column.key]).toLowerCase().includes(query))
+    })
+    if (!sort) return filtered
+    const direction = sort.direction === 'desc' ? -1 : 1
+    return filtered
+      .map((row, index) => ({ row, index }))
+      .sort(
+        (a, b) =>
+          compareValues(toSortValue(a.row[sort.key]), toSortValue(b.row[sort.key])) * direction ||
+          a.index - b.index
+      )
+      .map(({ row }) => row)
+  }, [rows, columns, search, filters, sort])
+
+  const toggleSort = (key) => {
+    setSort((prev) => {
+      if (!prev || prev.key !== key) return { key, direction: 'asc' }
+      if (prev.direction === 'asc') return { key, direction: 'desc' }
+      return null
+    })
+  }
+
+  const toggleFilter = (key, value) => {
+    setFilters((prev) => {
+      const current = prev[key] || []
+      return {
+        ...prev,
+        [key]: current.includes(value)
+          ? current.filter((item) => item !== value)
+          : [...current, value],
+      }
+    })
+  }
+
+  const toggleColumn = (key) => {
+    setHiddenColumns((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]
+    )
+  }
+
+  const reset = () => {
+    setSearch('')
+    setSort(null)
+    setFilters({})
+  }
+
+  const visibleColumns = columns.filter((column) => !hiddenColumns.includes(column.key))
+  const isFiltered =
+    Boolean(search.trim()) || Object.values(filters).some((values) => values.length)
+
+  return {
+    rows,
+    viewRows,
+    columns,
+    visibleColumns,
+    search,
+    setSearch,
+    sort,
+    toggleSort,
+    filters,
+    filterOptions,
+    toggleFilter,
+    hiddenColumns,
+    toggleColumn,
+    isFiltered,
+    reset,
+  }
+}
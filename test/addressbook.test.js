@@ -0,0 +1,110 @@
+import * as XLSX from 'xlsx'
+import { describe, expect, it } from 'vitest'
+import {
+  MAILTO_MAX_LENGTH,
+  buildMailtoLink,
+  parseAddressBookCsv,
+  parseAddressList,
+  readAddressBookSheet,
+  resolveRecipients,
+} from '../src/core/addressbook.js'
+
+const buildWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new()
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name)
+  })
+  return workbook
+}
+
+describe('adresboek inlezen', () => {
+  it('leest een CSV met kolomkoppen en slaat ongeldige adressen over', () => {
+    const csv = [
+      '\uFEFFNaam;E-mail',
+      'Piet Pietersen;piet@example.nl',
+      'Jan Jansen;jan@example.nl',
+      'Klaas;geen-adres',
+    ].join('\n')
+    expect(parseAddressBookCsv(csv)).toEqual([
+      { name: 'Jan Jansen', email: 'jan@example.nl' },
+      { name: 'Piet Pietersen', email: 'piet@example.nl' },
+    ])
+  })
+
+  it('leest een CSV zonder kolomkoppen als naam, adres', () => {
+    expect(parseAddressBookCsv('Jan Jansen,jan@example.nl\njan jansen,jan2@example.nl')).toEqual([
+      { name: 'jan jansen', email: 'jan2@example.nl' },
+    ])
+  })
+
+  it('zoekt de kop in het werkblad Adresboek van het dashboard', () => {
+    const workbook = buildWorkbook({
+      Overzicht: [['Naam', 'Email'], ['Niet dit', 'niet@example.nl']],
+      Adresboek: [
+        ['Adresboek actiehouders'],
+        [],
+        ['Actiehouder', 'Emailadres'],
+        ['Jan Jansen', ' jan@example.nl '],
+      ],
+    })
+    expect(readAddressBookSheet(workbook)).toEqual([
+      { name: 'Jan Jansen', email: 'jan@example.nl' },
+    ])
+    expect(readAddressBookSheet(buildWorkbook({ Overzicht: [['Naam']] }))).toEqual([])
+  })
+})
+
+describe('resolveRecipients', () => {
+  const addressBook = [
+    { name: 'Jan Jansen', email: 'jan@example.nl' },
+    { name: 'P. Pietersen', email: 'piet@example.nl' },
+  ]
+
+  it('koppelt namen zonder onderscheid in hoofdletters en meldt ontbrekende namen', () => {
+    expect(resolveRecipients(['jan jansen', 'Jan Jansen', 'Klaas', ''], addressBook)).toEqual({
+      emails: ['jan@example.nl'],
+      missing: ['Klaas'],
+    })
+  })
+
+  it('vindt een adres via de alias van de naam in het adresboek', () => {
+    const aliases = [{ alias: 'P. Pietersen', naam: 'Piet Pietersen' }]
+    expect(resolveRecipients(['Piet Pietersen'], addressBook, { aliases })).toEqual({
+      emails: ['piet@example.nl'],
+      missing: [],
+    })
+    expect(resolveRecipients(['Piet Pietersen'], addressBook).missing).toEqual(['Piet Pietersen'])
+  })
+})
+
+describe('mail-link', () => {
+  it('codeert ontvangers, CC, onderwerp en regeleinden', () => {
+    expect(
+      buildMailtoLink({
+        to: ['jan@example.nl', 'piet@example.nl'],
+        cc: ['team@example.nl'],
+        subject: 'Week 24 & achterstallig',
+        body: 'Regel 1\nRegel 2',
+      })
+    ).toBe(
+      'mailto:jan@example.nl,piet@example.nl?cc=team%40example.nl&subject=Week%2024%20%26%20achterstallig&body=Regel%201%0D%0ARegel%202'
+    )
+    expect(buildMailtoLink({ subject: 'Test' })).toBe('mailto:?subject=Test&body=')
+  })
+
+  it('maakt lange berichten niet korter, zodat de app ze boven de limiet kan weigeren', () => {
+    const body = 'x'.repeat(MAILTO_MAX_LENGTH)
+    const link = buildMailtoLink({ to: ['jan@example.nl'], subject: 'Lang', body })
+    expect(link.endsWith(body)).toBe(true)
+    expect(link.length).toBeGreaterThan(MAILTO_MAX_LENGTH)
+  })
+
+  it('leest CC-adressen uit een vrije lijst', () => {
+    const list = 'team@example.nl; chef@example.nl, geen-adres\nbeheer@example.nl'
+    expect(parseAddressList(list)).toEqual([
+      'team@example.nl',
+      'chef@example.nl',
+      'beheer@example.nl',
+    ])
+  })
+})
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest'
+import { findAliasCandidates, isSimilarName } from '../src/core/aliases.js'
+
+const names = (...values) => values.map((name) => ({ name, count: 1 }))
+
+describe('isSimilarName', () => {
+  it('herkent schrijfwijzen van dezelfde naam', () => {
+    expect(isSimilarName('Jan Jansen', 'jansen jan')).toBe(true)
+    expect(isSimilarName('J. Jansen', 'Jan Jansen')).toBe(true)
+    expect(isSimilarName('Johannes Smit', 'J. Smit')).toBe(true)
+  })
+
+  it('neemt de achternaam uit de laatste woorden, met voorvoegsels', () => {
+    expect(isSimilarName('Jan van der Berg', 'J. van der Berg')).toBe(true)
+    expect(isSimilarName('Berg, Jan van der', 'J. van der Berg')).toBe(true)
+    expect(isSimilarName('J. Berg', 'J. van der Berg')).toBe(false)
+    expect(isSimilarName('Pieter Johannes', 'J. Smit')).toBe(false)
+  })
+})
+
+describe('findAliasCandidates', () => {
+  it('vergelijkt elke naam met de eerste naam van de groep', () => {
+    expect(findAliasCandidates(names('J. Jansen', 'Jan Jansen', 'Jan Janssen'))).toEqual([
+      { names: ['J. Jansen', 'Jan Jansen'], suggestion: 'Jan Jansen' },
+    ])
+  })
+
+  it('slaat namen over die al een alias hebben', () => {
+    expect(
+      findAliasCandidates(names('J. Jansen', 'Jan Jansen'), [
+        { alias: 'J. Jansen', naam: 'Jan Jansen' },
+      ])
+    ).toEqual([])
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest'
+import {
+  createCalendar,
+  getBouwvak,
+  getDutchHolidays,
+  getEasterSunday,
+  parseHolidayList,
+} from '../src/core/calendar.js'
+import { toDateKey } from '../src/core/dates.js'
+
+const day = (year, month, date) => new Date(year, month - 1, date)
+
+const holidayKeys = (year) => getDutchHolidays(year).map((holiday) => toDateKey(holiday.date))
+
+describe('getDutchHolidays', () => {
+  it('rekent Pasen en de daarvan afgeleide feestdagen uit', () => {
+    expect(toDateKey(getEasterSunday(2024))).toBe('2024-03-31')
+    expect(toDateKey(getEasterSunday(2025))).toBe('2025-04-20')
+    expect(toDateKey(getEasterSunday(2026))).toBe('2026-04-05')
+    expect(holidayKeys(2025)).toEqual(
+      expect.arrayContaining(['2025-04-21', '2025-05-29', '2025-06-08', '2025-06-09'])
+    )
+    expect(holidayKeys(2026)).toEqual(
+      expect.arrayContaining(['2026-04-06', '2026-05-14', '2026-05-24', '2026-05-25'])
+    )
+  })
+
+  it('verschuift Koningsdag op zondag naar zaterdag', () => {
+    expect(holidayKeys(2025)).toContain('2025-04-26')
+    expect(holidayKeys(2025)).not.toContain('2025-04-27')
+    expect(holidayKeys(2026)).toContain('2026-04-27')
+  })
+
+  it('telt Goede Vrijdag niet als nationale feestdag', () => {
+    expect(holidayKeys(2025)).not.toContain('2025-04-18')
+    expect(createCalendar({ dayMode: 'working' }).isWorkingDay(day(2025, 4, 18))).toBe(true)
+  })
+})
+
+describe('werkdagenkalender', () => {
+  const calendar = createCalendar({ dayMode: 'working' })
+
+  it('slaat het weekend over, ook terugrekenend', () => {
+    expect(calendar.daysBetween(day(2025, 6, 13), day(2025, 6, 16))).toBe(1)
+    expect(calendar.daysBetween(day(2025, 6, 16), day(2025, 6, 13))).toBe(-1)
+    expect(calendar.addDays(day(2025, 6, 13), 1)).toEqual(day(2025, 6, 16))
+    expect(calendar.addDays(day(2025, 6, 13), 5)).toEqual(day(2025, 6, 20))
+  })
+
+  it('slaat Paasmaandag, Hemelvaart en Pinksteren over', () => {
+    expect(calendar.daysBetween(day(2025, 4, 17), day(2025, 4, 22))).toBe(2)
+    expect(calendar.daysBetween(day(2025, 5, 28), day(2025, 5, 30))).toBe(1)
+    expect(calendar.daysBetween(day(2025, 6, 6), day(2025, 6, 10))).toBe(1)
+    expect(calendar.addDays(day(2025, 6, 6), 1)).toEqual(day(2025, 6, 10))
+  })
+
+  it('telt feestdagen mee als ze uitgezet zijn', () => {
+    const withoutHolidays = createCalendar({ dayMode: 'working', nationalHolidays: false })
+    expect(withoutHolidays.daysBetween(day(2025, 4, 17), day(2025, 4, 22))).toBe(3)
+  })
+
+  it('telt werkdagen zonder weekend, feestdagen en eigen vrije dagen', () => {
+    const withHolidays = createCalendar({
+      dayMode: 'working',
+      holidays: parseHolidayList('02-05-2025'),
+    })
+    expect(withHolidays.daysBetween(day(2025, 4, 25), day(2025, 5, 6))).toBe(5)
+    expect(withHolidays.addDays(day(2025, 4, 25), 1)).toEqual(day(2025, 4, 28))
+  })
+
+  it('slaat de drie weken bouwvak over', () => {
+    const bouwvak = getBouwvak(2025, 30).map((entry) => toDateKey(entry.date))
+    expect(bouwvak).toHaveLength(15)
+    expect([bouwvak[0], bouwvak[14]]).toEqual(['2025-07-21', '2025-08-08'])
+
+    const withBouwvak = createCalendar({ dayMode: 'working', bouwvakWeek: 30 })
+    expect(withBouwvak.isWorkingDay(day(2025, 7, 21))).toBe(false)
+    expect(withBouwvak.daysBetween(day(2025, 7, 18), day(2025, 8, 11))).toBe(1)
+    expect(withBouwvak.addDays(day(2025, 7, 18), 1)).toEqual(day(2025, 8, 11))
+    expect(calendar.daysBetween(day(2025, 7, 18), day(2025, 8, 11))).toBe(16)
+  })
+
+  it('telt in kalenderdagen alle dagen mee', () => {
+    const calendarDays = createCalendar()
+    expect(calendarDays.daysBetween(day(2025, 6, 13), day(2025, 6, 16))).toBe(3)
+    expect(calendarDays.addDays(day(2025, 6, 13), 1)).toEqual(day(2025, 6, 14))
+    expect(calendarDays.unit).toBe('dagen')
+    expect(calendar.unit).toBe('werkdagen')
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { updateDatabaseWorkbook } from '../src/core/database.js'
+import { toDateKey } from '../src/core/dates.js'
+import { readWorkbookBuffer } from '../src/core/overzicht.js'
+import {
+  CONNECTIONS_XML,
+  DATABASE_HEADERS,
+  OVERZICHT_HEADERS,
+  buildDatabasePackage,
+  overzichtRow,
+  readPackagePart,
+} from './fixtures.js'
+
+const overzicht = (rows) => [OVERZICHT_HEADERS, ...rows.map(overzichtRow)]
+
+describe('updateDatabaseWorkbook', () => {
+  it('werkt rijen in het zip-pakket bij en laat tabel en verbindingen intact', () => {
+    const database = buildDatabasePackage({
+      rows: [
+        ['AFW-1', 'M1', 'Oud', 45658],
+        ['AFW-2', 'M2', 'Oud', 45700],
+      ],
+    })
+    const { data, updatedCount, addedCount } = updateDatabaseWorkbook(
+      database,
+      overzicht([
+        { code: 'AFW-1', maatregelCode: 'M1', maatregel: 'Nieuw', geplandeDatum: '03-04-2025' },
+        { code: 'AFW-3', maatregelCode: 'M1', maatregel: 'Extra', geplandeDatum: new Date(2025, 5, 1) },
+      ])
+    )
+
+    expect({ updatedCount, addedCount }).toEqual({ updatedCount: 1, addedCount: 1 })
+    const tableXml = readPackagePart(data, 'xl/tables/table1.xml')
+    expect(tableXml).toMatch(/<table [^>]*ref="A1:E4"[^>]*totalsRowShown="0"/)
+    expect(tableXml).toContain('<autoFilter ref="A1:E4"/>')
+    expect(tableXml).toContain('tableType="queryTable"')
+    expect(tableXml).not.toContain('hiddenButton')
+    expect(readPackagePart(data, 'xl/connections.xml')).toBe(CONNECTIONS_XML)
+    expect(readPackagePart(data, 'xl/_rels/workbook.xml.rels')).toContain('Target="connections.xml"')
+
+    const sheet = readWorkbookBuffer(data).Sheets.Database
+    expect(sheet.C2.v).toBe('Nieuw')
+    expect(sheet.D2.t).toBe('d')
+    expect(toDateKey(sheet.D2.v)).toBe('2025-04-03')
+    expect(sheet.A4.v).toBe('AFW-3')
+    expect(toDateKey(sheet.D4.v)).toBe('2025-06-01')
+    expect(readPackagePart(data, 'xl/worksheets/sheet1.xml')).toContain(
+      '<c r="E4" s="2"><f>YEAR(D4)</f></c>'
+    )
+  })
+
+  it('weigert zonder Code (2) als maatregelen van een afwijking zouden samenvallen', () => {
+    const database = buildDatabasePackage({
+      headers: DATABASE_HEADERS.filter((header) => header !== 'Code (2)'),
+      rows: [['AFW-1', 'Oud', 45658]],
+    })
+    expect(() =>
+      updateDatabaseWorkbook(
+        database,
+        overzicht([
+          { code: 'AFW-1', maatregelCode: 'M1', maatregel: 'Eerste' },
+          { code: 'AFW-1', maatregelCode: 'M2', maatregel: 'Tweede' },
+        ])
+      )
+    ).toThrow('Kolom Code (2) ontbreekt in database of overzicht')
+
+    const { updatedCount } = updateDatabaseWorkbook(
+      database,
+      overzicht([{ code: 'AFW-1', maatregelCode: 'M1', maatregel: 'Eerste' }])
+    )
+    expect(updatedCount).toBe(1)
+  })
+})
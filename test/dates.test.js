@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest'
+import { DATE_ISSUES, parseDateValue, toDateKey, toExcelSerial } from '../src/core/dates.js'
+
+const keyOf = (value) => {
+  const { date } = parseDateValue(value)
+  return date ? toDateKey(date) : null
+}
+
+describe('parseDateValue', () => {
+  it('leest Nederlandse notaties als dag-maand', () => {
+    expect(keyOf('03-04-2025')).toBe('2025-04-03')
+    expect(keyOf('3-4-25')).toBe('2025-04-03')
+    expect(keyOf('03.04.25')).toBe('2025-04-03')
+    expect(keyOf('3 april 2025')).toBe('2025-04-03')
+    expect(keyOf('do 3 apr. 2025')).toBe('2025-04-03')
+    expect(keyOf('3-apr-2025')).toBe('2025-04-03')
+  })
+
+  it('leest ISO, Engelse maandnamen en tijden', () => {
+    expect(keyOf('2025-04-03')).toBe('2025-04-03')
+    expect(keyOf('2025-04-03T08:30:00Z')).toBe('2025-04-03')
+    expect(keyOf('April 3, 2025')).toBe('2025-04-03')
+    expect(keyOf('03-04-2025 14:15')).toBe('2025-04-03')
+  })
+
+  it('zet Excel serienummers om, inclusief de 1900-schrikkeldag', () => {
+    expect(keyOf(45750)).toBe('2025-04-03')
+    expect(keyOf(45750.75)).toBe('2025-04-03')
+    expect(keyOf(59)).toBe('1900-02-28')
+    expect(keyOf(61)).toBe('1900-03-01')
+    expect(toExcelSerial(new Date(2025, 3, 3))).toBe(45750)
+  })
+
+  it('markeert dubbelzinnige en onleesbare waarden', () => {
+    expect(parseDateValue('03/04/2025').issue).toBe(DATE_ISSUES.ambiguous)
+    expect(parseDateValue('03/03/2025').issue).toBeNull()
+    expect(parseDateValue('31-02-2025')).toEqual({ date: null, issue: DATE_ISSUES.unreadable })
+    expect(parseDateValue('binnenkort')).toEqual({ date: null, issue: DATE_ISSUES.unreadable })
+    expect(parseDateValue('3#april#2025').issue).toBe(DATE_ISSUES.unreadable)
+    expect(parseDateValue("3 april'2025").issue).toBe(DATE_ISSUES.unreadable)
+    expect(parseDateValue(-5).issue).toBe(DATE_ISSUES.unreadable)
+    expect(parseDateValue(new Date(Number.NaN)).issue).toBe(DATE_ISSUES.unreadable)
+  })
+
+  it('behandelt lege waarden als geen datum', () => {
+    expect(parseDateValue('')).toEqual({ date: null, issue: null })
+    expect(parseDateValue('   ')).toEqual({ date: null, issue: null })
+    expect(parseDateValue(null)).toEqual({ date: null, issue: null })
+  })
+})
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { toDateKey } from '../src/core/dates.js'
+import { diffRuns, loadOverzichtRun, loadRun } from '../src/core/diff.js'
+import { readOverzichtRows, readWorkbookBuffer } from '../src/core/overzicht.js'
+import { readDashboardState } from '../src/core/remarks.js'
+import { buildDashboardWorkbook } from '../src/core/workbooks.js'
+import { buildOverzichtWorkbook } from './fixtures.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const maatregel = (values) => ({
+  titel: 'Afwijking',
+  maatregel: 'Maatregel',
+  status: 'Vigerend',
+  statusAfwijking: 'Vigerend',
+  actiehouder: 'Jan Jansen',
+  geplandeDatum: new Date(2025, 5, 1),
+  ...values,
+})
+
+const loadOverzicht = (rows) =>
+  loadRun(readWorkbookBuffer(buildOverzichtWorkbook(rows)), { now: NOW })
+
+describe('diffRuns', () => {
+  it('vindt nieuwe, opgeloste, verschoven en herverdeelde maatregelen', () => {
+    const previous = loadOverzicht([
+      maatregel({ code: 'AFW-1', maatregelCode: 'M1' }),
+      maatregel({ code: 'AFW-2', maatregelCode: 'M2' }),
+      maatregel({ code: 'AFW-3', maatregelCode: 'M3' }),
+      maatregel({ code: 'AFW-4', maatregelCode: 'M4' }),
+    ])
+    const current = loadOverzicht([
+      maatregel({ code: 'AFW-1', maatregelCode: 'M1' }),
+      maatregel({ code: 'AFW-2', maatregelCode: 'M2', status: 'Afgehandeld' }),
+      maatregel({ code: 'AFW-3', maatregelCode: 'M3', geplandeDatum: new Date(2025, 5, 12) }),
+      maatregel({ code: 'AFW-4', maatregelCode: 'M4', actiehouder: 'Piet Pietersen' }),
+      maatregel({ code: 'AFW-5', maatregelCode: 'M5' }),
+    ])
+
+    const changes = diffRuns(previous, current)
+    expect(changes.nieuw.map((row) => row.code)).toEqual(['AFW-5'])
+    expect(changes.opgelost.map((row) => [row.code, row.reden])).toEqual([
+      ['AFW-2', 'Niet meer achterstallig'],
+    ])
+    expect(changes.deadlineGewijzigd.map((row) => row.code)).toEqual(['AFW-3'])
+    expect(changes.herverdeeld.map((row) => [row.code, row.nieuweActiehouder])).toEqual([
+      ['AFW-4', 'Piet Pietersen'],
+    ])
+  })
+
+  it('meldt maatregelen die uit het overzicht verdwenen zijn', () => {
+    const previous = loadOverzicht([maatregel({ code: 'AFW-1', maatregelCode: 'M1' })])
+    const current = loadOverzichtRun(
+      readOverzichtRows(readWorkbookBuffer(buildOverzichtWorkbook([maatregel({ code: 'AFW-2' })]))),
+      { now: NOW }
+    )
+    expect(diffRuns(previous, current).opgelost).toMatchObject([
+      { code: 'AFW-1', reden: 'Niet meer in overzicht' },
+    ])
+  })
+})
+
+describe('dashboard export als vorige run', () => {
+  it('ziet geen verschoven deadlines bij dezelfde rijen, ook buiten UTC', async () => {
+    expect(new Date(2025, 0, 1).getTimezoneOffset()).not.toBe(0)
+    const rows = readOverzichtRows(
+      readWorkbookBuffer(
+        buildOverzichtWorkbook([
+          maatregel({ code: 'AFW-1', maatregelCode: 'M1', geplandeDatum: new Date(2025, 5, 1) }),
+          maatregel({ code: 'AFW-2', maatregelCode: 'M2', geplandeDatum: new Date(2025, 0, 15) }),
+          maatregel({ code: 'AFW-3', maatregelCode: 'M3', geplandeDatum: new Date(2025, 6, 1) }),
+        ])
+      )
+    )
+    const current = loadOverzichtRun(rows, { now: NOW })
+    const workbook = await buildDashboardWorkbook(current, { now: NOW })
+    const exported = readWorkbookBuffer(await workbook.xlsx.writeBuffer())
+
+    expect(diffRuns(loadRun(exported, { now: NOW }), current).deadlineGewijzigd).toEqual([])
+    expect(
+      readDashboardState(exported).achterstallig.map((row) => toDateKey(row.geplandeDatum))
+    ).toEqual(['2025-06-01', '2025-01-15', '2025-07-01'])
+  })
+})
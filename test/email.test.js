@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest'
+import { buildActiehouderDrafts, buildEml, renderEmailTemplate } from '../src/core/email.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const row = (code, values = {}) => ({
+  code,
+  maatregel: `Maatregel ${code}`,
+  geplandeDatum: new Date(2025, 5, 6),
+  opmerking: 'Deadline verlopen',
+  opmerkingen: '',
+  actiehouder: 'Jan Jansen',
+  ...values,
+})
+
+const decodeBase64 = (value) => Buffer.from(value.replace(/\r\n/g, ''), 'base64').toString('utf8')
+
+describe('renderEmailTemplate', () => {
+  const template = {
+    subject: '{station} week {week}-{jaar} {tabel} ({aantal_achterstallig})',
+    body: [
+      'Beste {actiehouder},',
+      '',
+      '{aantal_achterstallig} open bij {station}: {onbekend}',
+      '',
+      '{tabel}',
+      '',
+      'Groet',
+    ].join('\n'),
+  }
+
+  it('vult alle placeholders in onderwerp, tekst en html', () => {
+    const { subject, body, html } = renderEmailTemplate(template, {
+      station: ' Zwolle ',
+      actiehouder: 'Piet',
+      rows: [row('AFW-1'), row('AFW-2')],
+      now: NOW,
+    })
+    expect(subject).toBe('Zwolle week 25-2025 (2)')
+    expect(body).toMatch(/^Beste Piet,\n\n2 open bij Zwolle: \{onbekend\}\n\nCode +\| Maatregel/)
+    expect(body).toContain('AFW-2 | Maatregel AFW-2 | 6-6-2025       | Deadline verlopen |')
+    expect(body.endsWith('\n\nGroet')).toBe(true)
+    expect(html).toContain('<p>Beste Piet,</p>')
+    expect(html.match(/<tr>/g)).toHaveLength(3)
+    expect(html.indexOf('<table')).toBeLessThan(html.indexOf('<p>Groet</p>'))
+  })
+
+  it("valt terug op Station en collega's en laat de tabel weg zonder rijen", () => {
+    const { subject, body, html } = renderEmailTemplate(template, { now: new Date(2026, 0, 1) })
+    expect(subject).toBe('Station week 01-2026 (0)')
+    expect(body).toBe("Beste collega's,\n\n0 open bij Station: {onbekend}\n\nGroet")
+    expect(html).not.toContain('<table')
+  })
+
+  it('escapet html in tekst en tabel', () => {
+    const { html } = renderEmailTemplate(
+      { subject: '', body: '{station}\n\n{tabel}' },
+      { station: 'Zwolle <B&O>', rows: [row('AFW-1', { opmerkingen: '<b>"klaar"</b>' })] }
+    )
+    expect(html).toContain('<p>Zwolle &lt;B&amp;O&gt;</p>')
+    expect(html).toContain('&lt;b&gt;&quot;klaar&quot;&lt;/b&gt;')
+    expect(html).not.toContain('<b>')
+  })
+})
+
+describe('buildActiehouderDrafts', () => {
+  it('maakt per actiehouder een concept met alleen de eigen rijen', () => {
+    const drafts = buildActiehouderDrafts(
+      'Zwolle',
+      [
+        row('AFW-1', { actiehouder: 'Piet' }),
+        row('AFW-2'),
+        row('AFW-3', { actiehouder: 'Piet' }),
+        row('AFW-4', { actiehouder: '' }),
+      ],
+      { now: NOW }
+    )
+    const grouped = drafts.map(({ actiehouder, rows }) => [actiehouder, rows.map(({ code }) => code)])
+    expect(grouped).toEqual([
+      ['Jan Jansen', ['AFW-2']],
+      ['Piet', ['AFW-1', 'AFW-3']],
+    ])
+    expect(drafts[1].body).toMatch(/^Beste Piet,/)
+  })
+})
+
+describe('buildEml', () => {
+  it('schrijft tekst en html als multipart/alternative in base64', () => {
+    const eml = buildEml({
+      to: ['jan@example.nl', ''],
+      cc: ['team@example.nl'],
+      subject: 'Week 25 – achterstallig',
+      text: 'Beste Jan,\nzie tabel',
+      html: '<p>Beste Jan,</p>',
+    })
+    const [head, ...parts] = eml.split(/\r\n--[^\r\n]+\r\n/)
+    const boundary = head.match(/boundary="([^"]+)"/)[1]
+    expect(head.split('\r\n')).toEqual([
+      'To: jan@example.nl',
+      'Cc: team@example.nl',
+      `Subject: =?UTF-8?B?${Buffer.from('Week 25 – achterstallig').toString('base64')}?=`,
+      'X-Unsent: 1',
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+    ])
+    expect(eml.endsWith(`\r\n--${boundary}--\r\n`)).toBe(true)
+
+    const [text, html] = parts.map((part) => part.replace(`\r\n--${boundary}--\r\n`, ''))
+    expect(text.split('\r\n').slice(0, 2)).toEqual([
+      'Content-Type: text/plain; charset="utf-8"',
+      'Content-Transfer-Encoding: base64',
+    ])
+    expect(decodeBase64(text.split('\r\n\r\n')[1])).toBe('Beste Jan,\nzie tabel')
+    expect(html).toMatch(/^Content-Type: text\/html; charset="utf-8"\r\n/)
+    expect(decodeBase64(html.split('\r\n\r\n')[1])).toBe(
+      '<!doctype html><html><body><p>Beste Jan,</p></body></html>'
+    )
+  })
+
+  it('schrijft zonder html alleen platte tekst en breekt base64 af op 76 tekens', () => {
+    const text = 'é'.repeat(100)
+    const eml = buildEml({ subject: 'Test', text })
+    expect(eml).not.toContain('multipart')
+    expect(eml).not.toContain('To:')
+    const [, encoded] = eml.split('\r\n\r\n')
+    expect(encoded.trimEnd().split('\r\n').every((line) => line.length <= 76)).toBe(true)
+    expect(decodeBase64(encoded.trimEnd())).toBe(text)
+  })
+})
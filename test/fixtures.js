@@ -0,0 +1,262 @@
+import * as XLSX from 'xlsx'
+
+const CFB = XLSX.CFB || Reflect.get(XLSX, 'default')?.CFB
+const encoder = new TextEncoder()
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships'
+
+export const OVERZICHT_HEADERS = [
+  'Code',
+  'Titel',
+  'Code (2)',
+  'Maatregel',
+  'Status (2)',
+  'Status',
+  'Actiehouder',
+  'Opsteller',
+  'Geplande datum klaar',
+  'Datum klaar',
+  'Maatregelen beoordeling',
+  'Veroorzakende Discipline',
+]
+
+const OVERZICHT_KEYS = [
+  'code',
+  'titel',
+  'maatregelCode',
+  'maatregel',
+  'status',
+  'statusAfwijking',
+  'actiehouder',
+  'opsteller',
+  'geplandeDatum',
+  'datumKlaar',
+  'beoordeling',
+  'discipline',
+]
+
+export const overzichtRow = (values) => OVERZICHT_KEYS.map((key) => values[key] ?? '')
+
+// Een overzicht zoals het uit de bron komt: datums als Excel datumcellen.
+export const buildOverzichtWorkbook = (rows) => {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([OVERZICHT_HEADERS, ...rows.map(overzichtRow)], { cellDates: true }),
+    'Overzicht'
+  )
+  return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })
+}
+
+export const buildPackage = (parts) => {
+  const zip = CFB.utils.cfb_new()
+  Object.entries(parts).forEach(([path, xml]) => {
+    CFB.utils.cfb_add(zip, `/${path}`, encoder.encode(xml))
+  })
+  return new Uint8Array(CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }))
+}
+
+export const readPackagePart = (data, path) => {
+  const entry = CFB.find(CFB.read(data, { type: 'array' }), `/${path}`)
+  return entry ? new TextDecoder().decode(new Uint8Array(entry.content)) : null
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const createSharedStrings = () => {
+  const strings = []
+  return {
+    indexOf: (value) => {
+      if (!strings.includes(value)) strings.push(value)
+      return strings.indexOf(value)
+    },
+    toXml: () =>
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<sst xmlns="${MAIN_NS}" count="${
+        strings.length
+      }" uniqueCount="${strings.length}">${strings
+        .map((value) => `<si><t xml:space="preserve">${escapeXml(value)}</t></si>`)
+        .join('')}</sst>`,
+  }
+}
+
+// Cel: string, getal, null of { v, f, s, shared } (shared = gedeelde formule zoals Excel die schrijft).
+const buildCellXml = (ref, cell, sharedStrings) => {
+  if (cell === null || cell === undefined) return ''
+  const { v, f, s, shared } = typeof cell === 'object' ? cell : { v: cell }
+  const style = s ? ` s="${s}"` : ''
+  const formula = shared
+    ? `<f t="shared"${shared.ref ? ` ref="${shared.ref}"` : ''} si="${shared.si}">${escapeXml(f || '')}</f>`
+    : f
+      ? `<f>${escapeXml(f)}</f>`
+      : ''
+  if (v === undefined || v === '') return `<c r="${ref}"${style}>${formula}</c>`
+  if (typeof v === 'number') return `<c r="${ref}"${style}>${formula}<v>${v}</v></c>`
+  if (formula) return `<c r="${ref}"${style} t="str">${formula}<v>${escapeXml(v)}</v></c>`
+  return `<c r="${ref}"${style} t="s"><v>${sharedStrings.indexOf(v)}</v></c>`
+}
+
+const buildSheetXml = (rows, sharedStrings, { afterData = '', tableIds = [] } = {}) => {
+  const rowsXml = rows
+    .map((cells, rowIndex) => {
+      if (!cells) return ''
+      const cellsXml = cells
+        .map((cell, colIndex) =>
+          buildCellXml(XLSX.utils.encode_cell({ r: rowIndex, c: colIndex }), cell, sharedStrings)
+        )
+        .join('')
+      return `<row r="${rowIndex + 1}">${cellsXml}</row>`
+    })
+    .join('')
+  const tableParts = tableIds.length
+    ? `<tableParts count="${tableIds.length}">${tableIds
+        .map((id) => `<tablePart r:id="${id}"/>`)
+        .join('')}</tableParts>`
+    : ''
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><dimension ref="A1"/><sheetData>${rowsXml}</sheetData>${afterData}<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/>${tableParts}</worksheet>`
+}
+
+const buildTableXml = (id, name, ref, headers, extra = '') =>
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<table xmlns="${MAIN_NS}" id="${id}" name="${name}" displayName="${name}" ref="${ref}" totalsRowShown="0"><autoFilter ref="${ref}"/><tableColumns count="${
+    headers.length
+  }">${headers
+    .map((header, index) => `<tableColumn id="${index + 1}" name="${escapeXml(header)}"/>`)
+    .join('')}</tableColumns><tableStyleInfo name="TableStyleMedium2" showFirstColumn="0" showLastColumn="0" showRowStripes="1" showColumnStripes="0"/>${extra}</table>`
+
+export const STYLE = { header: 1, data: 2, date: 3 }
+
+// Stijl 2 is een gewone datacel (General), stijl 3 een datacel met datumnotatie.
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${MAIN_NS}"><numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFC1E62E"/><bgColor indexed="64"/></patternFill></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="0" fillId="2" borderId="0" xfId="0" applyFill="1"/><xf numFmtId="164" fontId="0" fillId="2" borderId="0" xfId="0" applyNumberFormat="1" applyFill="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`
+
+export const ACHTERSTALLIG_HEADERS = [
+  'Afw. Code',
+  'Afwijking Titel',
+  'Maatregel Code',
+  'Maatregel',
+  'Status',
+  'Actiehouder',
+  'Geplande datum klaar',
+  'Opmerking',
+  'Opmerkingen',
+  'Laatste update',
+]
+
+export const CONCEPT_HEADERS = [
+  'Afw. Code',
+  'Afwijking Titel',
+  'Status',
+  'Opsteller',
+  'Geplande datum klaar',
+  'Opmerkingen',
+]
+
+const metaRows = (station) => [
+  [{ v: 'Project', s: STYLE.header }, station],
+  [{ v: 'Type', s: STYLE.header }, 'Afwijkingen overzicht'],
+  [{ v: 'Datum DB', s: STYLE.header }, '01-01-2025 08:00'],
+]
+
+const toDataCell = (value, header) =>
+  header === 'Geplande datum klaar'
+    ? { v: value, s: STYLE.date }
+    : { v: value ?? '', s: STYLE.data }
+
+// Een dashboard zoals het team het in Excel bijhoudt: metablok en tabel vanaf rij 4, met eventueel
+// extra kolommen ({ header, cell(rij) }) naast de exportkolommen. `afterData` komt na sheetData
+// (mergeCells, conditionalFormatting, dataValidations), `belowTable` zijn rijen onder de tabel.
+export const buildDashboardPackage = ({
+  station = 'Zwolle',
+  achterstallig = [],
+  extraColumns = [],
+  afterData = '',
+  belowTable = [],
+  concept = [],
+} = {}) => {
+  const sharedStrings = createSharedStrings()
+  const headers = [...ACHTERSTALLIG_HEADERS, ...extraColumns.map((column) => column.header)]
+  const dataRows = (achterstallig.length ? achterstallig : [[]]).map((values, index) => [
+    ...ACHTERSTALLIG_HEADERS.map((header, col) => toDataCell(values[col], header)),
+    ...extraColumns.map((column) => column.cell(index + 5)),
+  ])
+  const lastRow = 4 + dataRows.length
+  const achterstalligRef = `A4:${XLSX.utils.encode_col(headers.length - 1)}${lastRow}`
+  const sheet1Rows = [
+    ...metaRows(station),
+    headers.map((header) => ({ v: header, s: STYLE.header })),
+    ...dataRows,
+    ...belowTable,
+  ]
+
+  const conceptRows = (concept.length ? concept : [[]]).map((values) =>
+    CONCEPT_HEADERS.map((header, col) => toDataCell(values[col], header))
+  )
+  const conceptRef = `A4:F${4 + conceptRows.length}`
+  const sheet2Rows = [
+    ...metaRows(station),
+    CONCEPT_HEADERS.map((header) => ({ v: header, s: STYLE.header })),
+    ...conceptRows,
+  ]
+
+  const sheet1 = buildSheetXml(sheet1Rows, sharedStrings, { afterData, tableIds: ['rId1'] })
+  const sheet2 = buildSheetXml(sheet2Rows, sharedStrings, { tableIds: ['rId1'] })
+  const tableRels = (target) =>
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/table" Target="${target}"/></Relationships>`
+
+  return buildPackage({
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.ms-excel.sheet.macroEnabled.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/tables/table1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"/><Override PartName="/xl/tables/table2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/><Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/></Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets><sheet name="Afwijking achterstallig" sheetId="1" r:id="rId1"/><sheet name="Afwijking concept" sheetId="2" r:id="rId2"/></sheets><calcPr calcId="191029"/></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${REL_NS}/worksheet" Target="worksheets/sheet2.xml"/><Relationship Id="rId3" Type="${REL_NS}/styles" Target="styles.xml"/><Relationship Id="rId4" Type="${REL_NS}/sharedStrings" Target="sharedStrings.xml"/></Relationships>`,
+    'xl/worksheets/sheet1.xml': sheet1,
+    'xl/worksheets/sheet2.xml': sheet2,
+    'xl/worksheets/_rels/sheet1.xml.rels': tableRels('../tables/table1.xml'),
+    'xl/worksheets/_rels/sheet2.xml.rels': tableRels('../tables/table2.xml'),
+    'xl/tables/table1.xml': buildTableXml(1, 'AchterstalligTable', achterstalligRef, headers),
+    'xl/tables/table2.xml': buildTableXml(2, 'ConceptTable', conceptRef, CONCEPT_HEADERS),
+    'xl/styles.xml': STYLES_XML,
+    'xl/sharedStrings.xml': sharedStrings.toXml(),
+  })
+}
+
+export const DATABASE_HEADERS = ['Code', 'Code (2)', 'Maatregel', 'Geplande datum klaar', 'Jaar']
+
+export const CONNECTIONS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<connections xmlns="${MAIN_NS}"><connection id="1" keepAlive="1" name="Query - Afwijkingen" type="5" refreshedVersion="8" background="1" saveData="1"><dbPr connection="Provider=Microsoft.Mashup.OleDb.1;Location=Afwijkingen" command="SELECT * FROM [Afwijkingen]"/></connection></connections>`
+
+// Een database zoals Excel die met Power Query bewaart: tabel met autoFilter, een verbinding en
+// een jaar-formule per rij. `headers` kan kolommen weglaten (bijv. zonder Code (2)).
+export const buildDatabasePackage = ({ headers = DATABASE_HEADERS, rows = [] } = {}) => {
+  const sharedStrings = createSharedStrings()
+  const dateCol = headers.indexOf('Geplande datum klaar')
+  const dataRows = rows.map((values, index) =>
+    headers.map((header, col) => {
+      if (header === 'Jaar') {
+        return { f: `YEAR(${XLSX.utils.encode_col(dateCol)}${index + 2})`, v: 2025, s: STYLE.data }
+      }
+      return col === dateCol ? { v: values[col], s: STYLE.date } : { v: values[col] ?? '', s: STYLE.data }
+    })
+  )
+  const ref = `A1:${XLSX.utils.encode_col(headers.length - 1)}${dataRows.length + 1}`
+  const sheet = buildSheetXml(
+    [headers.map((header) => ({ v: header, s: STYLE.header })), ...dataRows],
+    sharedStrings,
+    { tableIds: ['rId1'] }
+  )
+  return buildPackage({
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/tables/table1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"/><Override PartName="/xl/connections.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.connections+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/><Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/></Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets><sheet name="Database" sheetId="1" r:id="rId1"/></sheets><calcPr calcId="191029"/></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/><Relationship Id="rId3" Type="${REL_NS}/sharedStrings" Target="sharedStrings.xml"/><Relationship Id="rId4" Type="${REL_NS}/connections" Target="connections.xml"/></Relationships>`,
+    'xl/worksheets/sheet1.xml': sheet,
+    'xl/worksheets/_rels/sheet1.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/table" Target="../tables/table1.xml"/></Relationships>`,
+    'xl/tables/table1.xml': buildTableXml(1, 'Afwijkingen', ref, headers).replace(
+      '<table ',
+      '<table tableType="queryTable" '
+    ),
+    'xl/connections.xml': CONNECTIONS_XML,
+    'xl/styles.xml': STYLES_XML,
+    'xl/sharedStrings.xml': sharedStrings.toXml(),
+  })
+}
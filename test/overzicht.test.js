@@ -0,0 +1,199 @@
+import { describe, expect, it } from 'vitest'
+import {
+  analyzeAchterstallig,
+  analyzePlanningGereed,
+  buildDisciplineDrilldown,
+  readOverzichtRows,
+  readWorkbookBuffer,
+} from '../src/core/overzicht.js'
+import { DEFAULT_SETTINGS } from '../src/core/settings.js'
+import { buildOverzichtWorkbook } from './fixtures.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const toDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+const readRows = (rows) => readOverzichtRows(readWorkbookBuffer(buildOverzichtWorkbook(rows)))
+
+const maatregel = (values) => ({
+  titel: 'Afwijking',
+  maatregel: 'Maatregel',
+  status: 'Vigerend',
+  statusAfwijking: 'Vigerend',
+  actiehouder: 'Jan Jansen',
+  ...values,
+})
+
+describe('analyzeAchterstallig', () => {
+  it('deelt vigerende maatregelen in op deadline', () => {
+    const { achterstallig, actiehouders } = analyzeAchterstallig(
+      readRows([
+        maatregel({ code: 'AFW-1', maatregelCode: 'M1', geplandeDatum: new Date(2025, 5, 6) }),
+        maatregel({ code: 'AFW-2', maatregelCode: 'M2', geplandeDatum: new Date(2025, 5, 30) }),
+        maatregel({ code: 'AFW-3', maatregelCode: 'M3', geplandeDatum: new Date(2025, 11, 1) }),
+        maatregel({ code: 'AFW-4', maatregelCode: 'M4', geplandeDatum: '' }),
+        maatregel({ code: 'AFW-5', maatregelCode: 'M5', geplandeDatum: 'z.s.m.' }),
+        maatregel({ code: 'AFW-6', maatregelCode: 'M6', status: 'Afgehandeld' }),
+        maatregel({ code: 'AFW-7', maatregelCode: 'M7', actiehouder: '' }),
+      ]),
+      { now: NOW }
+    )
+    expect(achterstallig.map((row) => [row.code, row.opmerking, row.dagenTeLaat])).toEqual([
+      ['AFW-1', 'Deadline verlopen', 10],
+      ['AFW-2', 'Deadline verloopt binnen 31 dagen', null],
+      ['AFW-4', 'Geen datum', null],
+      ['AFW-5', 'Onleesbare datum', null],
+    ])
+    expect(toDay(achterstallig[0].geplandeDatum)).toEqual(new Date(2025, 5, 6))
+    expect(actiehouders).toEqual(['Jan Jansen'])
+  })
+
+  it('verzamelt afwijkingen in concept', () => {
+    const { concept } = analyzeAchterstallig(
+      readRows([
+        maatregel({ code: 'AFW-9', statusAfwijking: 'Concept', status: '', opsteller: 'Piet' }),
+      ]),
+      { now: NOW }
+    )
+    expect(concept).toMatchObject([{ code: 'AFW-9', status: 'Concept', opsteller: 'Piet' }])
+  })
+
+  it('voegt aliassen van actiehouders samen', () => {
+    const { achterstallig, actiehouders } = analyzeAchterstallig(
+      readRows([
+        maatregel({ code: 'AFW-1', maatregelCode: 'M1', geplandeDatum: new Date(2025, 5, 1) }),
+        maatregel({
+          code: 'AFW-2',
+          maatregelCode: 'M2',
+          actiehouder: 'J. Jansen',
+          geplandeDatum: new Date(2025, 5, 1),
+        }),
+      ]),
+      { now: NOW, aliases: [{ alias: 'J. Jansen', naam: 'Jan Jansen' }] }
+    )
+    expect(achterstallig.map((row) => row.actiehouder)).toEqual(['Jan Jansen', 'Jan Jansen'])
+    expect(actiehouders).toEqual(['Jan Jansen'])
+  })
+
+  it('meldt ontbrekende kolommen', () => {
+    expect(() => analyzeAchterstallig([['Code', 'Titel'], ['AFW-1', 'x']], { now: NOW })).toThrow(
+      /Kolomkoppen ontbreken in overzicht: .*Maatregel/
+    )
+  })
+})
+
+describe('analyzePlanningGereed', () => {
+  it('telt afgehandelde maatregelen op tijd, te laat en zonder datum', () => {
+    const afgerond = (code, datumKlaar) =>
+      maatregel({
+        code,
+        maatregelCode: 'M1',
+        status: 'Afgehandeld',
+        beoordeling: 'Maatregelen nodig',
+        geplandeDatum: new Date(2025, 4, 1),
+        datumKlaar,
+        discipline: 'Civiel',
+      })
+    const stats = analyzePlanningGereed(
+      readRows([
+        afgerond('AFW-1', new Date(2025, 3, 20)),
+        afgerond('AFW-2', new Date(2025, 4, 11)),
+        afgerond('AFW-3', ''),
+        maatregel({ code: 'AFW-4', maatregelCode: 'M1', beoordeling: 'Maatregelen nodig' }),
+      ])
+    )
+    expect(stats).toMatchObject({
+      totalFiltered: 3,
+      validDates: 2,
+      overdueCount: 1,
+      missingDates: 1,
+      onTimePercent: 50,
+      traffic: 'orange',
+    })
+    expect(stats.disciplines).toMatchObject([
+      { discipline: 'Civiel', totalDays: 10, count: 1, avgDays: 10 },
+    ])
+  })
+
+  it('bewaart de stoplichtgrenzen waarmee de statistieken zijn berekend', () => {
+    const afgerond = (code, datumKlaar) =>
+      maatregel({
+        code,
+        maatregelCode: 'M1',
+        status: 'Afgehandeld',
+        beoordeling: 'Maatregelen nodig',
+        geplandeDatum: new Date(2025, 4, 1),
+        datumKlaar,
+      })
+    const settings = { ...DEFAULT_SETTINGS, redMax: 40, greenMin: 60 }
+    const stats = analyzePlanningGereed(
+      readRows([
+        afgerond('AFW-1', new Date(2025, 3, 20)),
+        afgerond('AFW-2', new Date(2025, 3, 28)),
+        afgerond('AFW-3', new Date(2025, 4, 12)),
+      ]),
+      { settings }
+    )
+    expect(Math.round(stats.onTimePercent)).toBe(67)
+    expect(stats.traffic).toBe('green')
+    expect(stats.thresholds).toEqual({ redMax: 40, greenMin: 60 })
+  })
+})
+
+describe('buildDisciplineDrilldown', () => {
+  const late = (dagenTeLaat, actiehouder = 'Jan Jansen', discipline = 'Civiel') => ({
+    discipline,
+    actiehouder,
+    dagenTeLaat,
+  })
+
+  it('verdeelt de dagen te laat over de grenzen van de histogram', () => {
+    const days = [-3, 0, 7, 8, 14, 15, 30, 31, 60, 61, 90, 91, 400]
+    const stats = { lateRows: [...days.map((day) => late(day)), late(5, 'Piet', 'Elektra')] }
+    const { lateCount, histogram } = buildDisciplineDrilldown(stats, 'Civiel')
+    expect(lateCount).toBe(days.length)
+    expect(histogram).toEqual([
+      { label: '0-7', count: 3 },
+      { label: '8-14', count: 2 },
+      { label: '15-30', count: 2 },
+      { label: '31-60', count: 2 },
+      { label: '61-90', count: 2 },
+      { label: '90+', count: 2 },
+    ])
+  })
+
+  it('rangschikt actiehouders op totaal aantal dagen te laat en beperkt de lijst', () => {
+    const stats = {
+      lateRows: [
+        late(10, 'Piet'),
+        late(10, 'Piet'),
+        late(20, 'Kees'),
+        late(-4, ''),
+        late(3, 'Anna'),
+        late(1, 'Anna'),
+        late(2, 'Anna'),
+        late(100, 'Jan', 'Elektra'),
+      ],
+    }
+    const { worst } = buildDisciplineDrilldown(stats, 'Civiel', { limit: 3 })
+    expect(worst).toEqual([
+      { actiehouder: 'Piet', count: 2, totalDays: 20, maxDays: 10, avgDays: 10 },
+      { actiehouder: 'Kees', count: 1, totalDays: 20, maxDays: 20, avgDays: 20 },
+      { actiehouder: 'Anna', count: 3, totalDays: 6, maxDays: 3, avgDays: 2 },
+    ])
+    expect(buildDisciplineDrilldown(stats, 'Civiel').worst.at(-1)).toEqual({
+      actiehouder: 'Onbekend',
+      count: 1,
+      totalDays: 0,
+      maxDays: 0,
+      avgDays: 0,
+    })
+  })
+
+  it('geeft een lege histogram zonder statistieken', () => {
+    const drilldown = buildDisciplineDrilldown(null, 'Civiel')
+    expect(drilldown.lateCount).toBe(0)
+    expect(drilldown.histogram.every(({ count }) => count === 0)).toBe(true)
+    expect(drilldown.worst).toEqual([])
+  })
+})
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import { readOverzichtRows, readWorkbookBuffer } from '../src/core/overzicht.js'
+import { buildQualityReport } from '../src/core/quality.js'
+import { OVERZICHT_HEADERS, buildOverzichtWorkbook, overzichtRow } from './fixtures.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const readRows = (rows) => readOverzichtRows(readWorkbookBuffer(buildOverzichtWorkbook(rows)))
+
+const maatregel = (values) => ({
+  titel: 'Afwijking',
+  maatregel: 'Maatregel',
+  status: 'Vigerend',
+  statusAfwijking: 'Open',
+  actiehouder: 'Jan Jansen',
+  geplandeDatum: new Date(2025, 5, 1),
+  ...values,
+})
+
+const findingsOf = (report, check) => report.findings.filter((finding) => finding.check === check)
+
+describe('buildQualityReport', () => {
+  it('vindt dubbele Code/Maatregel code met alle rijnummers', () => {
+    const report = buildQualityReport(
+      readRows([
+        maatregel({ code: 'AFW-1', maatregelCode: 'M1' }),
+        maatregel({ code: 'AFW-1', maatregelCode: 'M2' }),
+        maatregel({ code: 'afw-1 ', maatregelCode: 'm1' }),
+      ]),
+      { now: NOW }
+    )
+    expect(findingsOf(report, 'duplicate')).toMatchObject([
+      { code: 'AFW-1', maatregelCode: 'M1', rijen: [2, 4], melding: 'Komt 2 keer voor.' },
+    ])
+    expect(report.counts.duplicate).toBe(1)
+    expect(report.checkedRows).toBe(3)
+  })
+
+  it('meldt ontbrekende actiehouders, onbekende statussen en schrijfwijzen', () => {
+    const report = buildQualityReport(
+      readRows([
+        maatregel({ code: 'AFW-1', maatregelCode: 'M1', actiehouder: '' }),
+        maatregel({ code: 'AFW-2', maatregelCode: 'M1', status: 'Afgehandeld', actiehouder: '' }),
+        maatregel({ code: 'AFW-3', maatregelCode: 'M1', status: 'Gepland' }),
+        maatregel({ code: 'AFW-4', maatregelCode: 'M1', actiehouder: 'JAN  jansen' }),
+      ]),
+      { now: NOW }
+    )
+    expect(findingsOf(report, 'noActiehouder')).toMatchObject([{ code: 'AFW-1', rijen: [2] }])
+    expect(findingsOf(report, 'unknownStatus')).toMatchObject([
+      { waarde: 'Gepland', rijen: [4], melding: 'Onbekende waarde in Status (2) (1 rijen).' },
+    ])
+    expect(findingsOf(report, 'actiehouderVariant')).toMatchObject([
+      { rijen: [4, 5], waarde: '"Jan Jansen", "JAN  jansen"' },
+    ])
+  })
+
+  it('controleert Datum klaar tegen vandaag en de melding', () => {
+    const rows = [
+      [...OVERZICHT_HEADERS, 'Datum melding'],
+      [
+        ...overzichtRow(
+          maatregel({ code: 'AFW-1', maatregelCode: 'M1', datumKlaar: new Date(2025, 6, 1) })
+        ),
+        '',
+      ],
+      [
+        ...overzichtRow(
+          maatregel({ code: 'AFW-2', maatregelCode: 'M1', datumKlaar: new Date(2025, 2, 1) })
+        ),
+        new Date(2025, 3, 1),
+      ],
+      [
+        ...overzichtRow(
+          maatregel({ code: 'AFW-3', maatregelCode: 'M1', datumKlaar: new Date(2025, 5, 16, 14) })
+        ),
+        new Date(2025, 0, 1),
+      ],
+    ]
+    const report = buildQualityReport(rows, { now: NOW })
+    expect(findingsOf(report, 'doneInFuture').map((finding) => finding.code)).toEqual(['AFW-1'])
+    expect(findingsOf(report, 'doneBeforeRaised').map((finding) => finding.code)).toEqual(['AFW-2'])
+  })
+
+  it('neemt onleesbare en dubbelzinnige datums per rij op', () => {
+    const report = buildQualityReport(
+      readRows([
+        maatregel({ code: 'AFW-1', maatregelCode: 'M1', geplandeDatum: 'z.s.m.' }),
+        maatregel({ code: 'AFW-2', maatregelCode: 'M1', geplandeDatum: '03/04/2025' }),
+        maatregel({ code: 'AFW-3', maatregelCode: 'M1', geplandeDatum: '03-04-2025' }),
+      ]),
+      { now: NOW }
+    )
+    expect(
+      findingsOf(report, 'dateIssue').map(({ code, rijen, waarde }) => [code, rijen, waarde])
+    ).toEqual([
+      ['AFW-1', [2], 'z.s.m.'],
+      ['AFW-2', [3], '03/04/2025'],
+    ])
+  })
+
+  it('geeft een leeg rapport voor een leeg overzicht', () => {
+    expect(buildQualityReport([], { now: NOW })).toEqual({
+      findings: [],
+      counts: {},
+      checkedRows: 0,
+    })
+  })
+})
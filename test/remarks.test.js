@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+import {
+  pruneRemarkStore,
+  sanitizeStationRemarks,
+  updateRemarkStore,
+  updateStationRemarks,
+} from '../src/core/remarks.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const remark = (opmerkingen, laatsteUpdate) => ({
+  opmerkingen,
+  laatsteUpdate: laatsteUpdate.toISOString(),
+})
+
+describe('pruneRemarkStore', () => {
+  const store = {
+    'afw-1|m1': remark('Nog actueel, oud', new Date(2024, 0, 10)),
+    'afw-2|m1': remark('Even van de lijst', new Date(2025, 5, 1)),
+    'afw-3|m1': remark('Weg en verouderd', new Date(2025, 0, 5)),
+  }
+
+  it('verwijdert opmerkingen die niet meer in de run staan en lang niet zijn bijgewerkt', () => {
+    expect(
+      Object.keys(pruneRemarkStore(store, [{ code: 'AFW-1', maatregelCode: 'M1' }], { now: NOW }))
+    ).toEqual(['afw-1|m1', 'afw-2|m1'])
+  })
+
+  it('geeft dezelfde opslag terug als er niets weg hoeft', () => {
+    const rows = ['AFW-1', 'AFW-3'].map((code) => ({ code, maatregelCode: 'M1' }))
+    expect(pruneRemarkStore(store, rows, { now: NOW })).toBe(store)
+  })
+})
+
+describe('opmerkingen per station', () => {
+  it('zet een oude opslag zonder stations onder de standaardsleutel', () => {
+    const legacy = { 'afw-1|m1': remark('Oud', new Date(2025, 5, 1)) }
+    expect(sanitizeStationRemarks(legacy)).toEqual({ '': legacy })
+    expect(sanitizeStationRemarks({ zwolle: legacy, leeg: {} })).toEqual({ zwolle: legacy })
+  })
+
+  it('werkt alleen de opslag van het gekozen station bij', () => {
+    const byStation = {
+      zwolle: { 'afw-1|m1': remark('Zwolle', new Date(2024, 0, 10)) },
+      deventer: { 'afw-1|m1': remark('Deventer', new Date(2024, 0, 10)) },
+    }
+    const pruned = updateStationRemarks(byStation, ' Zwolle ', (store) =>
+      pruneRemarkStore(store, [], { now: NOW })
+    )
+    expect(pruned).toEqual({ zwolle: {}, deventer: byStation.deventer })
+
+    const updated = updateStationRemarks(byStation, 'Deventer', (store) =>
+      updateRemarkStore(store, { code: 'AFW-2', maatregelCode: 'M1' }, 'Nieuw', NOW)
+    )
+    expect(Object.keys(updated.deventer)).toEqual(['afw-1|m1', 'afw-2|m1'])
+    expect(updated.zwolle).toBe(byStation.zwolle)
+    expect(updateStationRemarks(byStation, 'Zwolle', (store) => store)).toBe(byStation)
+  })
+})
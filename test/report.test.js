@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import { analyzeOverzicht, readOverzichtRows, readWorkbookBuffer } from '../src/core/overzicht.js'
+import { buildPdfReport } from '../src/core/report.js'
+import { buildOverzichtWorkbook } from './fixtures.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const row = (index, values = {}) => ({
+  code: `AFW-${index}`,
+  titel: 'Afwijking',
+  maatregelCode: 'M1',
+  maatregel: `Maatregel ${index}`,
+  status: 'Vigerend',
+  statusAfwijking: 'Vigerend',
+  actiehouder: 'Jan Jansen',
+  beoordeling: 'Maatregelen nodig',
+  geplandeDatum: new Date(2025, 5, 2),
+  ...values,
+})
+
+const analyze = (rows) =>
+  analyzeOverzicht(readOverzichtRows(readWorkbookBuffer(buildOverzichtWorkbook(rows))), {
+    now: NOW,
+  })
+
+describe('buildPdfReport', () => {
+  it('maakt een voorblad en een pagina per tabel zonder statistieken', async () => {
+    const doc = await buildPdfReport({}, { station: 'Zwolle', now: NOW })
+    const output = doc.output()
+    expect(output.startsWith('%PDF-')).toBe(true)
+    expect(doc.getNumberOfPages()).toBe(3)
+    expect(output).toContain('/Title (Afwijkingen weekrapport Zwolle)')
+    expect(output).toContain('(Pagina 3 van 3)')
+    expect(output.match(/\(Geen rijen.\)/g)).toHaveLength(2)
+  })
+
+  it('voegt statistieken toe en laat lange tabellen doorlopen op volgende pagina', async () => {
+    const rows = [
+      ...Array.from({ length: 60 }, (_, index) => row(index + 1)),
+      row(61, { status: 'Afgehandeld', datumKlaar: new Date(2025, 5, 9) }),
+    ]
+    const result = analyze(rows)
+    expect(result.achterstallig).toHaveLength(60)
+    const doc = await buildPdfReport(result, { station: 'Zwolle', now: NOW })
+    const pageCount = doc.getNumberOfPages()
+    const output = doc.output()
+    expect(pageCount).toBeGreaterThan(4)
+    expect(output).toContain('(Statistieken)')
+    expect(output).toContain('(Afwijking achterstallig \\(60\\))')
+    expect(output).toContain(`(Pagina ${pageCount} van ${pageCount})`)
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { buildActiehouderScorecards } from '../src/core/scorecard.js'
+
+const open = (actiehouder, opmerking, geplandeDatum, dagenTeLaat = null) => ({
+  actiehouder,
+  opmerking,
+  geplandeDatum,
+  dagenTeLaat,
+})
+
+const afgerond = (actiehouder, dagenTeLaat) => ({ actiehouder, dagenTeLaat })
+
+describe('buildActiehouderScorecards', () => {
+  const achterstallig = [
+    open('Piet', 'Deadline verlopen', new Date(2025, 5, 2), 14),
+    open('Piet', 'Deadline verlopen', new Date(2025, 4, 20), 27),
+    open('Piet', 'Deadline verloopt binnen 31 dagen', new Date(2025, 6, 1)),
+    open('Jan', 'Deadline verlopen', new Date(2025, 5, 10), 6),
+    open('Jan', 'Geen datum', null),
+    open('Jan', 'Deadline verloopt binnen 31 dagen', new Date(2025, 5, 20)),
+    open('Kees', 'Deadline verloopt binnen 31 dagen', new Date(2025, 5, 30)),
+    open('', 'Deadline verlopen', new Date(2025, 5, 1), 15),
+  ]
+  const stats = {
+    onTimeRows: [afgerond('Jan'), afgerond('Jan'), afgerond('Jan'), afgerond('Anna')],
+    lateRows: [afgerond('Jan', 4), afgerond('Piet', 10), afgerond('Piet', 21), afgerond('', 3)],
+  }
+
+  it('rangschikt op verlopen deadlines, daarna open maatregelen en naam', () => {
+    const cards = buildActiehouderScorecards({ achterstallig, stats })
+    expect(cards.map((card) => [card.rang, card.actiehouder, card.verlopen, card.open])).toEqual([
+      [1, 'Piet', 2, 3],
+      [2, 'Jan', 1, 3],
+      [3, 'Kees', 0, 1],
+      [4, 'Anna', 0, 0],
+    ])
+  })
+
+  it('telt op tijd afgerond en gemiddelde dagen te laat per actiehouder', () => {
+    const cards = buildActiehouderScorecards({ achterstallig, stats })
+    const byName = Object.fromEntries(cards.map((card) => [card.actiehouder, card]))
+    expect(byName.Piet).toMatchObject({
+      aankomend: 1,
+      opTijd: 0,
+      teLaat: 2,
+      opTijdPercent: 0,
+      gemDagenTeLaat: 20.5,
+      gemDagenTeLaatAfgerond: 15.5,
+    })
+    expect(byName.Jan).toMatchObject({
+      aankomend: 1,
+      opTijd: 3,
+      teLaat: 1,
+      opTijdPercent: 75,
+      gemDagenTeLaat: 6,
+      gemDagenTeLaatAfgerond: 4,
+    })
+    expect(byName.Kees).toMatchObject({ opTijdPercent: null, gemDagenTeLaat: null })
+  })
+
+  it('sorteert open en aankomende rijen op geplande datum', () => {
+    const [piet, jan] = buildActiehouderScorecards({ achterstallig, stats })
+    expect(piet.openRows.map((row) => row.dagenTeLaat)).toEqual([27, 14])
+    expect(jan.openRows.map((row) => row.opmerking)).toEqual(['Geen datum', 'Deadline verlopen'])
+    expect(jan.aankomendRows).toHaveLength(1)
+  })
+
+  it('werkt zonder statistieken', () => {
+    const cards = buildActiehouderScorecards({ achterstallig })
+    expect(cards.map((card) => card.actiehouder)).toEqual(['Piet', 'Jan', 'Kees'])
+    expect(cards.every((card) => card.opTijdPercent === null)).toBe(true)
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { analyzeOverzicht, readOverzichtRows, readWorkbookBuffer } from '../src/core/overzicht.js'
+import { DEFAULT_SETTINGS } from '../src/core/settings.js'
+import { buildDashboardWorkbook } from '../src/core/workbooks.js'
+import { buildOverzichtWorkbook } from './fixtures.js'
+
+const NOW = new Date(2025, 5, 16)
+
+const readRows = (rows) => readOverzichtRows(readWorkbookBuffer(buildOverzichtWorkbook(rows)))
+
+const afgerond = (code, datumKlaar) => ({
+  code,
+  titel: 'Afwijking',
+  maatregelCode: 'M1',
+  maatregel: 'Maatregel',
+  status: 'Afgehandeld',
+  actiehouder: 'Jan Jansen',
+  beoordeling: 'Maatregelen nodig',
+  geplandeDatum: new Date(2025, 4, 1),
+  datumKlaar,
+})
+
+const readHeaderRow = (worksheet) =>
+  worksheet.getSheetValues().find((row) => row?.includes('Afw. Code')).filter(Boolean)
+
+describe('buildDashboardWorkbook', () => {
+  it('noemt de dagen te laat in de eenheid van de statistieken', async () => {
+    const rows = readRows([afgerond('AFW-1', new Date(2025, 4, 9))])
+    const headersFor = async (dayMode) => {
+      const settings = { ...DEFAULT_SETTINGS, dayMode }
+      const result = analyzeOverzicht(rows, { now: NOW, settings })
+      const workbook = await buildDashboardWorkbook(result, { now: NOW })
+      return readHeaderRow(workbook.getWorksheet('Te laat'))
+    }
+    expect(await headersFor('calendar')).toContain('Dagen te laat')
+    expect(await headersFor('working')).toContain('Werkdagen te laat')
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, expect, it } from 'vitest'
+import { readWorkbookBuffer } from '../src/core/overzicht.js'
+import { readDashboardState } from '../src/core/remarks.js'
+import { fillDashboardWorkbook } from '../src/core/xlsm.js'
+import { buildDashboardPackage, readPackagePart } from './fixtures.js'
+
+const NOW = new Date(2025, 5, 16, 9, 30)
+
+const achterstalligRow = (code, maatregelCode, values = {}) => ({
+  code,
+  titel: `Titel ${code}`,
+  maatregelCode,
+  maatregel: `Maatregel ${maatregelCode}`,
+  status: 'Vigerend',
+  actiehouder: 'Jan Jansen',
+  geplandeDatum: new Date(2025, 5, 1),
+  opmerking: 'Deadline verlopen',
+  ...values,
+})
+
+const fill = (dashboard, result) =>
+  fillDashboardWorkbook(dashboard, result, { station: 'Deventer', now: NOW })
+
+describe('fillDashboardWorkbook', () => {
+  it('schrijft de nieuwe tabellen en werkt de tabelbereiken bij', () => {
+    const dashboard = buildDashboardPackage({
+      achterstallig: [['AFW-1', 'Oud', 'M1', 'Oud', 'Vigerend', 'Jan Jansen', 45800]],
+    })
+    const { data, counts } = fill(dashboard, {
+      achterstallig: [
+        achterstalligRow('AFW-1', 'M1', { opmerkingen: 'Wacht op leverancier' }),
+        achterstalligRow('AFW-2', 'M2'),
+        achterstalligRow('AFW-3', 'M3'),
+      ],
+      concept: [{ code: 'AFW-9', titel: 'Nieuw', status: 'Concept', opsteller: 'Piet' }],
+    })
+
+    expect(counts).toEqual({ achterstallig: 3, concept: 1, actiehouders: null })
+    expect(readPackagePart(data, 'xl/tables/table1.xml')).toMatch(/ref="A4:J7"/)
+    expect(readPackagePart(data, 'xl/tables/table2.xml')).toMatch(/ref="A4:F5"/)
+    expect(readPackagePart(data, 'xl/workbook.xml')).toMatch(/fullCalcOnLoad="1"/)
+
+    const workbook = readWorkbookBuffer(data)
+    expect(workbook.Sheets['Afwijking achterstallig'].B1.v).toBe('Deventer')
+    const state = readDashboardState(workbook)
+    expect(state.achterstallig.map((row) => [row.code, row.maatregelCode])).toEqual([
+      ['AFW-1', 'M1'],
+      ['AFW-2', 'M2'],
+      ['AFW-3', 'M3'],
+    ])
+    expect(state.achterstallig[0].opmerkingen).toBe('Wacht op leverancier')
+    expect(state.concept.map((row) => row.code)).toEqual(['AFW-9'])
+  })
+
+  it('neemt onbekende kolommen per maatregel mee', () => {
+    const dashboard = buildDashboardPackage({
+      achterstallig: [
+        ['AFW-1', 'Oud', 'M1'],
+        ['AFW-2', 'Oud', 'M2'],
+      ],
+      extraColumns: [{ header: 'Notitie', cell: (row) => ({ v: `notitie ${row}`, s: 2 }) }],
+    })
+    const { data } = fill(dashboard, {
+      achterstallig: [achterstalligRow('AFW-2', 'M2'), achterstalligRow('AFW-3', 'M3')],
+    })
+    const sheet = readWorkbookBuffer(data).Sheets['Afwijking achterstallig']
+    expect(sheet.K5.v).toBe('notitie 6')
+    expect(sheet.K6?.v ?? '').toBe('')
+  })
+
+  it('schrijft datums met een datumnotatie, ook als de sjabloonrij General is', () => {
+    const { data } = fill(buildDashboardPackage(), {
+      achterstallig: [
+        achterstalligRow('AFW-1', 'M1', { laatsteUpdate: new Date(2025, 5, 10, 14, 5) }),
+      ],
+      concept: [{ code: 'AFW-9', status: 'Concept', geplandeDatum: new Date(2025, 3, 3) }],
+    })
+    const workbook = readWorkbookBuffer(data)
+    const achterstallig = workbook.Sheets['Afwijking achterstallig']
+    const concept = workbook.Sheets['Afwijking concept']
+    expect(achterstallig.G5.t).toBe('d')
+    expect(achterstallig.J5.t).toBe('d')
+    expect(concept.E5.t).toBe('d')
+
+    const styles = readPackagePart(data, 'xl/styles.xml')
+    const xfs = Array.from(styles.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)[0].matchAll(/<xf\b[^>]*>/g))
+    const sheetXml = readPackagePart(data, 'xl/worksheets/sheet1.xml')
+    const dateXf = xfs[Number(sheetXml.match(/<c r="J5" s="(\d+)"/)[1])][0]
+    expect(dateXf).toMatch(/numFmtId="14"/)
+    expect(dateXf).toMatch(/fillId="2"/)
+    expect(styles).toMatch(new RegExp(`<cellXfs count="${xfs.length}"`))
+  })
+
+  it('neemt formules mee en geeft nieuwe rijen de formule van de eerste rij', () => {
+    const dashboard = buildDashboardPackage({
+      achterstallig: [
+        ['AFW-1', 'Oud', 'M1'],
+        ['AFW-2', 'Oud', 'M2'],
+      ],
+      extraColumns: [
+        {
+          header: 'Dagen over',
+          cell: (row) =>
+            row === 5
+              ? { f: 'MAX(G5-$B$3,0)', v: 12, s: 2, shared: { ref: 'K5:K6', si: 0 } }
+              : { v: 3, s: 2, shared: { si: 0 } },
+        },
+      ],
+    })
+    const { data } = fill(dashboard, {
+      achterstallig: [
+        achterstalligRow('AFW-2', 'M2'),
+        achterstalligRow('AFW-1', 'M1'),
+        achterstalligRow('AFW-3', 'M3'),
+      ],
+    })
+    const sheetXml = readPackagePart(data, 'xl/worksheets/sheet1.xml')
+    const cell = (ref) => sheetXml.match(new RegExp(`<c r="${ref}"[^>]*>[\\s\\S]*?</c>`))?.[0] || ''
+    expect(cell('K5')).toContain('<f>MAX(G5-$B$3,0)</f><v>3</v>')
+    expect(cell('K6')).toContain('<f>MAX(G6-$B$3,0)</f><v>12</v>')
+    expect(cell('K7')).toMatch(/^<c r="K7" s="2"><f>MAX\(G7-\$B\$3,0\)<\/f><\/c>$/)
+    expect(sheetXml).not.toContain('t="shared"')
+  })
+
+  it('laat samenvoegingen, voorwaardelijke opmaak en validatie meegroeien en -krimpen', () => {
+    const dashboard = buildDashboardPackage({
+      achterstallig: [
+        ['AFW-1', 'Oud', 'M1'],
+        ['AFW-2', 'Oud', 'M2'],
+        ['AFW-3', 'Oud', 'M3'],
+      ],
+      afterData:
+        '<mergeCells count="2"><mergeCell ref="A1:A2"/><mergeCell ref="H5:I7"/></mergeCells>' +
+        '<conditionalFormatting sqref="G5:G7 A12"><cfRule type="cellIs" dxfId="0" priority="1" operator="lessThan"><formula>TODAY()</formula></cfRule></conditionalFormatting>' +
+        '<dataValidations count="2"><dataValidation type="list" sqref="E5:E7"><formula1>"Vigerend,Gereed"</formula1></dataValidation>' +
+        '<dataValidation type="list" sqref="E7"><formula1>"Vigerend"</formula1></dataValidation></dataValidations>',
+    })
+    const rows = ['M1', 'M2', 'M3', 'M4', 'M5'].map((code) => achterstalligRow(`AFW-${code}`, code))
+
+    const grown = readPackagePart(fill(dashboard, { achterstallig: rows }).data, 'xl/worksheets/sheet1.xml')
+    expect(grown).toContain('<mergeCells count="2"><mergeCell ref="A1:A2"/><mergeCell ref="H5:I9"/></mergeCells>')
+    expect(grown).toContain('<conditionalFormatting sqref="G5:G9 A12">')
+    expect(grown).toContain('sqref="E5:E9"')
+    expect(grown).toContain('sqref="E7:E9"')
+
+    const shrunk = readPackagePart(
+      fill(dashboard, { achterstallig: rows.slice(0, 1) }).data,
+      'xl/worksheets/sheet1.xml'
+    )
+    expect(shrunk).toContain('<mergeCell ref="H5:I5"/>')
+    expect(shrunk).toContain('<conditionalFormatting sqref="G5 A12">')
+    expect(shrunk).toContain('<dataValidations count="1"><dataValidation type="list" sqref="E5">')
+  })
+
+  it('weigert een tabel die over gevulde cellen onder de tabel zou groeien', () => {
+    const dashboard = buildDashboardPackage({
+      achterstallig: [['AFW-1', 'Oud', 'M1']],
+      belowTable: [[], [{ v: 'Totaal', s: 1 }]],
+    })
+    const achterstallig = ['M1', 'M2'].map((code) => achterstalligRow('AFW-1', code))
+    expect(fill(dashboard, { achterstallig }).counts.achterstallig).toBe(2)
+    expect(() =>
+      fill(dashboard, { achterstallig: [...achterstallig, achterstalligRow('AFW-2', 'M3')] })
+    ).toThrow('rij 7 onder de tabel is niet leeg')
+  })
+
+  it('weigert bestanden die geen dashboard zijn', () => {
+    expect(() => fill(new Uint8Array([1, 2, 3]), {})).toThrow('Dashboard is geen geldig Excel bestand.')
+  })
+})
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/afwijkingen-lab/',
+  test: {
+    // Zelfde tijdzone als de gebruikers, zodat datumfouten rond middernacht UTC opvallen.
+    env: { TZ: 'Europe/Amsterdam' },
+  },
 })